@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+/* ============================================================================
+ * Permutation CipherLab - Command-Line Interface
+ * ============================================================================
+ *
+ * Batch front end for cipher-core.js, for producing worksheets without the
+ * browser. Encryption and decryption go through the same functions as the
+ * page (applyPadding → encryptPadded, decryptPadded → removePadding), so the
+ * default settings (block mode, fixed padding 'X') give exactly the
+ * applyPermutation / trimRightPad results of the encryption and decryption
+ * tabs. Preprocessing (stripping spaces etc.) is not applied.
+ *
+ * Usage:
+ *   cipherlab keygen   --length 8 [--count 30] [--seed exam-2026]
+ *   cipherlab encrypt  --key 3-1-4-2 [--pad X] [file ...]
+ *   cipherlab decrypt  --key 3-1-4-2 [file ...]
+ *   cipherlab encrypt  --mode railfence --rails 3 [file ...]
+ *   cipherlab encrypt  --key 3-1-4-2 --scheme random --seed exam-2026 [file ...]
+ *   cipherlab validate 3-1-4-2 "(1 3 4 2)" ...
+ *   cipherlab validate --length 6 id "(1 2)"
+ *
+ * Exit status: 0 success, 1 invalid key or padding, 2 usage error.
+ *
+ * ============================================================================
+ */
+
+import { readFileSync, realpathSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+  parseKeyInput, validatePermutation, inversePermutation, buildPatternString,
+  generateRandomPermutation, createSeededRandom, secureRandomInt, keywordToPermutation, CIPHER_MODES, PAD_SCHEMES,
+  PARTIAL_BLOCK_MODES, ROUTES, applyPadding, removePadding, encryptPadded,
+  decryptPadded, encryptChain, decryptChain, checkModeParams, modeBlockLength
+} from '../cipher-core.js';
+
+const USAGE = `使い方: cipherlab <コマンド> [オプション] [ファイル ...]
+
+コマンド:
+  keygen     ランダムな鍵を生成する
+  encrypt    平文を暗号化する
+  decrypt    暗号文を復号する
+  validate   鍵（3-1-4-2 または (1 3 4 2)）を検証する
+
+共通オプション:
+  -k, --key <鍵>        鍵。複数指定すると鍵チェーン（指定順に適用）
+      --keyword <語>    キーワードから鍵を導出する
+      --mode <方式>     block（既定）| columnar | railfence | route
+      --rails <n>       railfence: レール数（鍵の代わり）
+      --offset <n>      railfence: 開始位置（既定: 0）
+      --rows <n>        route: 行数（列数は文の長さから決まる。鍵の代わり）
+      --route <経路>    route: spiral（既定）| boustrophedon | diagonal
+      --scheme <方式>   fixed（既定）| none | random | pkcs7 | cts
+  -p, --pad <文字>      パディング文字（fixed 方式、既定: X）
+      --no-pad          パディングしない（--scheme none と同じ）
+      --keep-pad        復号時にパディングを取り除かない
+      --unit <単位>     utf16（既定）| codepoint | grapheme
+      --partial <扱い>  不足ブロックの扱い keep（既定）| induced | rotate | reflect
+      --lines           1行を1件として処理する
+      --json            結果を JSON で出力する
+  -n, --length <n>      keygen: 鍵の長さ（2〜64）
+                        validate: 巡回表記（id や (1 2) など）の鍵の長さ
+  -c, --count <件数>    keygen: 生成する鍵の数（既定: 1）
+      --seed <シード>   keygen: シードから再現できる鍵を生成する（同じシード・長さ・件数なら同じ鍵）
+                        encrypt: random 方式の埋め文字をシードから再現する
+  -h, --help            このヘルプを表示する
+
+ファイルを省略するか - を指定すると標準入力から読み込みます。`;
+
+const OPTIONS = {
+  key: { type: 'string', short: 'k', multiple: true },
+  keyword: { type: 'string' },
+  mode: { type: 'string', default: 'block' },
+  scheme: { type: 'string', default: 'fixed' },
+  pad: { type: 'string', short: 'p', default: 'X' },
+  'no-pad': { type: 'boolean', default: false },
+  'keep-pad': { type: 'boolean', default: false },
+  unit: { type: 'string', default: 'utf16' },
+  partial: { type: 'string', default: 'keep' },
+  rails: { type: 'string' },
+  offset: { type: 'string' },
+  rows: { type: 'string' },
+  route: { type: 'string', default: 'spiral' },
+  lines: { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  length: { type: 'string', short: 'n' },
+  count: { type: 'string', short: 'c' },
+  seed: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const UNITS = ['utf16', 'codepoint', 'grapheme'];
+
+/** Error reported as a usage problem (exit status 2) */
+class UsageError extends Error {}
+
+/**
+ * Check that an option value is one of the allowed names
+ * @param {string} name - Option name for the message
+ * @param {string} value
+ * @param {string[]} allowed
+ */
+function requireChoice(name, value, allowed){
+  if(!allowed.includes(value)){
+    throw new UsageError(`--${name} には ${allowed.join(' / ')} のいずれかを指定してください: ${value}`);
+  }
+}
+
+/**
+ * Parse a positive integer option
+ * @param {string} name - Option name for the message
+ * @param {string} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function readInteger(name, value, min, max){
+  const n = Number(value);
+  if(!Number.isInteger(n) || n < min || n > max){
+    throw new UsageError(`--${name} には ${min}〜${max} の整数を指定してください: ${value}`);
+  }
+  return n;
+}
+
+/**
+ * Parse and validate one key written as a list or in cycle notation
+ * Cycle notation that leaves the length open ("id", "(1)") needs n.
+ * @param {string} str
+ * @param {number} [n] - Key length for cycle notation
+ * @returns {{ok: boolean, key?: number[], msg?: string}}
+ */
+function checkKey(str, n){
+  const perm = parseKeyInput(str, n);
+  if(!perm && n === undefined && parseKeyInput(str, 64)){
+    return {ok:false, msg:'長さが必要です（--length で鍵の長さを指定してください）'};
+  }
+  if(!perm) return {ok:false, msg:'パターン形式が不正です（例: 3-1-4-2 または (1 3 4 2)）'};
+  const v = validatePermutation(perm);
+  return v.ok ? {ok:true, key:perm} : {ok:false, msg:v.msg};
+}
+
+/**
+ * Build the key chain from --key / --keyword
+ * @param {object} values - Parsed options
+ * @returns {number[][]}
+ */
+function readChain(values){
+  const chain = [];
+  for(const str of values.key || []){
+    const res = checkKey(str);
+    if(!res.ok) throw new UsageError(`鍵 ${str}: ${res.msg}`);
+    chain.push(res.key);
+  }
+  if(values.keyword !== undefined){
+    const perm = keywordToPermutation(values.keyword);
+    if(!perm) throw new UsageError(`キーワードから鍵を導出できません: ${values.keyword}`);
+    chain.push(perm);
+  }
+  if(chain.length === 0) throw new UsageError('--key または --keyword で鍵を指定してください');
+  return chain;
+}
+
+/**
+ * Parameters of the rail fence and route modes, which take the place of a key
+ * @param {object} values - Parsed options
+ * @returns {object|null} - See checkModeParams; null for the other modes
+ */
+function readModeParams(values){
+  const def = CIPHER_MODES[values.mode];
+  if(!def.whole) return null;
+  if(values.key !== undefined || values.keyword !== undefined){
+    throw new UsageError(`--mode ${values.mode} は鍵を使いません（${def.paramNames.map(n => `--${n}`).join(' / ')} で指定してください）`);
+  }
+  if(values.mode === 'route') requireChoice('route', values.route, Object.keys(ROUTES));
+  const required = values.mode === 'railfence' ? 'rails' : 'rows';
+  if(values[required] === undefined) throw new UsageError(`--mode ${values.mode} には --${required} を指定してください`);
+  const res = checkModeParams(values.mode, values.mode === 'railfence'
+    ? {rails: values.rails, offset: values.offset ?? '0'}
+    : {rows: values.rows, route: values.route});
+  if(!res.ok) throw new UsageError(res.msg);
+  return res.params;
+}
+
+/**
+ * Cipher settings shared by encrypt and decrypt
+ * @param {object} values - Parsed options
+ * @returns {{chain: number[][], params: object|null, mode: string, scheme: string, padChar: string, unit: string, partial: string}}
+ *   chain is [null] for the whole-message modes
+ */
+function readSettings(values){
+  requireChoice('mode', values.mode, Object.keys(CIPHER_MODES));
+  requireChoice('scheme', values.scheme, Object.keys(PAD_SCHEMES));
+  requireChoice('unit', values.unit, UNITS);
+  requireChoice('partial', values.partial, Object.keys(PARTIAL_BLOCK_MODES));
+  const params = readModeParams(values);
+  return {
+    chain: params ? [null] : readChain(values),
+    params,
+    mode: values.mode,
+    scheme: values['no-pad'] ? 'none' : values.scheme,
+    // The page reads a single UTF-16 unit from the pad-char field
+    padChar: values.pad.slice(0, 1),
+    unit: values.unit,
+    partial: values.partial,
+    // One sequence for every record, like keygen --count
+    randomInt: values.seed !== undefined ? createSeededRandom(values.seed) : secureRandomInt,
+  };
+}
+
+/**
+ * Read every input as {source, text} records
+ * One trailing newline is dropped, as a file saved from an editor ends with one.
+ * @param {string[]} files - File paths ('-' or none for stdin)
+ * @param {boolean} lines - Split each input into one record per line
+ * @param {function(): string} readStdin
+ * @returns {Array<{source: string, text: string}>}
+ */
+function readInputs(files, lines, readStdin){
+  const sources = files.length ? files : ['-'];
+  const records = [];
+  for(const file of sources){
+    let text;
+    try{
+      text = file === '-' ? readStdin() : readFileSync(file, 'utf8');
+    }catch(e){
+      throw new UsageError(`ファイルを読み込めません: ${file}（${e.code || e.message}）`);
+    }
+    text = text.replace(/\r?\n$/, '');
+    const source = file === '-' ? 'stdin' : file;
+    if(lines){
+      text.split(/\r?\n/).forEach((line, i)=> records.push({source: `${source}:${i+1}`, text: line}));
+    }else{
+      records.push({source, text});
+    }
+  }
+  return records;
+}
+
+/**
+ * Encrypt one text exactly as the encryption tab does (without preprocessing)
+ * @param {string} text
+ * @param {object} s - From readSettings
+ * @returns {string}
+ */
+function encryptText(text, s){
+  if(s.chain.length > 1){
+    return encryptChain(text, s.chain, s.mode, s.scheme, s.padChar, s.unit, s.partial, null, s.randomInt).at(-1);
+  }
+  const perm = s.chain[0];
+  const padded = applyPadding(text, modeBlockLength(s.mode, perm, s.params), s.scheme, s.padChar, s.unit, s.randomInt);
+  return encryptPadded(padded, perm, s.mode, s.scheme, s.unit, s.partial, s.params);
+}
+
+/**
+ * Decrypt one text exactly as the decryption tab does
+ * @param {string} text
+ * @param {object} s - From readSettings
+ * @param {boolean} keepPad - Leave the padding in place
+ * @returns {{output: string, error?: string}}
+ */
+function decryptText(text, s, keepPad){
+  const out = s.chain.length > 1
+    ? decryptChain(text, s.chain, s.mode, s.scheme, s.unit, s.partial).at(-1)
+    : decryptPadded(text, s.chain[0], s.mode, s.scheme, s.unit, s.partial, s.params);
+  if(keepPad) return {output: out};
+  // Round 1 pads to the first key's length, so that is the block to unpad
+  const trimmed = removePadding(out, modeBlockLength(s.mode, s.chain[0], s.params), s.scheme, s.padChar, s.unit);
+  if(trimmed === null){
+    return {output: out, error: 'パディングが正しくありません。鍵かパディング方式が暗号化時と異なる可能性があります'};
+  }
+  return {output: trimmed};
+}
+
+function runKeygen(values, out){
+  const count = readInteger('count', values.count ?? '1', 1, 10000);
+  let keys;
+  if(values.keyword !== undefined){
+    // A keyword gives exactly one key of its own length
+    const extra = ['count', 'seed', 'length'].filter(name => values[name] !== undefined);
+    if(extra.length) throw new UsageError(`--keyword と ${extra.map(name => '--' + name).join(' / ')} は同時に指定できません`);
+    const perm = keywordToPermutation(values.keyword);
+    if(!perm) throw new UsageError(`キーワードから鍵を導出できません: ${values.keyword}`);
+    keys = [perm];
+  }else{
+    if(values.length === undefined) throw new UsageError('--length で鍵の長さを指定してください');
+    const n = readInteger('length', values.length, 2, 64);
+    // One seeded sequence for all keys, so --count 30 gives 30 different keys
+    const randomInt = values.seed !== undefined ? createSeededRandom(values.seed) : undefined;
+    keys = Array.from({length: count}, ()=> generateRandomPermutation(n, randomInt));
+  }
+  if(values.json){
+    out.json({command: 'keygen', keys: keys.map(k => ({
+      key: buildPatternString(k),
+      inverse: buildPatternString(inversePermutation(k)),
+    }))});
+  }else{
+    keys.forEach(k => out.line(buildPatternString(k)));
+  }
+  return 0;
+}
+
+function runCipher(command, values, files, out, readStdin){
+  const s = readSettings(values);
+  const records = readInputs(files, values.lines, readStdin);
+  const results = records.map(({source, text})=>{
+    const res = command === 'encrypt' ? {output: encryptText(text, s)} : decryptText(text, s, values['keep-pad']);
+    return {source, input: text, ...res};
+  });
+  const failed = results.filter(r => r.error);
+
+  if(values.json){
+    out.json({
+      command,
+      ...(s.params ? {params: s.params} : {keys: s.chain.map(buildPatternString)}),
+      mode: s.mode,
+      scheme: s.scheme,
+      padChar: s.padChar,
+      unit: s.unit,
+      partial: s.partial,
+      results,
+    });
+  }else{
+    results.forEach(r => out.line(r.output));
+    failed.forEach(r => out.error(`警告: ${r.source}: ${r.error}（パディングを残して出力）`));
+  }
+  return failed.length ? 1 : 0;
+}
+
+function runValidate(values, positionals, out, readStdin){
+  const inputs = [...(values.key || []), ...positionals];
+  const keys = inputs.length ? inputs
+    : readStdin().split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if(keys.length === 0) throw new UsageError('検証する鍵を指定してください');
+  const n = values.length === undefined ? undefined : readInteger('length', values.length, 2, 64);
+  const results = keys.map(input=>{
+    const res = checkKey(input, n);
+    return res.ok
+      ? {input, ok: true, key: buildPatternString(res.key), length: res.key.length}
+      : {input, ok: false, msg: res.msg};
+  });
+  if(values.json){
+    out.json({command: 'validate', results});
+  }else{
+    results.forEach(r => out.line(r.ok ? `OK\t${r.input}\t${r.key}` : `NG\t${r.input}\t${r.msg}`));
+  }
+  return results.every(r => r.ok) ? 0 : 1;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {{stdout: function(string): void, stderr: function(string): void, readStdin: function(): string}} io
+ * @returns {number} - Exit status
+ */
+export function main(argv, io){
+  const out = {
+    line: s => io.stdout(s + '\n'),
+    json: obj => io.stdout(JSON.stringify(obj, null, 2) + '\n'),
+    error: s => io.stderr(s + '\n'),
+  };
+  try{
+    const {values, positionals} = parseArgs({args: argv, options: OPTIONS, allowPositionals: true});
+    const [command, ...rest] = positionals;
+    if(values.help){
+      out.line(USAGE);
+      return 0;
+    }
+    if(!command){
+      out.error(USAGE);
+      return 2;
+    }
+    switch(command){
+      case 'keygen': return runKeygen(values, out);
+      case 'encrypt':
+      case 'decrypt': return runCipher(command, values, rest, out, io.readStdin);
+      case 'validate': return runValidate(values, rest, out, io.readStdin);
+      default: throw new UsageError(`不明なコマンドです: ${command}`);
+    }
+  }catch(e){
+    // parseArgs reports unknown options with ERR_PARSE_ARGS_* codes
+    if(e instanceof UsageError || String(e.code).startsWith('ERR_PARSE_ARGS')){
+      out.error(`エラー: ${e.message}`);
+      out.error('cipherlab --help で使い方を表示します');
+      return 2;
+    }
+    throw e;
+  }
+}
+
+// Run only when executed directly (npm links bin entries through a symlink)
+if(process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href){
+  process.exitCode = main(process.argv.slice(2), {
+    stdout: s => process.stdout.write(s),
+    stderr: s => process.stderr.write(s),
+    readStdin: () => readFileSync(0, 'utf8'),
+  });
+}
@@ -0,0 +1,869 @@
+/* ============================================================================
+ * Permutation CipherLab - Cryptanalysis
+ * ============================================================================
+ *
+ * DOM-free attacks used by the analysis tab:
+ * - recoverKeysFromKnownPlaintext / enumerateCandidateKeys (known plaintext)
+ * - detectBlockLengths / blockStatistics (block-length detection)
+ * - createEnglishScorer / searchCiphertextOnly (ciphertext-only search)
+ * - textStatistics / compareTextStatistics (frequency and bigram statistics)
+ * - assessKeyStrength (weak-key warnings for the key generation tab)
+ *
+ * ============================================================================
+ */
+
+import {
+  inversePermutation,
+  buildPatternString, generateRandomPermutation, permutationOrder,
+  splitUnits, padLength, padMarker, PAD_SCHEMES, applyPadding, removePadding, encryptPadded, decryptPadded
+} from './cipher-core.js';
+
+/* ============================================================================
+ * Known-Plaintext Key Recovery
+ * ============================================================================
+ * For a block length n, position i of every plaintext block holds a
+ * "column signature" (the characters at i across all blocks). A key can only
+ * send i to a ciphertext position j with the same signature, so positions
+ * sharing a signature form a group that can be matched in k! ways.
+ * The plaintext is padded the way the encryption tab would for each n. Blocks
+ * whose plaintext is not fully known (random filler, ciphertext stealing)
+ * are left out of the signatures, and so is a short last block permuted by
+ * a partial-block mode (only its letters are compared).
+ * A text of n+1..2n-1 units with ciphertext stealing has no block left for
+ * signatures: its key is searched by simulating the stolen window instead
+ * (searchStolenWindow).
+ * ============================================================================ */
+
+const STOLEN_KEY_LIMIT = 200;         // Keys kept for a single stolen window
+const STOLEN_SEARCH_STEPS = 200000;   // Destinations tried before the search gives up
+
+/**
+ * Factorial as a floating point number (exact up to 18!, approximate beyond)
+ * @param {number} k
+ * @returns {number}
+ */
+export function factorial(k){
+  let f = 1;
+  for(let i=2; i<=k; i++) f *= i;
+  return f;
+}
+
+/**
+ * Padded plaintext units for block length n, as encryption would produce them
+ * @param {string[]} units - Plaintext units
+ * @param {number} len - Ciphertext length in units
+ * @param {number} n - Block length
+ * @param {string} scheme - Key of PAD_SCHEMES
+ * @param {string} padChar - Padding character (fixed scheme only)
+ * @returns {Array<string|null>|null} - null entries are random filler; null if
+ *   the lengths cannot come from this scheme
+ */
+function knownPlaintextSource(units, len, n, scheme, padChar){
+  if(units.length === len) return scheme === 'random' || scheme === 'pkcs7' ? null : units;
+  if(scheme === 'fixed'){
+    // Only explainable as padding of the last block
+    if(!padChar || len % n !== 0 || len - units.length >= n) return null;
+    return units.concat(new Array(len - units.length).fill(padChar));
+  }
+  if(scheme !== 'random' && scheme !== 'pkcs7') return null;
+  const k = padLength(units.length, n);
+  if(units.length + k !== len) return null;
+  return scheme === 'pkcs7'
+    ? units.concat(new Array(k).fill(padMarker(k)))
+    : units.concat(new Array(k-1).fill(null), padMarker(k));
+}
+
+/**
+ * Keys that encrypt a text of n+1..2n-1 units with ciphertext stealing
+ * The first block is permuted, then the window over the last n units (the
+ * end of that output and the short tail) is permuted again. Keys are built
+ * position by position, and a destination is dropped as soon as a unit
+ * would land on a different ciphertext unit in either step.
+ * @param {string[]} plain - Plaintext units
+ * @param {string[]} cipher - Ciphertext units (same length)
+ * @param {number} n - Block length
+ * @returns {{keys: number[][], count: number, complete: boolean}} - The first
+ *   STOLEN_KEY_LIMIT keys in lexicographic order, how many were found, and
+ *   false if the search stopped after STOLEN_SEARCH_STEPS
+ */
+function searchStolenWindow(plain, cipher, n){
+  const r = plain.length - n;            // Units before the window
+  const dest = new Array(n).fill(-1);    // 0-based destination of each position
+  const from = new Array(n).fill(-1);    // Position sent to each destination
+  const keys = [];
+  let count = 0, steps = 0, complete = true;
+
+  const fits = (k, d)=>{
+    // Position k of the first block: stays before the window, or moves on with it
+    if(d < r){
+      if(cipher[d] !== plain[k]) return false;
+    }else{
+      const again = d - r === k ? d : dest[d - r];
+      if(again >= 0 && cipher[r + again] !== plain[k]) return false;
+    }
+    // Window position k: the tail of the plaintext, or a unit of the first block
+    const unit = k >= n - r ? plain[k + r] : (d === r + k ? plain[k] : plain[from[r + k]]);
+    return unit === undefined || cipher[r + d] === unit;
+  };
+  const walk = (k)=>{
+    if(k === n){
+      if(count++ < STOLEN_KEY_LIMIT) keys.push(dest.map(d => d + 1));
+      return;
+    }
+    for(let d=0; d<n && complete; d++){
+      if(from[d] >= 0) continue;
+      if(++steps > STOLEN_SEARCH_STEPS){
+        complete = false;
+        return;
+      }
+      if(!fits(k, d)) continue;
+      dest[k] = d;
+      from[d] = k;
+      walk(k + 1);
+      dest[k] = from[d] = -1;
+    }
+  };
+  walk(0);
+  return {keys, count, complete};
+}
+
+/**
+ * Find every block length and key that turn a plaintext into a ciphertext
+ * in block mode, with or without padding
+ * @param {string} plain - Known plaintext
+ * @param {string} cipher - Matching ciphertext
+ * @param {string} padChar - Padding character of the fixed scheme
+ * @param {number} maxN - Largest block length to try
+ * @param {object} options
+ * @param {string} options.scheme - Key of PAD_SCHEMES used for encryption
+ * @param {string} options.unit - Processing unit (see splitUnits)
+ * @param {string} options.partial - Short final block handling (key of PARTIAL_BLOCK_MODES)
+ * @returns {Array<{n: number, blocks: number, padded: boolean, keyCount: number,
+ *   ambiguous: number[], groups: Array<{positions: number[], targets: number[], column: string}>,
+ *   candidates: number[][], best: number[], keys?: number[][], complete?: boolean}>}
+ *   Matches, most specific first; blocks counts the blocks used as evidence.
+ *   A stolen window (see searchStolenWindow) lists its keys, as candidates
+ *   can allow combinations that do not fit, and complete is false when the
+ *   search gave up before finding them all
+ */
+export function recoverKeysFromKnownPlaintext(plain, cipher, padChar, maxN=64, options={}){
+  const {scheme='fixed', unit='utf16', partial='keep'} = options;
+  const results = [];
+  const plainUnits = splitUnits(plain, unit);
+  const cipherUnits = splitUnits(cipher, unit);
+  const len = cipherUnits.length;
+  if(len < 2 || plainUnits.length > len) return results;
+
+  for(let n=2; n<=Math.min(maxN, len); n++){
+    const source = knownPlaintextSource(plainUnits, len, n, scheme, padChar);
+    if(!source) continue;
+    const padded = source.length > plainUnits.length;
+    if(PAD_SCHEMES[scheme].steal && len > n && len < 2*n){
+      const {keys, count, complete} = searchStolenWindow(source, cipherUnits, n);
+      if(count === 0) continue;
+      const candidates = Array.from({length: n}, (_, i)=> [...new Set(keys.map(k => k[i]))].sort((a, b) => a - b));
+      const ambiguous = candidates.flatMap((c, i)=> c.length > 1 ? [i+1] : []);
+      results.push({n, blocks: 1, padded, keyCount: count, ambiguous, groups: [], candidates, best: keys[0], keys, complete});
+      continue;
+    }
+    let blocks = Math.floor(len / n);
+    if(source[len-2] === null || (PAD_SCHEMES[scheme].steal && len % n !== 0)){
+      // Unknown filler, or the last n units were permuted a second time
+      blocks--;
+    }else if(partial !== 'keep'){
+      // The short last block was permuted by its own rule: same letters, any order
+      const sorted = units => JSON.stringify(units.slice(blocks*n).sort());
+      if(sorted(source) !== sorted(cipherUnits)) continue;
+    }else if(source.slice(blocks*n).join('') !== cipherUnits.slice(blocks*n).join('')){
+      // Without padding a short last block is passed through unchanged
+      continue;
+    }
+    if(blocks < 1) continue;
+
+    const signature = (units, i)=>{
+      const chars = [];
+      for(let b=0; b<blocks; b++) chars.push(units[b*n + i]);
+      return JSON.stringify(chars);
+    };
+    const targetsBySig = new Map();
+    for(let j=0; j<n; j++){
+      const sig = signature(cipherUnits, j);
+      if(!targetsBySig.has(sig)) targetsBySig.set(sig, []);
+      targetsBySig.get(sig).push(j+1);
+    }
+    const positionsBySig = new Map();
+    for(let i=0; i<n; i++){
+      const sig = signature(source, i);
+      if(!positionsBySig.has(sig)) positionsBySig.set(sig, []);
+      positionsBySig.get(sig).push(i+1);
+    }
+
+    let ok = positionsBySig.size === targetsBySig.size;
+    for(const [sig, positions] of positionsBySig){
+      if(!ok) break;
+      ok = (targetsBySig.get(sig) || []).length === positions.length;
+    }
+    if(!ok) continue;
+
+    const candidates = new Array(n);
+    const best = new Array(n);
+    const groups = [];
+    let keyCount = 1;
+    for(const [sig, positions] of positionsBySig){
+      const targets = targetsBySig.get(sig);
+      // Best guess keeps equal columns in their original left-to-right order
+      positions.forEach((i, k)=>{
+        candidates[i-1] = targets;
+        best[i-1] = targets[k];
+      });
+      keyCount *= factorial(positions.length);
+      if(positions.length > 1){
+        groups.push({positions, targets, column: JSON.parse(sig).join('')});
+      }
+    }
+    const ambiguous = groups.flatMap(g => g.positions).sort((a, b) => a - b);
+    results.push({n, blocks, padded, keyCount, ambiguous, groups, candidates, best});
+  }
+
+  return results.sort((a, b) => a.keyCount - b.keyCount || a.n - b.n);
+}
+
+/**
+ * Whether a key encrypts the plaintext to the ciphertext in block mode
+ * Random filler cannot be repeated, so that scheme decrypts instead.
+ * @param {string} plain - Known plaintext
+ * @param {string} cipher - Matching ciphertext
+ * @param {number[]} perm - Key to check
+ * @param {string} padChar - Padding character of the fixed scheme
+ * @param {object} options - {scheme, unit, partial} as for recoverKeysFromKnownPlaintext
+ * @returns {boolean}
+ */
+export function keyFitsKnownPlaintext(plain, cipher, perm, padChar, options={}){
+  const {scheme='fixed', unit='utf16', partial='keep'} = options;
+  const n = perm.length;
+  if(scheme === 'random'){
+    const padded = decryptPadded(cipher, perm, 'block', scheme, unit, partial);
+    return removePadding(padded, n, scheme, padChar, unit) === plain;
+  }
+  const encrypt = (text, sch)=>
+    encryptPadded(applyPadding(text, n, sch, padChar, unit), perm, 'block', sch, unit, partial);
+  // A fixed-scheme ciphertext may also have been made without a pad character
+  return encrypt(plain, scheme) === cipher || (scheme === 'fixed' && encrypt(plain, 'none') === cipher);
+}
+
+/**
+ * List keys allowed by per-position candidates
+ * @param {number[][]} candidates - Allowed destinations (1-based) per position
+ * @param {number} limit - Maximum number of keys to return
+ * @returns {number[][]} - Keys in lexicographic order
+ */
+export function enumerateCandidateKeys(candidates, limit=200){
+  const n = candidates.length;
+  const keys = [];
+  const used = new Set();
+  const current = [];
+  const walk = (i)=>{
+    if(keys.length >= limit) return;
+    if(i === n){
+      keys.push([...current]);
+      return;
+    }
+    for(const j of candidates[i]){
+      if(used.has(j)) continue;
+      used.add(j);
+      current.push(j);
+      walk(i+1);
+      current.pop();
+      used.delete(j);
+    }
+  };
+  walk(0);
+  return keys;
+}
+
+/* ============================================================================
+ * Ciphertext-Only Attack (n-gram scoring)
+ * ============================================================================
+ * Candidate decryptions are scored by how English-like they look. Small
+ * block lengths are searched exhaustively; larger ones use simulated
+ * annealing. The search yields to the event loop regularly so the page
+ * stays responsive, and can be cancelled.
+ * ============================================================================ */
+
+// English bigram frequencies in percent (Norvig, Google Books corpus, top 50)
+const ENGLISH_BIGRAMS = {
+  TH:3.56, HE:3.07, IN:2.43, ER:2.05, AN:1.99, RE:1.85, ON:1.76, AT:1.49, EN:1.45, ND:1.35,
+  TI:1.34, ES:1.34, OR:1.28, TE:1.20, OF:1.17, ED:1.17, IS:1.13, IT:1.12, AL:1.09, AR:1.07,
+  ST:1.05, TO:1.04, NT:1.04, NG:0.95, SE:0.93, HA:0.93, AS:0.87, OU:0.87, IO:0.83, LE:0.83,
+  VE:0.83, CO:0.79, ME:0.79, DE:0.76, HI:0.76, RI:0.73, RO:0.73, IC:0.70, NE:0.69, EA:0.69,
+  RA:0.69, CE:0.65, LI:0.62, CH:0.60, LL:0.58, BE:0.58, MA:0.57, SI:0.55, OM:0.55, UR:0.54,
+};
+
+// Plain English sample. Bigrams outside the table above and all quadgrams
+// are counted from this text when the scorer is built.
+const ENGLISH_SAMPLE = [
+  'It was late in the evening when the letter finally arrived at the small house near the river.',
+  'The old man opened it slowly and read every line twice before he said anything to his daughter.',
+  'She had been waiting for news about her brother, who had left the village many years ago to work in the city.',
+  'According to the letter, he was now living in a quiet street on the other side of the country and would return before the end of the summer.',
+  'They talked about it for hours, and neither of them could sleep that night.',
+  'In the morning the weather changed, and a cold wind came down from the mountains.',
+  'People in the market were saying that the bridge might be closed because the water was rising so quickly.',
+  'The government had promised to build a new road, but nothing had happened, and most families simply accepted the situation.',
+  'Children still walked to school through the fields, carrying their books and something to eat for lunch.',
+  'There is a simple reason why transposition ciphers were used for such a long time: they are easy to learn and quick to apply by hand.',
+  'A message is written in rows, the columns are rearranged according to a secret key, and the result is sent as a single line of letters.',
+  'Anyone who intercepts the message sees only a strange mixture of familiar characters.',
+  'However, the letters themselves have not changed, so the frequency of each one remains exactly the same as in ordinary English.',
+  'An experienced analyst would therefore suspect a transposition immediately and try to restore the original order.',
+  'During the war, officers were trained to recognise common patterns such as the, and, that, with, from, this, which and there.',
+  'They would cut the ciphertext into strips, move them against each other and look for places where natural words began to appear.',
+  'The work required patience, good notes and a quiet room, but it often succeeded within a few hours.',
+  'Modern computers perform the same search in a fraction of a second by measuring how much each attempt looks like real language.',
+  'What matters most is not any single word but the overall shape of the text, the way vowels and consonants follow one another.',
+  'For example, the letter q is almost always followed by u, and groups like ing, tion, ment and ould appear again and again.',
+  'When you have read enough English, you notice these patterns without thinking about them at all.',
+  'Our teacher explained that every language has its own rhythm, and that a good student should listen to it carefully.',
+  'We spent the afternoon writing short messages to each other, encrypting them with different keys and then trying to break them.',
+  'Some of the keys were found very quickly, while others remained a mystery until the very end of the lesson.',
+  'By the time the bell rang, everyone understood why longer keys and several rounds of encryption make the problem much harder.',
+  'Important information should always be protected, and it is worth knowing how much protection an old method can really give.',
+  'Please meet me at the station after midnight and bring the documents, the maps and the photographs we discussed yesterday.',
+  'If anything goes wrong, do not wait for me; take the first train to the north and contact our friend at the usual address.',
+].join(' ');
+
+/**
+ * Build log10 probability tables for English bigrams and quadgrams
+ * @returns {{bi: Map<string, number>, quad: Map<string, number>, biFloor: number, quadFloor: number}}
+ */
+function buildEnglishNgramModel(){
+  const sample = ENGLISH_SAMPLE.toUpperCase().replace(/[^A-Z]/g, '');
+  const biCounts = new Map();
+  const quadCounts = new Map();
+  for(let i=0; i+1<sample.length; i++){
+    const b = sample.slice(i, i+2);
+    biCounts.set(b, (biCounts.get(b) || 0) + 1);
+    if(i+3 < sample.length){
+      const q = sample.slice(i, i+4);
+      quadCounts.set(q, (quadCounts.get(q) || 0) + 1);
+    }
+  }
+
+  const bi = new Map();
+  biCounts.forEach((count, b)=> bi.set(b, Math.log10(count / (sample.length - 1))));
+  Object.entries(ENGLISH_BIGRAMS).forEach(([b, pct])=> bi.set(b, Math.log10(pct / 100)));
+  const quadTotal = sample.length - 3;
+  const quad = new Map();
+  quadCounts.forEach((count, q)=> quad.set(q, Math.log10(count / quadTotal)));
+  // Unseen n-grams get a fraction of a single observation
+  return {
+    bi,
+    quad,
+    biFloor: Math.log10(0.1 / (sample.length - 1)),
+    quadFloor: Math.log10(0.3 / quadTotal),
+  };
+}
+
+/**
+ * Build a scoring function for English-likeness
+ * Only letters are scored, so spaces and punctuation moved by the
+ * transposition do not matter. Higher (less negative) is better.
+ * @returns {function(string): number} - Sum of log10 probabilities
+ */
+export function createEnglishScorer(){
+  const {bi, quad, biFloor, quadFloor} = buildEnglishNgramModel();
+
+  return (text)=>{
+    const letters = text.toUpperCase().replace(/[^A-Z]/g, '');
+    let score = 0;
+    for(let i=0; i+1<letters.length; i++){
+      score += bi.get(letters.slice(i, i+2)) ?? biFloor;
+      if(i+3 < letters.length){
+        score += quad.get(letters.slice(i, i+4)) ?? quadFloor;
+      }
+    }
+    return score;
+  };
+}
+
+/**
+ * Generate every permutation of 1..n (Heap's algorithm)
+ * @param {number} n
+ * @yields {number[]} - Permutation (the same array is reused; copy to keep)
+ */
+function* permutationsOf(n){
+  const a = Array.from({length:n}, (_,i)=>i+1);
+  const c = new Array(n).fill(0);
+  yield a;
+  let i = 0;
+  while(i < n){
+    if(c[i] < i){
+      const j = i % 2 === 0 ? 0 : c[i];
+      [a[j], a[i]] = [a[i], a[j]];
+      yield a;
+      c[i]++;
+      i = 0;
+    }else{
+      c[i] = 0;
+      i++;
+    }
+  }
+}
+
+/**
+ * Insert a candidate into a best-first list of at most k entries
+ * @param {Array<{key: number[], score: number}>} list - Current top-k (mutated)
+ * @param {{key: number[], score: number}} cand - Candidate to insert
+ * @param {number} k - List size
+ */
+function pushTopCandidate(list, cand, k){
+  const id = buildPatternString(cand.key);
+  const existing = list.find(c => buildPatternString(c.key) === id);
+  if(existing){
+    if(existing.score >= cand.score) return;
+    list.splice(list.indexOf(existing), 1);
+  }
+  if(list.length >= k && cand.score <= list[list.length-1].score) return;
+  list.push(cand);
+  list.sort((a, b) => b.score - a.score);
+  if(list.length > k) list.length = k;
+}
+
+/**
+ * Search for the permutation key using only the ciphertext
+ * @param {string} cipher - Ciphertext
+ * @param {object} options
+ * @param {number[]} options.lengths - Block lengths to try (in units)
+ * @param {number} options.topK - Number of candidates to keep
+ * @param {string} options.padChar - Padding character of the fixed scheme
+ * @param {string} options.scheme - Padding scheme (key of PAD_SCHEMES), removed before scoring
+ * @param {string} options.unit - Processing unit (see splitUnits)
+ * @param {string} options.partial - Short final block handling (key of PARTIAL_BLOCK_MODES)
+ * @param {number} options.exhaustiveMax - Largest n searched exhaustively
+ * @param {number} options.iterations - Annealing steps per restart
+ * @param {number} options.restarts - Annealing restarts per block length
+ * @param {function(number): void} onProgress - Called with progress 0..1
+ * @param {{cancelled: boolean}} job - Set job.cancelled to stop early
+ * @returns {Promise<Array<{n: number, key: number[], score: number, plaintext: string}>>}
+ */
+export async function searchCiphertextOnly(cipher, options, onProgress=()=>{}, job={cancelled:false}){
+  const {lengths, topK=10, padChar='', scheme='fixed', unit='utf16', partial='keep',
+    exhaustiveMax=8, iterations=4000, restarts=6} = options;
+  const score = createEnglishScorer();
+  const top = [];
+  const length = splitUnits(cipher, unit).length;
+  // dec decrypts, so its inverse is the key: decrypt and unpad as the
+  // decryption tab does (wrong keys may leave malformed padding in place)
+  const decryptWith = (dec)=>{
+    const out = decryptPadded(cipher, inversePermutation(dec), 'block', scheme, unit, partial);
+    return removePadding(out, dec.length, scheme, padChar, unit) ?? out;
+  };
+  const consider = (n, dec, s, plaintext)=>{
+    pushTopCandidate(top, {n, key: inversePermutation(dec), score: s, plaintext}, topK);
+  };
+
+  // Estimate work so progress is roughly linear across block lengths
+  const workOf = (n)=> n <= exhaustiveMax ? factorial(n) : iterations * restarts;
+  const totalWork = lengths.reduce((acc, n)=> acc + workOf(n), 0) || 1;
+  let done = 0;
+  let lastYield = Date.now();
+  const maybeYield = async ()=>{
+    if(Date.now() - lastYield < 30) return;
+    onProgress(done / totalWork);
+    await new Promise(r => setTimeout(r, 0));
+    lastYield = Date.now();
+  };
+
+  for(const n of lengths){
+    if(job.cancelled) break;
+    if(n <= exhaustiveMax){
+      for(const dec of permutationsOf(n)){
+        const plaintext = decryptWith(dec);
+        consider(n, [...dec], score(plaintext), plaintext);
+        done++;
+        if((done & 255) === 0){
+          await maybeYield();
+          if(job.cancelled) break;
+        }
+      }
+      continue;
+    }
+
+    for(let r=0; r<restarts && !job.cancelled; r++){
+      let parent = generateRandomPermutation(n);
+      let parentScore = score(decryptWith(parent));
+      const t0 = Math.max(1, length / 20);
+      for(let it=0; it<iterations; it++){
+        const child = [...parent];
+        const a = Math.floor(Math.random()*n);
+        let b = Math.floor(Math.random()*(n-1));
+        if(b >= a) b++;
+        const move = Math.random();
+        if(move < 0.7){
+          [child[a], child[b]] = [child[b], child[a]];
+        }else{
+          // Reverse a slice: keeps neighbouring columns together
+          const lo = Math.min(a, b), hi = Math.max(a, b);
+          const rev = child.slice(lo, hi+1).reverse();
+          child.splice(lo, rev.length, ...rev);
+        }
+        const plaintext = decryptWith(child);
+        const s = score(plaintext);
+        const temp = t0 * (1 - it / iterations) + 1e-3;
+        if(s > parentScore || Math.random() < Math.exp((s - parentScore) / temp)){
+          parent = child;
+          parentScore = s;
+          consider(n, child, s, plaintext);
+        }
+        done++;
+        if((it & 127) === 0){
+          await maybeYield();
+          if(job.cancelled) break;
+        }
+      }
+    }
+  }
+  onProgress(1);
+  return top;
+}
+
+/* ============================================================================
+ * Block-Length Detection
+ * ============================================================================
+ * Ranks likely block lengths before any key search. Each n gets several
+ * clues that are combined into one score:
+ * - divides:  padded ciphertexts are a multiple of n (not expected without
+ *             padding or with ciphertext stealing, which keep the length)
+ * - pad:      the padding of the scheme sits inside the last block: pad
+ *             characters (fixed), k copies of the length marker k (pkcs7)
+ *             or one marker k (random) found nowhere before it
+ * - vowels:   every block is an anagram of a plaintext block, so vowel
+ *             counts per block vary less than for a random split
+ * - contact:  some column pairs form English bigrams in every block
+ * The vowel and contact statistics are turned into z-scores against
+ * shuffled copies of the ciphertext, so short and long n compare fairly.
+ * ============================================================================ */
+
+const VOWELS = new Set(['A','E','I','O','U']);
+const DETECT_SHUFFLES = 12;  // Shuffled copies used as the null distribution
+
+/**
+ * Vowel and contact statistics for one split of the text into n-blocks
+ * @param {Array<string|string[]>} blocks - Full blocks (uppercase), as strings or unit arrays
+ * @param {number} n - Block length
+ * @param {{bi: Map<string, number>, biFloor: number}} model - Bigram table
+ * @returns {{vowel: number, contact: number}}
+ */
+export function blockStatistics(blocks, n, model){
+  const isLetter = (ch)=> ch >= 'A' && ch <= 'Z';
+
+  // Vowel counts per block compared with a binomial spread
+  let letters = 0, vowels = 0;
+  const counts = blocks.map(b => {
+    let l = 0, v = 0;
+    for(const ch of b){
+      if(isLetter(ch)){ l++; if(VOWELS.has(ch)) v++; }
+    }
+    letters += l; vowels += v;
+    return {l, v};
+  });
+  const p = letters ? vowels / letters : 0;
+  let observed = 0, expected = 0;
+  counts.forEach(c=>{
+    observed += Math.pow(c.v - c.l * p, 2);
+    expected += c.l * p * (1 - p);
+  });
+  const vowel = expected > 0 ? 1 - observed / expected : 0;
+
+  // Contact: for each column, how much its best partner beats the average
+  let contact = 0;
+  for(let i=0; i<n; i++){
+    let best = -Infinity, sum = 0;
+    for(let j=0; j<n; j++){
+      if(i === j) continue;
+      let s = 0, pairs = 0;
+      blocks.forEach(b=>{
+        if(isLetter(b[i]) && isLetter(b[j])){
+          s += model.bi.get(b[i] + b[j]) ?? model.biFloor;
+          pairs++;
+        }
+      });
+      const avg = pairs ? s / pairs : model.biFloor;
+      best = Math.max(best, avg);
+      sum += avg;
+    }
+    contact += best - sum / (n - 1);
+  }
+  return {vowel, contact: contact / n};
+}
+
+/**
+ * Padding evidence in the last block of a split into n-blocks
+ * @param {string[]} units - Ciphertext units
+ * @param {number} n - Block length
+ * @param {string} scheme - Key of PAD_SCHEMES
+ * @param {string} padChar - Padding character of the fixed scheme
+ * @returns {number} - Padding length found (0 if none)
+ */
+function lastBlockPadding(units, n, scheme, padChar){
+  const last = units.slice(-n);
+  const count = (list, ch)=> list.reduce((c, u)=> c + (u === ch ? 1 : 0), 0);
+  if(scheme === 'fixed'){
+    // Pad characters: only in the final block, and fewer than n of them
+    const k = padChar ? count(last, padChar) : 0;
+    return k < n && count(units.slice(-2*n, -n), padChar) === 0 ? k : 0;
+  }
+  if(scheme !== 'pkcs7' && scheme !== 'random') return 0;
+  const before = units.slice(0, -n);
+  // Padding adds 1..n units; the longest that fits is the best guess
+  for(let k=n; k>=1; k--){
+    const marker = padMarker(k);
+    const found = count(last, marker);
+    if(found === 0 || before.includes(marker)) continue;
+    if(scheme === 'random' || found === k) return k;
+  }
+  return 0;
+}
+
+/**
+ * Rank block lengths by how well they explain the ciphertext
+ * @param {string} cipher - Ciphertext
+ * @param {string} padChar - Padding character used when encrypting ('' if unknown)
+ * @param {number} maxN - Largest block length to consider
+ * @param {object} options
+ * @param {string} options.scheme - Padding scheme (key of PAD_SCHEMES)
+ * @param {string} options.unit - Processing unit (see splitUnits); lengths are counted in units
+ * @returns {Array<{n: number, score: number, divides: boolean, padCount: number, padFits: boolean, vowelZ: number, contactZ: number}>} - Sorted by score, best first
+ */
+export function detectBlockLengths(cipher, padChar='', maxN=32, options={}){
+  const {scheme='fixed', unit='utf16'} = options;
+  const model = buildEnglishNgramModel();
+  const units = splitUnits(cipher, unit);
+  const upper = units.map(u => u.toUpperCase());
+  // Without padding, and with stealing, any length is possible
+  const fills = scheme !== 'none' && !PAD_SCHEMES[scheme].steal;
+
+  // Deterministic shuffles so the ranking is stable between runs
+  let seed = 0x9e3779b9;
+  const rand = ()=>{
+    seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+    return seed / 0x100000000;
+  };
+  const shuffled = Array.from({length: DETECT_SHUFFLES}, ()=>{
+    const chars = upper.slice();
+    for(let i=chars.length-1; i>0; i--){
+      const j = Math.floor(rand() * (i + 1));
+      [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars;
+  });
+  const zScore = (value, nulls)=>{
+    const mean = nulls.reduce((a, v)=> a + v, 0) / nulls.length;
+    const sd = Math.sqrt(nulls.reduce((a, v)=> a + (v - mean) ** 2, 0) / nulls.length);
+    return sd > 0 ? (value - mean) / sd : 0;
+  };
+
+  const rows = [];
+  for(let n=2; n<=Math.min(maxN, Math.floor(units.length / 2)); n++){
+    const divides = units.length % n === 0;
+    // Stealing permutes the last n units again, which mixes the last full block
+    const full = Math.floor(units.length / n) - (PAD_SCHEMES[scheme].steal && !divides ? 1 : 0);
+    const fullBlocks = (list)=> Array.from({length: full}, (_, b)=> list.slice(b * n, (b + 1) * n));
+
+    const padCount = divides ? lastBlockPadding(units, n, scheme, padChar) : 0;
+    const padFits = padCount > 0;
+
+    const stats = blockStatistics(fullBlocks(upper), n, model);
+    const nulls = shuffled.map(s => blockStatistics(fullBlocks(s), n, model));
+    const vowelZ = zScore(stats.vowel, nulls.map(s => s.vowel));
+    const contactZ = zScore(stats.contact, nulls.map(s => s.contact));
+
+    rows.push({
+      n, divides, padCount, padFits, vowelZ, contactZ,
+      score: contactZ + vowelZ + (divides && fills ? 1 : 0) + (padFits ? 2 : 0),
+    });
+  }
+  return rows.sort((a, b) => b.score - a.score || a.n - b.n);
+}
+
+/* ============================================================================
+ * Text Statistics
+ * ============================================================================
+ * Letter frequencies, index of coincidence and bigram counts for the
+ * statistics card. A transposition only moves letters, so the letter counts
+ * and the index of coincidence of plaintext and ciphertext are identical,
+ * while the bigrams (which letter follows which) are broken up. A
+ * substitution cipher does the opposite.
+ * ============================================================================ */
+
+export const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+export const ENGLISH_IOC = 0.0667;  // Typical English text
+export const RANDOM_IOC = 1 / 26;   // Letters drawn uniformly at random
+
+/**
+ * Letter, bigram and coincidence statistics of a text
+ * Only A-Z count (case-insensitive). Bigrams are neighbours once everything
+ * else is removed, so spaces moved by the transposition do not matter.
+ * @param {string} text
+ * @returns {{letters: number, others: number, counts: number[], bigrams: number[],
+ *   bigramTotal: number, ioc: number}} - counts[i] for letter i (A = 0);
+ *   bigrams[i * 26 + j] for letter i followed by letter j
+ */
+export function textStatistics(text){
+  const counts = new Array(26).fill(0);
+  const bigrams = new Array(26 * 26).fill(0);
+  let letters = 0, others = 0, prev = -1;
+  for(const ch of text.toUpperCase()){
+    const i = ch.charCodeAt(0) - 65;
+    if(ch.length !== 1 || i < 0 || i >= 26){
+      if(!/\s/.test(ch)) others++;
+      continue;
+    }
+    counts[i]++;
+    letters++;
+    if(prev >= 0) bigrams[prev * 26 + i]++;
+    prev = i;
+  }
+  const coincidences = counts.reduce((sum, c) => sum + c * (c - 1), 0);
+  return {
+    letters,
+    others,
+    counts,
+    bigrams,
+    bigramTotal: Math.max(0, letters - 1),
+    ioc: letters > 1 ? coincidences / (letters * (letters - 1)) : 0,
+  };
+}
+
+/**
+ * Shared mass of two count tables as relative frequencies: Σ min(p, q)
+ * @returns {number} - 1 for the same distribution, 0 for nothing in common
+ */
+function distributionOverlap(a, totalA, b, totalB){
+  if(!totalA || !totalB) return 0;
+  let shared = 0;
+  a.forEach((count, i)=>{ shared += Math.min(count / totalA, b[i] / totalB); });
+  return shared;
+}
+
+/**
+ * Compare two texts, usually a plaintext and its ciphertext
+ * @param {ReturnType<typeof textStatistics>} a
+ * @param {ReturnType<typeof textStatistics>} b
+ * @param {number} top - Number of bigrams of a to list
+ * @returns {{sameLetters: boolean, letterDifferences: Array<{letter: string, a: number, b: number}>,
+ *   letterOverlap: number, bigramOverlap: number, topBigrams: Array<{bigram: string, a: number, b: number}>}}
+ *   letterDifferences lists letters counted differently (padding, for example);
+ *   topBigrams are the most frequent bigrams of a with their counts in b
+ */
+export function compareTextStatistics(a, b, top=10){
+  const topBigrams = a.bigrams
+    .map((count, i) => ({bigram: ALPHABET[Math.floor(i / 26)] + ALPHABET[i % 26], a: count, b: b.bigrams[i]}))
+    .filter(row => row.a > 0)
+    .sort((x, y) => y.a - x.a || y.b - x.b || x.bigram.localeCompare(y.bigram))
+    .slice(0, top);
+  const letterDifferences = [...ALPHABET]
+    .map((letter, i) => ({letter, a: a.counts[i], b: b.counts[i]}))
+    .filter(row => row.a !== row.b);
+  return {
+    sameLetters: letterDifferences.length === 0,
+    letterDifferences,
+    letterOverlap: distributionOverlap(a.counts, a.letters, b.counts, b.letters),
+    bigramOverlap: distributionOverlap(a.bigrams, a.bigramTotal, b.bigrams, b.bigramTotal),
+    topBigrams,
+  };
+}
+
+/* ============================================================================
+ * Key Strength
+ * ============================================================================
+ * validatePermutation only checks that a key is a permutation, so keys that
+ * barely move anything (1-2-3-4, 2-1-4-3) pass. assessKeyStrength measures
+ * what a reader of the ciphertext gets for free:
+ * - fixed points: letters that stay where they were
+ * - contact: plaintext neighbours (i, i+1) that are still neighbours in the
+ *   ciphertext, so digraphs like TH and HE survive
+ * - involution: encrypting twice gives the plaintext back
+ * - keyspace: log2(n!) bits and the time to try every key
+ * A large keyspace does not make a transposition safe: anagramming recovers
+ * the key without trying them all.
+ * ============================================================================ */
+
+export const KEY_STRENGTH_LEVELS = {
+  weak: { label: '弱い鍵' },
+  fair: { label: '注意が必要' },
+  good: { label: '大きな弱点なし' },
+};
+
+// Keys per second for the brute-force estimate (one PC, rough order)
+export const BRUTE_FORCE_RATE = 1e9;
+// Below this many bits every key can be tried within seconds to hours
+const WEAK_KEYSPACE_BITS = 40;
+
+/**
+ * Assess how much a key leaves readable
+ * @param {number[]} perm - Valid permutation (1-based destinations)
+ * @returns {{n: number, identity: boolean, nearIdentity: boolean, fixedPoints: number[],
+ *   meanShift: number, involution: boolean, adjacentPairs: number, reversedPairs: number,
+ *   pairCount: number, order: number, keyspaceBits: number, bruteForceSeconds: number,
+ *   rating: string, warnings: Array<{level: 'danger'|'warning'|'info', msg: string}>}}
+ *   rating is a key of KEY_STRENGTH_LEVELS
+ */
+export function assessKeyStrength(perm){
+  const n = perm.length;
+  const fixedPoints = [];
+  let shift = 0;
+  perm.forEach((dest, i)=>{
+    if(dest === i + 1) fixedPoints.push(i + 1);
+    shift += Math.abs(dest - (i + 1));
+  });
+  const meanShift = shift / n;
+  let adjacentPairs = 0, reversedPairs = 0;
+  for(let i=0; i<n-1; i++){
+    if(perm[i+1] === perm[i] + 1) adjacentPairs++;
+    else if(perm[i+1] === perm[i] - 1) reversedPairs++;
+  }
+  const pairCount = n - 1;
+  const order = permutationOrder(perm);
+  const identity = order === 1;
+  const nearIdentity = !identity && (fixedPoints.length * 2 >= n || meanShift <= 1);
+  let keyspaceBits = 0;
+  for(let i=2; i<=n; i++) keyspaceBits += Math.log2(i);
+  const bruteForceSeconds = factorial(n) / BRUTE_FORCE_RATE;
+
+  const warnings = [];
+  if(identity){
+    warnings.push({level:'danger', msg:'恒等置換です。文字がひとつも動かず、暗号文は平文とまったく同じになります'});
+  }else if(nearIdentity){
+    warnings.push({level:'danger', msg: fixedPoints.length * 2 >= n
+      ? `${n} 文字中 ${fixedPoints.length} 文字が元の位置のままです。平文の半分以上がそのまま読めます`
+      : `どの文字も元の位置かすぐ隣にとどまります（平均移動量 ${meanShift.toFixed(1)}）。暗号文を眺めるだけで平文が読めてしまいます`});
+  }else if(fixedPoints.length > 0){
+    warnings.push({level:'info', msg:`位置 ${fixedPoints.join(', ')} の文字は元の位置のままです`});
+  }
+  if(order === 2){
+    warnings.push({level:'warning', msg: reversedPairs === pairCount && n > 2
+      ? 'ブロックを逆順に並べただけの鍵です。暗号化と復号が同じ操作になります'
+      : '対合（自分自身が逆置換）です。暗号化と復号が同じ操作なので、暗号文をもう一度暗号化すると平文に戻ります'});
+  }else if(order === 3){
+    warnings.push({level:'info', msg:'位数が 3 と小さく、3回暗号化すると平文に戻ります'});
+  }
+  if(!identity && n > 2 && adjacentPairs * 2 >= pairCount){
+    warnings.push({level:'warning', msg:`隣り合う文字の組 ${pairCount} 組中 ${adjacentPairs} 組が、暗号文でも同じ順で隣り合っています。TH・HE などの連接が残り、アナグラムで解く手がかりになります`});
+  }else if(!identity && adjacentPairs > 0){
+    warnings.push({level:'info', msg:`隣り合う文字の組 ${pairCount} 組中 ${adjacentPairs} 組が、暗号文でも同じ順で隣り合っています`});
+  }
+  if(keyspaceBits < WEAK_KEYSPACE_BITS){
+    let safeLength = n, bits = keyspaceBits;
+    while(bits < WEAK_KEYSPACE_BITS) bits += Math.log2(++safeLength);
+    warnings.push({level:'warning', msg:`鍵の候補は ${n}! 通り（約 ${keyspaceBits.toFixed(1)} ビット）しかなく、すべて試してもすぐに終わります。総当たりを難しくするにはパターン長を ${safeLength} 以上にしてください`});
+  }
+
+  const rating = warnings.some(w => w.level === 'danger') ? 'weak'
+    : warnings.some(w => w.level === 'warning') ? 'fair' : 'good';
+  return {
+    n, identity, nearIdentity, fixedPoints, meanShift, involution: order === 2,
+    adjacentPairs, reversedPairs, pairCount, order, keyspaceBits, bruteForceSeconds,
+    rating, warnings,
+  };
+}
@@ -0,0 +1,1517 @@
+/* ============================================================================
+ * Permutation CipherLab - Cipher Core
+ * ============================================================================
+ *
+ * DOM-free cipher primitives shared by the page (script.js), the unit tests
+ * and any Node script:
+ *
+ *   import { parsePattern, encryptPadded, decryptPadded } from './cipher-core.js';
+ *
+ * API:
+ * - Patterns:      parsePattern, validatePermutation, inversePermutation,
+ *                  buildPatternString, generateRandomPermutation,
+ *                  keywordToPermutation, parseKeyInput
+ * - Classical:     railFencePermutation, railFenceRails, ROUTES,
+ *                  routePermutation, routeMessagePermutation (rail fence /
+ *                  route ciphers as keys and as whole-message modes)
+ * - Randomness:    RANDOM_SOURCES, secureRandomInt, createSeededRandom,
+ *                  uniformInt, derivePermutation (async, Web Crypto),
+ *                  DERIVE_ITERATIONS
+ * - Text units:    splitUnits, chunkBy, blockView, applyPermutation(ToBlock),
+ *                  trimRightPad
+ * - Modes/chains:  CIPHER_MODES, checkModeParams, modeBlockLength,
+ *                  columnarEncrypt/Decrypt, composePermutations,
+ *                  encryptChain, decryptChain, chainEquivalentPermutation
+ * - Padding:       PAD_SCHEMES, PARTIAL_BLOCK_MODES, applyPadding,
+ *                  removePadding, encryptPadded, decryptPadded,
+ *                  transformInChunks (long texts, with progress)
+ * - Preprocessing: PREPROCESS_DEFAULTS, preprocessText, restoreStripped,
+ *                  groupUnits, ungroupUnits, parseStripped, isStrippedList
+ * - Algebra:       permutationCycles, formatCycles, permutationOrder,
+ *                  permutationParity, permutationPower, cycleType, ...
+ *
+ * Patterns are 1-based arrays where perm[i] is the destination of position i.
+ * Functions signal invalid input by returning null (parsers, padding removal)
+ * or a Japanese message string (validatePermutation) instead of throwing.
+ *
+ * ============================================================================
+ */
+
+/* ============================================================================
+ * Core Cryptographic Functions
+ * ============================================================================ */
+
+/**
+ * Parse pattern string into array of integers
+ * Accepts multiple delimiters: hyphen, space, comma, Japanese comma
+ * @param {string} str - Pattern string (e.g., "3-1-4-2")
+ * @param {number} n - Expected length (optional, for validation)
+ * @returns {number[]|null} - Parsed pattern or null if invalid
+ */
+export function parsePattern(str, n){
+  // Accept forms like "3-1-4-2" or "3 1 4 2" or "3,1,4,2"
+  if(!str) return null;
+
+  // Trim and check for trailing delimiters
+  const trimmed = str.trim();
+  if(/[\s,\-，、]$/.test(trimmed)){
+    return null; // Ends with delimiter
+  }
+
+  const parts = trimmed.split(/[\s,\-，、]+/).filter(Boolean);
+
+  // Check if all parts are valid integers
+  const numbers = parts.map(x => {
+    const num = parseInt(x, 10);
+    // Check if parsing succeeded and the string representation matches
+    if(isNaN(num) || String(num) !== x.trim()){
+      return NaN;
+    }
+    return num;
+  });
+
+  if(numbers.some(Number.isNaN)) return null;
+  if(n && numbers.length !== n) return null;
+  return numbers;
+}
+
+/**
+ * Validate permutation pattern
+ * Ensures pattern is a valid permutation of 1..n
+ * @param {number[]} perm - Permutation array to validate
+ * @returns {{ok: boolean, msg?: string}} - Validation result
+ */
+export function validatePermutation(perm){
+  if(!Array.isArray(perm) || perm.length<2) {
+    return {ok:false, msg:'長さ2以上のパターンを指定してください'};
+  }
+
+  const n = perm.length;
+
+  // Check for non-positive integers
+  if(perm.some(x => x < 1 || !Number.isInteger(x))){
+    return {ok:false, msg:'1以上の整数のみ使用できます'};
+  }
+
+  // Check for values out of range (must be in 1..n)
+  const outOfRange = perm.filter(x => x > n);
+
+  if(outOfRange.length > 0){
+    const outOfRangeStr = [...new Set(outOfRange)].join(', ');
+    return {ok:false, msg:`範囲外の値: ${outOfRangeStr}（1〜${n}の値のみ使用できます）`};
+  }
+
+  // Check for duplicates
+  const set = new Set(perm);
+  if(set.size !== n) {
+    const duplicates = perm.filter((val, idx) => perm.indexOf(val) !== idx);
+    return {ok:false, msg:`重複があります: ${[...new Set(duplicates)].join(', ')}`};
+  }
+
+  // Check for missing values
+  const missing = [];
+  for(let i=1; i<=n; i++){
+    if(!set.has(i)) missing.push(i);
+  }
+  if(missing.length > 0){
+    return {ok:false, msg:`不足している値があります: ${missing.join(', ')}`};
+  }
+
+  return {ok:true};
+}
+
+/**
+ * Calculate inverse permutation for decryption
+ * @param {number[]} perm - Original permutation (1-based)
+ * @returns {number[]} - Inverse permutation
+ * @example inversePermutation([3,1,4,2]) returns [2,4,1,3]
+ */
+export function inversePermutation(perm){
+  const inv = new Array(perm.length);
+  // perm[i] = j  (1-based) means position i -> j
+  // inverse: inv[j-1] = i+1
+  perm.forEach((j, i)=> inv[j-1] = i+1);
+  return inv;
+}
+
+/**
+ * Split a string into processing units
+ * - utf16: UTF-16 code units (emoji and some kanji become lone surrogates)
+ * - codepoint: Unicode code points (combining marks stay separate)
+ * - grapheme: user-perceived characters via Intl.Segmenter
+ *   (falls back to code points where Intl.Segmenter is unavailable)
+ * @param {string} str - Input string
+ * @param {string} unit - 'utf16' | 'codepoint' | 'grapheme'
+ * @returns {string[]} - One entry per unit
+ */
+export function splitUnits(str, unit='utf16'){
+  if(unit === 'grapheme' && typeof Intl !== 'undefined' && Intl.Segmenter){
+    const segmenter = new Intl.Segmenter(undefined, {granularity:'grapheme'});
+    return Array.from(segmenter.segment(str), s => s.segment);
+  }
+  if(unit === 'codepoint' || unit === 'grapheme') return Array.from(str);
+  return str.split('');
+}
+
+/**
+ * Split string into fixed-size chunks (blocks)
+ * @param {string} str - Input string
+ * @param {number} size - Block size
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {string[]} - Array of chunks
+ */
+export function chunkBy(str, size, unit='utf16'){
+  const units = splitUnits(str, unit);
+  const chunks = [];
+  for(let i=0;i<units.length;i+=size){
+    chunks.push(units.slice(i, i+size).join(''));
+  }
+  return chunks;
+}
+
+/**
+ * Blocks of a text, cut out when requested
+ * Has the same length and at(k) as the array from chunkBy, without building
+ * every block of a long text up front.
+ * @param {string} str - Input string
+ * @param {number} size - Block size
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {{length: number, at: function(number): string}}
+ */
+export function blockView(str, size, unit='utf16'){
+  // UTF-16 units are string indices, so blocks are plain slices
+  const units = unit === 'utf16' ? null : splitUnits(str, unit);
+  const total = units ? units.length : str.length;
+  return {
+    length: Math.ceil(total / size),
+    at: k => units ? units.slice(k*size, (k+1)*size).join('') : str.slice(k*size, (k+1)*size),
+  };
+}
+
+/**
+ * Apply permutation to a single block
+ * @param {string} block - Input block
+ * @param {number[]} perm - Permutation pattern (1-based)
+ * @param {string} padChar - Padding character
+ * @param {boolean} padEnable - Whether to pad incomplete blocks
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {string} - Permuted block
+ */
+export function applyPermutationToBlock(block, perm, padChar, padEnable, unit='utf16'){
+  const n = perm.length;
+  let b = splitUnits(block, unit);
+  if(b.length < n){
+    if(padEnable && padChar){
+      b = b.concat(new Array(n - b.length).fill(padChar));
+    }else{
+      // leave as-is (no permutation if shorter than n)
+      // Alternative: permute existing positions only.
+      // Here we leave as-is to avoid ambiguity.
+      return block;
+    }
+  }
+  const out = new Array(n);
+  for(let i=0;i<n;i++){
+    const from = i;          // 0-based index
+    const to = perm[i]-1;    // 0-based destination
+    out[to] = b[from];
+  }
+  return out.join('');
+}
+
+/**
+ * Apply permutation to entire string (block-wise)
+ * @param {string} str - Input string
+ * @param {number[]} perm - Permutation pattern
+ * @param {string} padChar - Padding character
+ * @param {boolean} padEnable - Enable padding
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {string} - Encrypted string
+ */
+export function applyPermutation(str, perm, padChar, padEnable, unit='utf16'){
+  const n = perm.length;
+  return chunkBy(str, n, unit).map(block=>{
+    return applyPermutationToBlock(block, perm, padChar, padEnable, unit);
+  }).join('');
+}
+
+/**
+ * Trim padding characters from right end of string
+ * @param {string} str - Input string
+ * @param {string} padChar - Padding character to remove
+ * @returns {string} - String with padding removed
+ */
+export function trimRightPad(str, padChar){
+  if(!padChar) return str;
+  let i = str.length-1;
+  while(i>=0 && str[i]===padChar) i--;
+  return str.slice(0, i+1);
+}
+
+/**
+ * Convert permutation array to string representation
+ * @param {number[]} perm - Permutation array
+ * @returns {string} - Pattern string (e.g., "3-1-4-2")
+ */
+export function buildPatternString(perm){
+  return perm.join('-');
+}
+
+/**
+ * Generate random permutation using Fisher-Yates shuffle
+ * @param {number} n - Length of permutation
+ * @param {function(number): number} randomInt - Uniform integer in 0..k-1
+ *   (secureRandomInt by default; see createSeededRandom for reproducible keys)
+ * @returns {number[]} - Random permutation of 1..n
+ */
+export function generateRandomPermutation(n, randomInt=secureRandomInt){
+  const arr = Array.from({length:n}, (_,i)=>i+1);
+  // Fisher-Yates shuffle
+  for(let i=n-1; i>0; i--){
+    const j = randomInt(i+1);
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/* ============================================================================
+ * Random Sources
+ * ============================================================================
+ * Every source draws 32-bit words and maps them to 0..k-1 with rejection
+ * sampling: words in the incomplete last stretch of 2^32 (2^32 mod k of them)
+ * are drawn again, so no result is more likely than another. Plain
+ * `word % k` would favour small results.
+ * ============================================================================ */
+
+// create(seed) returns a randomInt for generateRandomPermutation
+export const RANDOM_SOURCES = {
+  secure: { label: '暗号論的乱数（毎回ちがう鍵）', needsSeed: false, create: () => secureRandomInt },
+  seeded: { label: 'シードから再現（同じシードなら同じ鍵）', needsSeed: true, create: seed => createSeededRandom(seed) },
+};
+
+/**
+ * Uniform integer from a source of 32-bit words
+ * @param {function(): number} nextUint32 - Returns 0..2^32-1
+ * @param {number} k - Number of outcomes (1..2^32)
+ * @returns {number} - 0..k-1
+ */
+export function uniformInt(nextUint32, k){
+  const limit = 2 ** 32 - (2 ** 32 % k);
+  let x;
+  do{ x = nextUint32(); }while(x >= limit);
+  return x % k;
+}
+
+const secureWord = new Uint32Array(1);
+
+/**
+ * Uniform integer from the platform's cryptographic random generator
+ * @param {number} k
+ * @returns {number} - 0..k-1
+ */
+export function secureRandomInt(k){
+  return uniformInt(()=> globalThis.crypto.getRandomValues(secureWord)[0], k);
+}
+
+/**
+ * 128-bit hash of a seed string (cyrb128) to start the generator
+ * @param {string} str
+ * @returns {number[]} - Four 32-bit words
+ */
+function hashSeed(str){
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  for(let i=0; i<str.length; i++){
+    const k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= h2 ^ h3 ^ h4;
+  return [h1, h2 ^ h1, h3 ^ h1, h4 ^ h1].map(h => h >>> 0);
+}
+
+/**
+ * Reproducible random integers from a seed string (sfc32 generator)
+ * The same seed gives the same sequence on every browser and in Node, so a
+ * key can be regenerated from the seed alone. Not for secrets: anyone who
+ * knows or guesses the seed gets the key.
+ * @param {string} seed - Normalized to NFC, so the same text typed on different systems matches
+ * @returns {function(number): number} - randomInt for generateRandomPermutation
+ */
+export function createSeededRandom(seed){
+  let [a, b, c, d] = hashSeed(String(seed).normalize('NFC'));
+  const next = ()=>{
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return t >>> 0;
+  };
+  // Mix the hashed state before the first draw
+  for(let i=0; i<15; i++) next();
+  return k => uniformInt(next, k);
+}
+
+export const DERIVE_ITERATIONS = 100000;
+const DERIVE_SALT = 'permutation-cipherlab/key';
+
+/**
+ * Derive a permutation of length n from a passphrase
+ * PBKDF2-SHA-256 turns the passphrase into a 256-bit seed (slow on purpose,
+ * so guessing passphrases is costly), SHA-256 in counter mode stretches it
+ * into 32-bit words, and the words drive generateRandomPermutation. The
+ * length is part of the salt, so each length gives an unrelated key.
+ * @param {string} passphrase - Normalized to NFC
+ * @param {number} n - Length of permutation
+ * @param {number} iterations - PBKDF2 iterations (part of the result)
+ * @returns {Promise<number[]>}
+ */
+export async function derivePermutation(passphrase, n, iterations=DERIVE_ITERATIONS){
+  const {subtle} = globalThis.crypto;
+  const encoder = new TextEncoder();
+  const material = await subtle.importKey('raw', encoder.encode(passphrase.normalize('NFC')), 'PBKDF2', false, ['deriveBits']);
+  const seed = new Uint8Array(await subtle.deriveBits(
+    {name:'PBKDF2', hash:'SHA-256', salt: encoder.encode(`${DERIVE_SALT}:${n}`), iterations}, material, 256));
+
+  // 4 words per draw: a draw is rejected with probability below 2^-26, so
+  // running out would take more rejections than will ever happen
+  const words = [];
+  for(let counter=0; words.length < 4*n; counter++){
+    const block = new Uint8Array(seed.length + 4);
+    block.set(seed);
+    new DataView(block.buffer).setUint32(seed.length, counter);
+    const digest = new DataView(await subtle.digest('SHA-256', block));
+    for(let i=0; i<digest.byteLength; i+=4) words.push(digest.getUint32(i));
+  }
+  let next = 0;
+  return generateRandomPermutation(n, k => uniformInt(()=>{
+    if(next >= words.length) throw new Error('Derived random words exhausted');
+    return words[next++];
+  }, k));
+}
+
+/* ============================================================================
+ * Columnar Transposition
+ * ============================================================================
+ * The plaintext is written row-by-row into a grid whose width is the key
+ * length, and read column-by-column in key order. The key uses the same
+ * convention as the block mode: perm[i] is the read rank of column i+1, so a
+ * single-row grid gives exactly the same result as applyPermutationToBlock.
+ * ============================================================================ */
+
+/**
+ * Convert a keyword into a numeric column order
+ * Letters are ranked alphabetically (case-insensitive, by code point).
+ * Ties between repeated letters are broken left to right.
+ * @param {string} keyword - Keyword (e.g., "ZEBRAS")
+ * @returns {number[]|null} - Permutation (1-based) or null if invalid
+ * @example keywordToPermutation('ZEBRAS') returns [6,3,2,4,1,5]
+ */
+export function keywordToPermutation(keyword){
+  if(!keyword) return null;
+  const chars = Array.from(keyword.replace(/\s+/g, '').toUpperCase());
+  if(chars.length < 2) return null;
+  const order = chars
+    .map((ch, i) => ({ch, i}))
+    .sort((a, b) => (a.ch < b.ch ? -1 : a.ch > b.ch ? 1 : a.i - b.i));
+  const perm = new Array(chars.length);
+  order.forEach(({i}, rank) => perm[i] = rank + 1);
+  return perm;
+}
+
+/**
+ * Encrypt with columnar transposition
+ * With padding enabled the last row is filled so every column is complete;
+ * otherwise the grid is irregular and the first columns are one row taller.
+ * @param {string} str - Plaintext
+ * @param {number[]} perm - Column read ranks (1-based)
+ * @param {string} padChar - Padding character
+ * @param {boolean} padEnable - Complete the last row with padding
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {string} - Ciphertext
+ */
+export function columnarEncrypt(str, perm, padChar, padEnable, unit='utf16'){
+  const n = perm.length;
+  const text = splitUnits(str, unit);
+  if(padEnable && padChar && text.length % n !== 0){
+    text.push(...new Array(n - text.length % n).fill(padChar));
+  }
+  const readOrder = inversePermutation(perm); // readOrder[k] = column read k-th
+  let out = '';
+  readOrder.forEach(col=>{
+    for(let i=col-1; i<text.length; i+=n) out += text[i];
+  });
+  return out;
+}
+
+/**
+ * Decrypt columnar transposition
+ * Rebuilds the column heights of an irregular grid from the text length.
+ * @param {string} str - Ciphertext
+ * @param {number[]} perm - Column read ranks (1-based)
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {string} - Plaintext (padding not removed)
+ */
+export function columnarDecrypt(str, perm, unit='utf16'){
+  const n = perm.length;
+  const units = splitUnits(str, unit);
+  const len = units.length;
+  const rows = Math.ceil(len / n);
+  const tallCols = len % n || n;  // columns that reach the last row
+  const readOrder = inversePermutation(perm);
+  const out = new Array(len);
+  let pos = 0;
+  readOrder.forEach(col=>{
+    const c = col - 1;
+    const height = c < tallCols ? rows : rows - 1;
+    for(let r=0; r<height; r++) out[r*n + c] = units[pos++];
+  });
+  return out.join('');
+}
+
+/* ============================================================================
+ * Rail Fence and Route Ciphers
+ * ============================================================================
+ * Both only move letters, so each is a fixed permutation of the positions
+ * of a block. They are given here as key generators: block transposition
+ * with the generated key is the classical cipher applied to every block,
+ * and the key can be inspected, saved and chained like any other. The
+ * classical ciphers themselves run over the whole message as the railfence
+ * and route modes of CIPHER_MODES.
+ *
+ * Rail fence: the text zigzags down and up over r rails and is read rail by
+ * rail. The offset starts the zigzag part-way through (0 .. 2(r-1)-1).
+ *
+ *   rails 3:  1 . . . 5 . . . 9        → 1 5 9 2 4 6 8 10 3 7
+ *             . 2 . 4 . 6 . 8 . 10
+ *             . . 3 . . . 7 . . .
+ *
+ * Route: the text is written row by row into a rows × cols grid and read
+ * along a route (see ROUTES). Over a whole message the number of rows is
+ * fixed and the columns follow from the length.
+ * ============================================================================ */
+
+/**
+ * Permutation from a reading order
+ * @param {number[]} order - order[k] = position (0-based) read k-th
+ * @returns {number[]} - perm[i] = output position (1-based) of position i
+ */
+function orderToPermutation(order){
+  const perm = new Array(order.length);
+  order.forEach((pos, k) => perm[pos] = k + 1);
+  return perm;
+}
+
+/**
+ * Rail of each position on a rail fence
+ * @param {number} n - Number of positions
+ * @param {number} rails - Number of rails (2 or more)
+ * @param {number} offset - Zigzag steps before the first position
+ * @returns {number[]} - rails[i] (0 = top rail) of position i
+ */
+export function railFenceRails(n, rails, offset=0){
+  const cycle = 2 * (rails - 1);
+  return Array.from({length: n}, (_, i)=>{
+    const t = (i + offset) % cycle;
+    return t < rails ? t : cycle - t;
+  });
+}
+
+/**
+ * Key equivalent to a rail fence on blocks of n
+ * @param {number} n - Block length
+ * @param {number} rails - Number of rails (2 or more)
+ * @param {number} offset - Zigzag steps before the first position (0 .. 2(rails-1)-1)
+ * @returns {number[]}
+ * @example railFencePermutation(5, 2) returns [1,4,2,5,3]
+ */
+export function railFencePermutation(n, rails, offset=0){
+  const railOf = railFenceRails(n, rails, offset);
+  const order = Array.from({length: n}, (_, i) => i)
+    .sort((a, b) => railOf[a] - railOf[b] || a - b);
+  return orderToPermutation(order);
+}
+
+/**
+ * Clockwise spiral from the top-left corner inwards
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {number[]} - Cell indices (row-major) in reading order
+ */
+function spiralOrder(rows, cols){
+  const order = [];
+  let top = 0, bottom = rows - 1, left = 0, right = cols - 1;
+  while(top <= bottom && left <= right){
+    for(let c=left; c<=right; c++) order.push(top * cols + c);
+    for(let r=top+1; r<=bottom; r++) order.push(r * cols + right);
+    if(top < bottom) for(let c=right-1; c>=left; c--) order.push(bottom * cols + c);
+    if(left < right) for(let r=bottom-1; r>top; r--) order.push(r * cols + left);
+    top++; bottom--; left++; right--;
+  }
+  return order;
+}
+
+/**
+ * Down the first column, up the second, and so on
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {number[]}
+ */
+function boustrophedonOrder(rows, cols){
+  const order = [];
+  for(let c=0; c<cols; c++){
+    for(let k=0; k<rows; k++){
+      const r = c % 2 === 0 ? k : rows - 1 - k;
+      order.push(r * cols + c);
+    }
+  }
+  return order;
+}
+
+/**
+ * Diagonals from the top-left corner, each read from top-right to bottom-left
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {number[]}
+ */
+function diagonalOrder(rows, cols){
+  const order = [];
+  for(let d=0; d<rows+cols-1; d++){
+    for(let r=Math.max(0, d-cols+1); r<=Math.min(rows-1, d); r++){
+      order.push(r * cols + (d - r));
+    }
+  }
+  return order;
+}
+
+export const ROUTES = {
+  spiral: { label: '渦巻き（左上から時計回り）', order: spiralOrder },
+  boustrophedon: { label: '牛耕式（列を上下交互に）', order: boustrophedonOrder },
+  diagonal: { label: '斜め（左上の角から）', order: diagonalOrder },
+};
+
+/**
+ * Key equivalent to a route cipher on a rows × cols grid
+ * @param {number} rows
+ * @param {number} cols
+ * @param {string} route - Key of ROUTES
+ * @returns {number[]} - Permutation of length rows × cols
+ * @example routePermutation(2, 3, 'spiral') returns [1,2,3,6,5,4]
+ */
+export function routePermutation(rows, cols, route){
+  return orderToPermutation(ROUTES[route].order(rows, cols));
+}
+
+/**
+ * Route cipher over a whole message
+ * The text fills `rows` rows of ceil(len / rows) columns; cells past the
+ * end of the text (a short last row) are skipped when reading.
+ * @param {number} len - Message length in units
+ * @param {number} rows
+ * @param {string} route - Key of ROUTES
+ * @returns {number[]} - Permutation of length len
+ * @example routeMessagePermutation(5, 2, 'spiral') returns [1,2,3,5,4]
+ */
+export function routeMessagePermutation(len, rows, route){
+  const cols = Math.ceil(len / rows);
+  return orderToPermutation(ROUTES[route].order(rows, cols).filter(i => i < len));
+}
+
+/* ============================================================================
+ * Cipher Modes and Key Chains
+ * ============================================================================
+ * Each mode provides encrypt(str, perm, padChar, padEnable, unit, params)
+ * and decrypt(str, perm, unit, params). A key chain applies several keys in
+ * order (e.g. K1 → K2 → K1 for double transposition); decryption runs the
+ * inverse of each round in reverse order.
+ *
+ * The rail fence and route modes permute the whole message in one go. Their
+ * key is not a pattern but the mode parameters ({rails, offset} or
+ * {rows, route}, see checkModeParams); the perm argument is ignored. Padding
+ * fills whole units of blockLength(params) (one zigzag, one column).
+ * ============================================================================ */
+
+const MODE_PARAM_MAX = 1000;
+
+/**
+ * Move every unit to its destination
+ * @param {string[]} units
+ * @param {number[]} perm - Destinations (1-based), same length as units
+ * @returns {string[]}
+ */
+function permuteUnits(units, perm){
+  const out = new Array(units.length);
+  for(let i=0; i<units.length; i++) out[perm[i]-1] = units[i];
+  return out;
+}
+
+/**
+ * A mode that permutes the whole message with a permutation of its length
+ * @param {string} label
+ * @param {string[]} paramNames - Fields of the parameters, in a fixed order
+ * @param {function(object): number} blockLength - Padding unit for the parameters
+ * @param {function(number, object): number[]} permutation - (length, params) → permutation
+ * @param {function(object): ({ok: true, params: object}|{ok: false, msg: string})} checkParams
+ * @returns {object} - Entry of CIPHER_MODES
+ */
+function messageMode(label, paramNames, blockLength, permutation, checkParams){
+  return {
+    label,
+    whole: true,
+    paramNames,
+    blockLength,
+    permutation,
+    checkParams,
+    encrypt: (str, perm, padChar, padEnable, unit, params) => {
+      const units = splitUnits(str, unit);
+      const n = blockLength(params);
+      if(padEnable && padChar && units.length % n !== 0){
+        units.push(...new Array(n - units.length % n).fill(padChar));
+      }
+      return permuteUnits(units, permutation(units.length, params)).join('');
+    },
+    decrypt: (str, perm, unit, params) => {
+      const units = splitUnits(str, unit);
+      return permuteUnits(units, inversePermutation(permutation(units.length, params))).join('');
+    },
+  };
+}
+
+/** Read a whole-number parameter (numbers or digit strings from links and the CLI) */
+function readModeInteger(value, min){
+  const n = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  return Number.isInteger(n) && n >= min && n <= MODE_PARAM_MAX ? n : null;
+}
+
+export const CIPHER_MODES = {
+  block: {
+    label: 'ブロック転置',
+    encrypt: (str, perm, padChar, padEnable, unit) => applyPermutation(str, perm, padChar, padEnable, unit),
+    decrypt: (str, perm, unit) => applyPermutation(str, inversePermutation(perm), '', false, unit),
+  },
+  columnar: {
+    label: '縦列転置',
+    encrypt: columnarEncrypt,
+    decrypt: columnarDecrypt,
+  },
+  railfence: messageMode('レールフェンス（全文）', ['rails', 'offset'],
+    p => 2 * (p.rails - 1),
+    (len, p) => railFencePermutation(len, p.rails, p.offset),
+    p => {
+      const rails = readModeInteger(p.rails, 2);
+      if(rails === null) return {ok:false, msg:`レール数は2〜${MODE_PARAM_MAX}の整数にしてください`};
+      const offset = readModeInteger(p.offset ?? 0, 0);
+      if(offset === null) return {ok:false, msg:`開始位置は0〜${MODE_PARAM_MAX}の整数にしてください`};
+      return {ok:true, params: {rails, offset: offset % (2 * (rails - 1))}};
+    }),
+  route: messageMode('経路暗号（全文）', ['rows', 'route'],
+    p => p.rows,
+    (len, p) => routeMessagePermutation(len, p.rows, p.route),
+    p => {
+      const rows = readModeInteger(p.rows, 2);
+      if(rows === null) return {ok:false, msg:`行数は2〜${MODE_PARAM_MAX}の整数にしてください`};
+      if(!Object.hasOwn(ROUTES, p.route)) return {ok:false, msg:`経路「${p.route}」には対応していません`};
+      return {ok:true, params: {rows, route: p.route}};
+    }),
+};
+
+/**
+ * Check the parameters of a mode
+ * @param {string} mode - Key of CIPHER_MODES
+ * @param {object|null} params - {rails, offset} (railfence) or {rows, route} (route)
+ * @returns {{ok: true, params: object|null}|{ok: false, msg: string}}
+ *   params with only the known fields, in a fixed order (the rail offset
+ *   reduced to one zigzag); null for the modes keyed by a pattern
+ */
+export function checkModeParams(mode, params){
+  const def = CIPHER_MODES[mode];
+  if(!def.checkParams) return {ok:true, params:null};
+  if(!params || typeof params !== 'object') return {ok:false, msg:`${def.label}の設定がありません`};
+  return def.checkParams(params);
+}
+
+/**
+ * Block length used for padding
+ * @param {string} mode - Key of CIPHER_MODES
+ * @param {number[]|null} perm - Key (first key of a chain); unused by whole-message modes
+ * @param {object|null} params - Mode parameters (see checkModeParams)
+ * @returns {number}
+ */
+export function modeBlockLength(mode, perm, params=null){
+  const def = CIPHER_MODES[mode];
+  return def.whole ? def.blockLength(params) : perm.length;
+}
+
+/**
+ * Greatest common divisor
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function gcd(a, b){
+  while(b){ [a, b] = [b, a % b]; }
+  return a;
+}
+
+/**
+ * Least common multiple
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function lcm(a, b){
+  return a / gcd(a, b) * b;
+}
+
+/**
+ * Compose two permutations: apply `first`, then `second`
+ * @param {number[]} first - Permutation applied first (1-based)
+ * @param {number[]} second - Permutation applied second (same length)
+ * @returns {number[]} - Single equivalent permutation
+ * @example composePermutations([3,1,4,2],[3,1,4,2]) returns [4,3,2,1]
+ */
+export function composePermutations(first, second){
+  return first.map(j => second[j-1]);
+}
+
+/**
+ * Encrypt with a chain of keys applied in order
+ * Padding is only applied in the first round. Later rounds keep the length
+ * unchanged, so decryption never needs to know intermediate lengths
+ * (ciphertext stealing and short-block permutation keep the length too,
+ * so they run in every round).
+ * @param {string} str - Plaintext
+ * @param {number[][]} chain - Keys in application order
+ * @param {string} mode - Cipher mode name (key of CIPHER_MODES)
+ * @param {string} scheme - Padding scheme (key of PAD_SCHEMES)
+ * @param {string} padChar - Padding character (fixed scheme only)
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @param {string} partial - Short final block handling (key of PARTIAL_BLOCK_MODES)
+ * @param {object|null} params - Mode parameters (see checkModeParams)
+ * @param {function(number): number} randomInt - Source of the random scheme's filler (see RANDOM_SOURCES)
+ * @returns {string[]} - Output of each round (last element is the ciphertext)
+ */
+export function encryptChain(str, chain, mode, scheme, padChar, unit='utf16', partial='keep', params=null, randomInt=secureRandomInt){
+  const rounds = [];
+  let text = str;
+  chain.forEach((perm, r)=>{
+    if(r === 0) text = applyPadding(text, modeBlockLength(mode, perm, params), scheme, padChar, unit, randomInt);
+    text = encryptPadded(text, perm, mode, scheme, unit, partial, params);
+    rounds.push(text);
+  });
+  return rounds;
+}
+
+/**
+ * Decrypt a key chain by undoing each round in reverse order
+ * @param {string} str - Ciphertext
+ * @param {number[][]} chain - Keys in the order used for encryption
+ * @param {string} mode - Cipher mode name (key of CIPHER_MODES)
+ * @param {string} scheme - Padding scheme (key of PAD_SCHEMES)
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @param {string} partial - Short final block handling (key of PARTIAL_BLOCK_MODES)
+ * @param {object|null} params - Mode parameters (see checkModeParams)
+ * @returns {string[]} - Output of each inverse round (last element is the plaintext, padding not removed)
+ */
+export function decryptChain(str, chain, mode, scheme, unit='utf16', partial='keep', params=null){
+  const rounds = [];
+  let text = str;
+  [...chain].reverse().forEach(perm=>{
+    text = decryptPadded(text, perm, mode, scheme, unit, partial, params);
+    rounds.push(text);
+  });
+  return rounds;
+}
+
+/**
+ * Work out the single block permutation equivalent to a chain (block mode)
+ * Keys of equal length compose into one key of that length. Keys of
+ * different lengths only line up again every lcm(n1, n2, ...) characters,
+ * so the equivalent key has that length instead.
+ * @param {number[][]} chain - Keys in application order
+ * @param {number} maxLength - Give up when the combined block gets longer
+ * @returns {number[]|null} - Equivalent permutation, or null if too long
+ */
+export function chainEquivalentPermutation(chain, maxLength=4096){
+  if(chain.length === 0) return null;
+  const size = chain.reduce((acc, perm)=> lcm(acc, perm.length), 1);
+  if(size > maxLength) return null;
+  // Track where each position of a size-long block ends up
+  const pos = Array.from({length:size}, (_,i)=>i);
+  chain.forEach(perm=>{
+    const n = perm.length;
+    for(let i=0; i<size; i++){
+      const p = pos[i];
+      pos[i] = p - p % n + perm[p % n] - 1;
+    }
+  });
+  return pos.map(p => p + 1);
+}
+
+/* ============================================================================
+ * Padding Schemes
+ * ============================================================================
+ * Padding is added to the plaintext before the cipher mode runs, so every
+ * mode sees complete blocks (or, for 'none'/'cts', the text as it is).
+ * - fixed:  pad character up to the block boundary (ambiguous if the
+ *           plaintext itself ends with that character)
+ * - random: random letters, the last one is a length marker
+ * - pkcs7:  k copies of the length marker for k, like PKCS#7
+ * - cts:    no padding; in block mode the last n units are permuted again
+ *           so the partial block is covered (ciphertext stealing)
+ * random and pkcs7 always add 1..n units, so removal is exact.
+ * A short final block that is neither padded nor stolen is left as-is or
+ * permuted by one of PARTIAL_BLOCK_MODES (block mode only).
+ * ============================================================================ */
+
+// Length markers: '1'..'9', 'A'..'Z', 'a'..'z', then U+0100 onwards
+const PAD_MARKERS = '123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const FILLER_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Length marker for a padding of k units
+ * @param {number} k - Padding length (1-based)
+ * @returns {string}
+ */
+export function padMarker(k){
+  return k <= PAD_MARKERS.length ? PAD_MARKERS[k-1] : String.fromCharCode(0x100 + k - PAD_MARKERS.length - 1);
+}
+
+/**
+ * Read a length marker
+ * @param {string} ch - Last unit of the decrypted text
+ * @returns {number} - Padding length, or 0 if ch is not a marker
+ */
+export function padMarkerValue(ch){
+  if(typeof ch !== 'string' || ch.length !== 1) return 0;
+  const i = PAD_MARKERS.indexOf(ch);
+  if(i >= 0) return i + 1;
+  const code = ch.charCodeAt(0);
+  return code >= 0x100 ? code - 0x100 + PAD_MARKERS.length + 1 : 0;
+}
+
+/**
+ * Padding length that brings units up to the next block boundary (1..n)
+ * @param {number} length - Number of units
+ * @param {number} n - Block length
+ * @returns {number}
+ */
+export function padLength(length, n){
+  return n - length % n;
+}
+
+export const PAD_SCHEMES = {
+  fixed: {
+    label: '固定文字',
+    pad: (units, n, padChar) => units.length % n !== 0 && padChar
+      ? units.concat(new Array(padLength(units.length, n)).fill(padChar))
+      : units,
+    unpad: (units, n, padChar) => {
+      let end = units.length;
+      while(padChar && end > 0 && units[end-1] === padChar) end--;
+      return units.slice(0, end);
+    },
+  },
+  none: {
+    label: 'なし',
+    pad: units => units,
+    unpad: units => units,
+  },
+  random: {
+    label: 'ランダム文字＋長さ',
+    // randomInt as in RANDOM_SOURCES: a seeded one gives the same filler again
+    pad: (units, n, padChar, randomInt=secureRandomInt) => {
+      const k = padLength(units.length, n);
+      const filler = Array.from({length: k-1}, ()=> FILLER_LETTERS[randomInt(FILLER_LETTERS.length)]);
+      return units.concat(filler, padMarker(k));
+    },
+    unpad: (units, n) => {
+      const k = padMarkerValue(units[units.length-1]);
+      if(k < 1 || k > n || k > units.length) return null;
+      return units.slice(0, units.length - k);
+    },
+  },
+  pkcs7: {
+    label: 'PKCS#7 方式',
+    pad: (units, n) => {
+      const k = padLength(units.length, n);
+      return units.concat(new Array(k).fill(padMarker(k)));
+    },
+    unpad: (units, n) => {
+      const k = padMarkerValue(units[units.length-1]);
+      if(k < 1 || k > n || k > units.length) return null;
+      const marker = padMarker(k);
+      for(let i=units.length-k; i<units.length; i++){
+        if(units[i] !== marker) return null;
+      }
+      return units.slice(0, units.length - k);
+    },
+  },
+  cts: {
+    label: '暗号文窃取（長さを保つ）',
+    steal: true,
+    pad: units => units,
+    unpad: units => units,
+  },
+};
+
+/**
+ * Pad plaintext according to a scheme
+ * @param {string} str - Plaintext
+ * @param {number} n - Block length
+ * @param {string} scheme - Key of PAD_SCHEMES
+ * @param {string} padChar - Padding character (fixed scheme only)
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @param {function(number): number} randomInt - Source of the random scheme's filler (see RANDOM_SOURCES)
+ * @returns {string} - Padded plaintext
+ */
+export function applyPadding(str, n, scheme, padChar, unit='utf16', randomInt=secureRandomInt){
+  return PAD_SCHEMES[scheme].pad(splitUnits(str, unit), n, padChar, randomInt).join('');
+}
+
+/**
+ * Remove padding added by applyPadding
+ * @param {string} str - Decrypted text
+ * @param {number} n - Block length
+ * @param {string} scheme - Key of PAD_SCHEMES
+ * @param {string} padChar - Padding character (fixed scheme only)
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {string|null} - Plaintext, or null if the padding is malformed
+ */
+export function removePadding(str, n, scheme, padChar, unit='utf16'){
+  const units = PAD_SCHEMES[scheme].unpad(splitUnits(str, unit), n, padChar);
+  return units ? units.join('') : null;
+}
+
+/**
+ * Permute the last n units once more (ciphertext stealing)
+ * When the length is not a multiple of n, the final window overlaps the
+ * previous block's output and includes the partial block.
+ * @param {string[]} units - Text units
+ * @param {number[]} perm - Permutation (inverse permutation to undo)
+ * @returns {string[]}
+ */
+export function stealLastBlock(units, perm){
+  const n = perm.length;
+  if(units.length % n === 0 || units.length < n) return units;
+  const start = units.length - n;
+  const out = units.slice();
+  for(let i=0; i<n; i++) out[start + perm[i] - 1] = units[start + i];
+  return out;
+}
+
+/**
+ * Induced sub-permutation on the first r positions
+ * Keeps the relative order of the destinations perm[0..r-1],
+ * e.g. 3-1-4-2 restricted to 3 positions is 2-1-3.
+ * @param {number[]} perm - Key (1-based)
+ * @param {number} r - Length of the short block (r < perm.length)
+ * @returns {number[]} - Permutation of 1..r
+ */
+export function inducedPermutation(perm, r){
+  const dest = perm.slice(0, r);
+  const sorted = [...dest].sort((a, b) => a - b);
+  return dest.map(d => sorted.indexOf(d) + 1);
+}
+
+// How a short final block (no padding) is permuted; permutation() returns null to leave it as-is
+export const PARTIAL_BLOCK_MODES = {
+  keep: {
+    label: 'そのまま',
+    permutation: () => null,
+  },
+  induced: {
+    label: '誘導部分置換',
+    permutation: (perm, r) => inducedPermutation(perm, r),
+  },
+  rotate: {
+    label: '回転',
+    // Shift by 1..r-1 taken from the key, so the block never stays in place
+    permutation: (perm, r) => {
+      const shift = 1 + (perm[0] - 1) % (r - 1);
+      return Array.from({length: r}, (_, i) => (i + shift) % r + 1);
+    },
+  },
+  reflect: {
+    label: '反転',
+    permutation: (perm, r) => Array.from({length: r}, (_, i) => r - i),
+  },
+};
+
+/**
+ * Permute the short final block with a partial-block mode
+ * @param {string[]} units - Text units
+ * @param {number[]} perm - Key
+ * @param {string} partial - Key of PARTIAL_BLOCK_MODES
+ * @param {boolean} inverse - Undo instead of apply
+ * @returns {string[]}
+ */
+export function permuteShortBlock(units, perm, partial, inverse=false){
+  const r = units.length % perm.length;
+  if(r < 2) return units;
+  let p = PARTIAL_BLOCK_MODES[partial].permutation(perm, r);
+  if(!p) return units;
+  if(inverse) p = inversePermutation(p);
+  const start = units.length - r;
+  const out = units.slice();
+  for(let i=0; i<r; i++) out[start + p[i] - 1] = units[start + i];
+  return out;
+}
+
+/**
+ * Encrypt text that has already been padded
+ * @param {string} str - Output of applyPadding
+ * @param {number[]} perm - Key
+ * @param {string} mode - Cipher mode name (key of CIPHER_MODES)
+ * @param {string} scheme - Key of PAD_SCHEMES
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @param {string} partial - Short final block handling (key of PARTIAL_BLOCK_MODES)
+ * @param {object|null} params - Mode parameters (see checkModeParams)
+ * @returns {string} - Ciphertext
+ */
+export function encryptPadded(str, perm, mode, scheme, unit='utf16', partial='keep', params=null){
+  const out = CIPHER_MODES[mode].encrypt(str, perm, '', false, unit, params);
+  if(mode !== 'block') return out;
+  const units = splitUnits(out, unit);
+  if(PAD_SCHEMES[scheme].steal && units.length >= perm.length) return stealLastBlock(units, perm).join('');
+  return permuteShortBlock(units, perm, partial).join('');
+}
+
+/**
+ * Decrypt ciphertext produced by encryptPadded (padding is kept)
+ * @param {string} str - Ciphertext
+ * @param {number[]} perm - Key
+ * @param {string} mode - Cipher mode name (key of CIPHER_MODES)
+ * @param {string} scheme - Key of PAD_SCHEMES
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @param {string} partial - Short final block handling (key of PARTIAL_BLOCK_MODES)
+ * @param {object|null} params - Mode parameters (see checkModeParams)
+ * @returns {string} - Padded plaintext
+ */
+export function decryptPadded(str, perm, mode, scheme, unit='utf16', partial='keep', params=null){
+  let text = str;
+  if(mode === 'block'){
+    const units = splitUnits(text, unit);
+    text = (PAD_SCHEMES[scheme].steal && units.length >= perm.length
+      ? stealLastBlock(units, inversePermutation(perm))
+      : permuteShortBlock(units, perm, partial, true)).join('');
+  }
+  return CIPHER_MODES[mode].decrypt(text, perm, unit, params);
+}
+
+export const CHUNK_BLOCKS = 4096;
+
+/**
+ * Columnar transposition of a long text in slices of rows
+ * Same result as columnarEncrypt / columnarDecrypt without padding (the
+ * text is already padded), but the grid is filled a few thousand rows at a
+ * time so progress can be shown and the job cancelled.
+ * @returns {Promise<string|null>} - Result, or null if cancelled
+ */
+async function columnarInChunks(str, perm, direction, unit, rowsPerSlice, onProgress, job){
+  const n = perm.length;
+  const units = splitUnits(str, unit);
+  const len = units.length;
+  const rows = Math.ceil(len / n);
+  const readOrder = inversePermutation(perm);
+  const columns = Array.from({length: n}, () => []);
+  const out = new Array(len);
+  // Where each column starts in the ciphertext (decryption)
+  const colStart = new Array(n);
+  if(direction === 'decrypt'){
+    const tallCols = len % n || n;
+    let pos = 0;
+    readOrder.forEach(col=>{
+      colStart[col-1] = pos;
+      pos += col - 1 < tallCols ? rows : rows - 1;
+    });
+  }
+  for(let start=0; start<rows; start+=rowsPerSlice){
+    if(job.cancelled) return null;
+    const end = Math.min(rows, start + rowsPerSlice);
+    for(let r=start; r<end; r++){
+      for(let c=0; c<n && r*n + c < len; c++){
+        if(direction === 'encrypt') columns[c].push(units[r*n + c]);
+        else out[r*n + c] = units[colStart[c] + r];
+      }
+    }
+    onProgress(end / rows);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return direction === 'encrypt'
+    ? readOrder.map(col => columns[col-1].join('')).join('')
+    : out.join('');
+}
+
+/**
+ * Whole-message mode (rail fence, route) of a long text in slices
+ * The permutation covers the whole text; units are moved a slice at a time
+ * so progress can be shown and the job cancelled.
+ * @returns {Promise<string|null>} - Result, or null if cancelled
+ */
+async function messageInChunks(str, mode, direction, unit, params, blocksPerSlice, onProgress, job){
+  const def = CIPHER_MODES[mode];
+  const units = splitUnits(str, unit);
+  const len = units.length;
+  const perm = def.permutation(len, params);
+  const out = new Array(len);
+  const size = Math.max(1, blocksPerSlice * def.blockLength(params));
+  for(let start=0; start<len || start === 0; start+=size){
+    if(job.cancelled) return null;
+    const end = Math.min(len, start + size);
+    for(let i=start; i<end; i++){
+      if(direction === 'encrypt') out[perm[i]-1] = units[i];
+      else out[i] = units[perm[i]-1];
+    }
+    onProgress(len ? end / len : 1);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return out.join('');
+}
+
+/**
+ * Encrypt or decrypt a long text piece by piece
+ * Pieces hold whole blocks, so the result equals encryptPadded /
+ * decryptPadded on the whole text. A trailing piece shorter than one block
+ * is merged into the previous one, so ciphertext stealing and short-block
+ * handling still see the final full block. Columnar mode reads across the
+ * whole text, so it fills its grid in slices of rows instead, and the
+ * whole-message modes move their units in slices.
+ * @param {string} str - Padded plaintext (encrypt) or ciphertext (decrypt)
+ * @param {number[]} perm - Key
+ * @param {string} direction - 'encrypt' | 'decrypt'
+ * @param {object} options
+ * @param {string} options.mode - Key of CIPHER_MODES (default 'block')
+ * @param {string} options.scheme - Key of PAD_SCHEMES
+ * @param {string} options.unit - Processing unit (see splitUnits)
+ * @param {string} options.partial - Key of PARTIAL_BLOCK_MODES
+ * @param {object|null} options.params - Mode parameters (see checkModeParams)
+ * @param {number} options.blocks - Blocks (columnar: rows) per piece
+ * @param {function(number): void} onProgress - Called with progress 0..1
+ * @param {{cancelled: boolean}} job - Set job.cancelled to stop early
+ * @returns {Promise<string|null>} - Result, or null if cancelled
+ */
+export async function transformInChunks(str, perm, direction, options={}, onProgress=()=>{}, job={cancelled:false}){
+  const { mode='block', scheme='none', unit='utf16', partial='keep', params=null, blocks=CHUNK_BLOCKS } = options;
+  if(mode === 'columnar') return columnarInChunks(str, perm, direction, unit, blocks, onProgress, job);
+  if(CIPHER_MODES[mode].whole) return messageInChunks(str, mode, direction, unit, params, blocks, onProgress, job);
+  const n = perm.length;
+  const pieces = chunkBy(str, n * blocks, unit);
+  if(pieces.length > 1 && splitUnits(pieces[pieces.length-1], unit).length < n){
+    pieces[pieces.length-2] += pieces.pop();
+  }
+  const fn = direction === 'encrypt' ? encryptPadded : decryptPadded;
+  const out = [];
+  for(let i=0; i<pieces.length; i++){
+    if(job.cancelled) return null;
+    out.push(fn(pieces[i], perm, 'block', scheme, unit, partial));
+    onProgress((i + 1) / pieces.length);
+    // Let the page repaint the progress bar
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return out.join('');
+}
+
+/* ============================================================================
+ * Preprocessing (Character Filtering and Normalization)
+ * ============================================================================
+ * Classical transposition exercises work on letters only: spaces and
+ * punctuation are removed before encryption (otherwise they reveal word
+ * boundaries) and the ciphertext is written in 5-letter groups. The removed
+ * characters are recorded as [position, text] pairs so decryption can put
+ * them back. Upper-casing, NFKC and kana conversion cannot be undone.
+ * ============================================================================ */
+
+export const PREPROCESS_DEFAULTS = {
+  stripSpaces: false,
+  stripPunct: false,
+  upper: false,
+  nfkc: false,
+  kana: 'none',
+  group: false,
+};
+
+export const GROUP_SIZE = 5;
+
+/**
+ * Convert hiragana to katakana or vice versa
+ * Only the ranges with a one-to-one counterpart (ぁ-ゖ ↔ ァ-ヶ) are shifted.
+ * @param {string} str - Input string
+ * @param {string} target - 'hiragana' | 'katakana'
+ * @returns {string}
+ */
+export function convertKana(str, target){
+  const [from, to] = target === 'hiragana' ? [0x30A1, 0x3041] : [0x3041, 0x30A1];
+  return str.replace(/[ぁ-ゖァ-ヶ]/g, ch=>{
+    const code = ch.charCodeAt(0);
+    return code >= from && code <= from + 0x55 ? String.fromCharCode(code - from + to) : ch;
+  });
+}
+
+/**
+ * Normalize and filter text before encryption
+ * @param {string} str - Plaintext
+ * @param {Object} options - See PREPROCESS_DEFAULTS
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {{text: string, removed: Array<[number, string]>}}
+ *   removed[k] = [number of kept units before it, removed characters]
+ */
+export function preprocessText(str, options={}, unit='utf16'){
+  const opts = { ...PREPROCESS_DEFAULTS, ...options };
+  let s = str;
+  if(opts.nfkc) s = s.normalize('NFKC');
+  if(opts.kana === 'hiragana' || opts.kana === 'katakana') s = convertKana(s, opts.kana);
+  if(opts.upper) s = s.toUpperCase();
+
+  const kept = [];
+  const removed = [];
+  for(const u of splitUnits(s, unit)){
+    const strip = (opts.stripSpaces && /^\s+$/u.test(u)) || (opts.stripPunct && /^\p{P}+$/u.test(u));
+    if(!strip){
+      kept.push(u);
+      continue;
+    }
+    const last = removed[removed.length-1];
+    if(last && last[0] === kept.length) last[1] += u;
+    else removed.push([kept.length, u]);
+  }
+  return { text: kept.join(''), removed };
+}
+
+/**
+ * Put characters removed by preprocessText back at their original positions
+ * Entries past the end of the text are appended.
+ * @param {string} str - Decrypted text (padding already trimmed)
+ * @param {Array<[number, string]>} removed - From preprocessText
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {string}
+ */
+export function restoreStripped(str, removed, unit='utf16'){
+  const units = splitUnits(str, unit);
+  const out = [];
+  let k = 0;
+  for(let i=0; i<=units.length; i++){
+    while(k < removed.length && removed[k][0] <= i) out.push(removed[k++][1]);
+    if(i < units.length) out.push(units[i]);
+  }
+  while(k < removed.length) out.push(removed[k++][1]);
+  return out.join('');
+}
+
+/**
+ * Write text in classical groups separated by single spaces
+ * @param {string} str - Ciphertext
+ * @param {number} size - Group size
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {string}
+ */
+export function groupUnits(str, size=GROUP_SIZE, unit='utf16'){
+  return chunkBy(str, size, unit).join(' ');
+}
+
+/**
+ * Remove the separators inserted by groupUnits
+ * Only the space after every full group is dropped, so spaces that belong
+ * to the ciphertext itself survive.
+ * @param {string} str - Grouped ciphertext
+ * @param {number} size - Group size
+ * @param {string} unit - Processing unit (see splitUnits)
+ * @returns {string}
+ */
+export function ungroupUnits(str, size=GROUP_SIZE, unit='utf16'){
+  const units = splitUnits(str, unit);
+  const out = [];
+  for(let i=0; i<units.length; i++){
+    if(i % (size + 1) === size && units[i] === ' ') continue;
+    out.push(units[i]);
+  }
+  return out.join('');
+}
+
+/**
+ * Parse the removed-character record pasted into the decryption tab
+ * @param {string} str - JSON array of [position, text] pairs
+ * @returns {Array<[number, string]>|null} - null if malformed
+ */
+export function parseStripped(str){
+  try{
+    const list = JSON.parse(str);
+    return isStrippedList(list) ? list : null;
+  }catch{
+    return null;
+  }
+}
+
+/**
+ * Check a removed-character record (as returned by preprocessText)
+ * @param {*} list
+ * @returns {boolean} - true for an array of [position, text] pairs
+ */
+export function isStrippedList(list){
+  return Array.isArray(list) && list.every(e => Array.isArray(e) && e.length === 2
+    && Number.isInteger(e[0]) && e[0] >= 0 && typeof e[1] === 'string');
+}
+
+/* ============================================================================
+ * Permutation Algebra
+ * ============================================================================
+ * A key is an element of the symmetric group S_n. Following the arrows
+ * i → perm[i] splits it into disjoint cycles, e.g. 3-1-4-2 = (1 3 4 2).
+ * Cycle lengths give the order (lcm) and the parity (Σ (len - 1) mod 2).
+ * ============================================================================ */
+
+/**
+ * Split a permutation into disjoint cycles
+ * @param {number[]} perm - Permutation (1-based)
+ * @returns {number[][]} - Cycles including fixed points, each starting at its smallest position
+ */
+export function permutationCycles(perm){
+  const seen = new Array(perm.length).fill(false);
+  const cycles = [];
+  for(let start=1; start<=perm.length; start++){
+    if(seen[start-1]) continue;
+    const cycle = [];
+    let i = start;
+    while(!seen[i-1]){
+      seen[i-1] = true;
+      cycle.push(i);
+      i = perm[i-1];
+    }
+    cycles.push(cycle);
+  }
+  return cycles;
+}
+
+/**
+ * Format cycles in standard notation, omitting fixed points
+ * @param {number[][]} cycles - Result of permutationCycles
+ * @returns {string} - e.g. "(1 3 4 2)(5 6)", or "id" for the identity
+ */
+export function formatCycles(cycles){
+  const moving = cycles.filter(c => c.length > 1);
+  if(moving.length === 0) return 'id';
+  return moving.map(c => `(${c.join(' ')})`).join('');
+}
+
+/**
+ * Parse a key written in cycle notation
+ * Accepts forms like "(1 3 4 2)(5 6)" or "(1,3,4,2)". Positions not
+ * mentioned are fixed points; "id" or "()" is the identity.
+ * @param {string} str - Input string
+ * @param {number} n - Key length (optional; defaults to the largest position)
+ * @returns {number[]|null} - Permutation or null if invalid
+ */
+export function parseCycleNotation(str, n){
+  if(!str) return null;
+  const trimmed = str.trim();
+  if(!/^(\(\s*[\d\s,，、]*\)\s*)+$/.test(trimmed) && trimmed !== 'id') return null;
+
+  const cycles = [...trimmed.matchAll(/\(([^)]*)\)/g)]
+    .map(m => m[1].split(/[\s,，、]+/).filter(Boolean).map(x => parseInt(x, 10)));
+  const maxPos = Math.max(0, ...cycles.flat());
+  const size = n || maxPos;
+  if(size < 2 || maxPos > size) return null;
+
+  const perm = Array.from({length:size}, (_,i)=>i+1);
+  const used = new Set();
+  for(const cycle of cycles){
+    for(let k=0; k<cycle.length; k++){
+      const p = cycle[k];
+      if(p < 1 || used.has(p)) return null;
+      used.add(p);
+      perm[p-1] = cycle[(k+1) % cycle.length];
+    }
+  }
+  return perm;
+}
+
+/**
+ * Parse a key in either list form ("3-1-4-2") or cycle notation ("(1 3 4 2)")
+ * The list form is returned as typed so callers can report length errors.
+ * @param {string} str - Input string
+ * @param {number} n - Key length used to fill in fixed points of cycle notation (optional)
+ * @returns {number[]|null}
+ */
+export function parseKeyInput(str, n){
+  if(!str) return null;
+  const trimmed = str.trim();
+  return trimmed.startsWith('(') || trimmed === 'id'
+    ? parseCycleNotation(trimmed, n)
+    : parsePattern(trimmed);
+}
+
+/**
+ * Parity of a permutation
+ * @param {number[]} perm
+ * @returns {{even: boolean, transpositions: number}} - Minimal number of swaps and parity
+ */
+export function permutationParity(perm){
+  const transpositions = permutationCycles(perm).reduce((acc, c)=> acc + c.length - 1, 0);
+  return {even: transpositions % 2 === 0, transpositions};
+}
+
+/**
+ * Order of a permutation: how many applications bring every position home
+ * @param {number[]} perm
+ * @returns {number}
+ */
+export function permutationOrder(perm){
+  return permutationCycles(perm).reduce((acc, c)=> lcm(acc, c.length), 1);
+}
+
+/**
+ * k-th power of a permutation (applying the key k times)
+ * Negative k uses the inverse, so permutationPower(p, -1) = inversePermutation(p).
+ * @param {number[]} perm
+ * @param {number} k - Exponent (any integer)
+ * @returns {number[]}
+ */
+export function permutationPower(perm, k){
+  const result = new Array(perm.length);
+  permutationCycles(perm).forEach(cycle=>{
+    const len = cycle.length;
+    const shift = ((k % len) + len) % len;
+    cycle.forEach((p, idx)=>{
+      result[p-1] = cycle[(idx + shift) % len];
+    });
+  });
+  return result;
+}
+
+/**
+ * Repeat a block key over a longer block (size must be a multiple of its length)
+ * Encrypting with the result equals encrypting with perm block by block.
+ * @param {number[]} perm
+ * @param {number} size - New length
+ * @returns {number[]}
+ */
+export function repeatPermutation(perm, size){
+  const n = perm.length;
+  return Array.from({length:size}, (_,i)=> i - i % n + perm[i % n]);
+}
+
+/**
+ * Conjugate q by p: p∘q∘p⁻¹ (relabel the cycles of q through p)
+ * @param {number[]} p
+ * @param {number[]} q - Same length as p
+ * @returns {number[]}
+ */
+export function conjugatePermutation(p, q){
+  return composePermutations(composePermutations(inversePermutation(p), q), p);
+}
+
+/**
+ * Cycle type: cycle lengths in descending order (two keys are conjugate iff equal)
+ * @param {number[]} perm
+ * @returns {number[]}
+ */
+export function cycleType(perm){
+  return permutationCycles(perm).map(c => c.length).sort((a, b) => b - a);
+}
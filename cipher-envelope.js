@@ -0,0 +1,292 @@
+/* ============================================================================
+ * Permutation CipherLab - Ciphertext Envelope
+ * ============================================================================
+ *
+ * A ciphertext on its own does not say how it was made: the receiver has to
+ * guess the block size, padding scheme and pad character. An envelope bundles
+ * the ciphertext with those settings (never the key itself):
+ *
+ *   {
+ *     "format": "permutation-cipherlab", "version": 1,
+ *     "mode": "block", "blockSize": 4, "rounds": 1,
+ *     "padding": {"scheme": "fixed", "char": "X", "partial": "keep"},
+ *     "unit": "grapheme",
+ *     "preprocess": {"stripSpaces": true, ..., "group": false},
+ *     "removed": [[6, " "]],
+ *     "keyFingerprint": "1a2b3c4d",      (optional)
+ *     "ciphertext": "NGEIASMIUXFN",
+ *     "checksum": "9f3e0c21"
+ *   }
+ *
+ * The rail fence and route modes are keyed by their parameters (rails,
+ * rows, ...), so those are not stored either: blockSize is then the padding
+ * unit of the parameters (one zigzag, one column) and rounds is always 1.
+ *
+ * The armored form is the same JSON in Base64 between BEGIN/END lines, so
+ * spaces, line breaks and emoji in the ciphertext survive mail and chat.
+ *
+ * The checksum is a CRC-32 over every field: it catches damaged or edited
+ * envelopes, but anyone can recompute it, so it is not a signature.
+ * Invalid input gives {ok: false, msg} with a Japanese message, like
+ * validatePermutation.
+ *
+ * ============================================================================
+ */
+
+import {
+  splitUnits, ungroupUnits, isStrippedList, CIPHER_MODES, PAD_SCHEMES,
+  PARTIAL_BLOCK_MODES, PREPROCESS_DEFAULTS, GROUP_SIZE, modeBlockLength
+} from './cipher-core.js';
+
+export const ENVELOPE_FORMAT = 'permutation-cipherlab';
+export const ENVELOPE_VERSION = 1;
+export const ARMOR_BEGIN = '-----BEGIN PERMUTATION CIPHERLAB ENVELOPE-----';
+export const ARMOR_END = '-----END PERMUTATION CIPHERLAB ENVELOPE-----';
+
+const ARMOR_LINE_LENGTH = 64;
+const UNITS = ['utf16', 'codepoint', 'grapheme'];
+const KANA_TARGETS = ['none', 'hiragana', 'katakana'];
+const HEX8 = /^[0-9a-f]{8}$/;
+
+/* ========== Checksums ========== */
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE 802.3) of a string's UTF-8 bytes
+ * @param {string} str
+ * @returns {string} - 8 lowercase hex digits
+ */
+export function crc32(str){
+  if(!crcTable){
+    crcTable = new Uint32Array(256);
+    for(let i = 0; i < 256; i++){
+      let c = i;
+      for(let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[i] = c;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for(const byte of new TextEncoder().encode(str)){
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Short fingerprint of the encryption key(s)
+ * Lets the receiver check they picked the right key. For short keys the key
+ * can be found by trying all n! candidates, so envelopes include it only
+ * when asked.
+ * @param {number[][]} chain - Keys in encryption order (one for a single key)
+ * @param {object|null} params - Parameters of a whole-message mode, which replace the keys
+ * @returns {string} - 8 hex digits
+ */
+export function keyFingerprint(chain, params=null){
+  if(params) return crc32(Object.entries(params).map(([k, v]) => `${k}=${v}`).join(' '));
+  return crc32(chain.map(k => k.join('-')).join(' '));
+}
+
+/**
+ * Checksum over every field of an envelope, in a fixed order
+ * @param {Object} env - Envelope (checksum field ignored)
+ * @returns {string}
+ */
+function envelopeChecksum(env){
+  return crc32(JSON.stringify([
+    env.format, env.version, env.mode, env.blockSize, env.rounds,
+    env.padding.scheme, env.padding.char, env.padding.partial, env.unit,
+    Object.keys(PREPROCESS_DEFAULTS).map(k => env.preprocess[k]),
+    env.removed, env.keyFingerprint ?? null, env.ciphertext,
+  ]));
+}
+
+/* ========== Creating ========== */
+
+/**
+ * Bundle a ciphertext with the settings needed to decrypt it
+ * @param {string} ciphertext - As shown in the encryption tab (grouped if preprocess.group)
+ * @param {Object} settings
+ * @param {number[][]} settings.chain - Keys used (only their lengths are stored); [null] for whole-message modes
+ * @param {string} settings.mode - Key of CIPHER_MODES
+ * @param {Object|null} [settings.params] - Mode parameters (see checkModeParams), not stored
+ * @param {string} settings.scheme - Key of PAD_SCHEMES
+ * @param {string} settings.padChar
+ * @param {string} settings.partial - Key of PARTIAL_BLOCK_MODES
+ * @param {string} settings.unit - Processing unit
+ * @param {Object} [settings.preprocess] - See PREPROCESS_DEFAULTS
+ * @param {Array<[number, string]>} [settings.removed] - From preprocessText
+ * @param {boolean} [settings.fingerprint] - Include keyFingerprint(chain, params)
+ * @returns {Object} - Envelope
+ */
+export function createEnvelope(ciphertext, settings){
+  const {chain, mode, params = null, scheme, padChar, partial, unit, preprocess = {}, removed = [], fingerprint = false} = settings;
+  const env = {
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    mode,
+    blockSize: modeBlockLength(mode, chain[0], params),
+    rounds: chain.length,
+    padding: {scheme, char: padChar, partial},
+    unit,
+    preprocess: {...PREPROCESS_DEFAULTS, ...preprocess},
+    removed,
+  };
+  if(fingerprint) env.keyFingerprint = keyFingerprint(chain, params);
+  env.ciphertext = ciphertext;
+  env.checksum = envelopeChecksum(env);
+  return env;
+}
+
+/**
+ * @param {Object} env
+ * @returns {string} - Indented JSON
+ */
+export function envelopeToJSON(env){
+  return JSON.stringify(env, null, 2);
+}
+
+/**
+ * @param {Object} env
+ * @returns {string} - BEGIN line, Base64 of the compact JSON, END line
+ */
+export function envelopeToArmor(env){
+  const body = encodeBase64(JSON.stringify(env));
+  const lines = [];
+  for(let i = 0; i < body.length; i += ARMOR_LINE_LENGTH) lines.push(body.slice(i, i + ARMOR_LINE_LENGTH));
+  return [ARMOR_BEGIN, ...lines, ARMOR_END].join('\n');
+}
+
+function encodeBase64(str){
+  const bytes = new TextEncoder().encode(str);
+  let binary = '';
+  // Spread in pieces: String.fromCharCode takes at most ~65k arguments
+  for(let i = 0; i < bytes.length; i += 0x8000){
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function decodeBase64(b64){
+  const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+  return new TextDecoder('utf-8', {fatal: true}).decode(bytes);
+}
+
+/* ========== Reading ========== */
+
+/**
+ * Whether text looks like an envelope rather than a bare ciphertext
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isEnvelopeText(text){
+  const s = (text || '').trim();
+  return s.startsWith(ARMOR_BEGIN) || (s.startsWith('{') && s.includes(`"${ENVELOPE_FORMAT}"`));
+}
+
+/**
+ * Read an envelope in JSON or armored form
+ * @param {string} text
+ * @returns {{ok: true, envelope: Object, armored: boolean}|{ok: false, msg: string}}
+ */
+export function parseEnvelope(text){
+  const s = (text || '').trim();
+  if(!s) return {ok:false, msg:'封筒が空です'};
+
+  let json = s;
+  const armored = s.startsWith(ARMOR_BEGIN);
+  if(armored){
+    const end = s.indexOf(ARMOR_END);
+    if(end < 0) return {ok:false, msg:'アーマーの終わりの行がありません（途中で切れている可能性があります）'};
+    try{
+      json = decodeBase64(s.slice(ARMOR_BEGIN.length, end).replace(/\s+/g, ''));
+    }catch{
+      return {ok:false, msg:'アーマーの本文を Base64 として読めません（文字が欠けているか変更されています）'};
+    }
+  }else if(!s.startsWith('{')){
+    return {ok:false, msg:'封筒の形式ではありません（JSON かアーマー形式の文字列を指定してください）'};
+  }
+
+  let obj;
+  try{
+    obj = JSON.parse(json);
+  }catch{
+    return {ok:false, msg: armored
+      ? 'アーマーの本文が壊れています（文字が欠けているか変更されています）'
+      : '封筒の JSON を読み取れません（構文エラー）'};
+  }
+  const res = validateEnvelope(obj);
+  return res.ok ? {...res, armored} : res;
+}
+
+/**
+ * Check the fields and checksum of a parsed envelope
+ * Missing preprocess options take their defaults.
+ * @param {*} obj
+ * @returns {{ok: true, envelope: Object}|{ok: false, msg: string}}
+ */
+export function validateEnvelope(obj){
+  if(!obj || typeof obj !== 'object' || obj.format !== ENVELOPE_FORMAT){
+    return {ok:false, msg:'Permutation CipherLab の封筒ではありません'};
+  }
+  if(Number.isInteger(obj.version) && obj.version > ENVELOPE_VERSION){
+    return {ok:false, msg:`新しいバージョン（${obj.version}）の封筒です。ツールを更新してください`};
+  }
+  const bad = field => ({ok:false, msg:`封筒の ${field} の値が正しくありません`});
+  if(obj.version !== ENVELOPE_VERSION) return bad('version');
+  if(!Object.hasOwn(CIPHER_MODES, obj.mode)) return bad('mode');
+  if(!Number.isInteger(obj.blockSize) || obj.blockSize < 2) return bad('blockSize');
+  if(!Number.isInteger(obj.rounds) || obj.rounds < 1) return bad('rounds');
+  if(CIPHER_MODES[obj.mode].whole && obj.rounds !== 1) return bad('rounds');
+
+  const padding = obj.padding;
+  if(!padding || typeof padding !== 'object') return bad('padding');
+  if(!Object.hasOwn(PAD_SCHEMES, padding.scheme)) return bad('padding.scheme');
+  if(typeof padding.char !== 'string' || [...padding.char].length > 1) return bad('padding.char');
+  if(!Object.hasOwn(PARTIAL_BLOCK_MODES, padding.partial)) return bad('padding.partial');
+  if(!UNITS.includes(obj.unit)) return bad('unit');
+
+  const preprocess = {...PREPROCESS_DEFAULTS};
+  if(obj.preprocess !== undefined){
+    if(!obj.preprocess || typeof obj.preprocess !== 'object') return bad('preprocess');
+    for(const [key, value] of Object.entries(obj.preprocess)){
+      if(!Object.hasOwn(PREPROCESS_DEFAULTS, key)) continue;
+      const valid = key === 'kana' ? KANA_TARGETS.includes(value) : typeof value === 'boolean';
+      if(!valid) return bad(`preprocess.${key}`);
+      preprocess[key] = value;
+    }
+  }
+  const removed = obj.removed ?? [];
+  if(!isStrippedList(removed)) return bad('removed');
+  if(obj.keyFingerprint !== undefined && !HEX8.test(obj.keyFingerprint)) return bad('keyFingerprint');
+  if(typeof obj.ciphertext !== 'string') return bad('ciphertext');
+  if(typeof obj.checksum !== 'string' || !HEX8.test(obj.checksum)) return bad('checksum');
+
+  const envelope = {
+    format: ENVELOPE_FORMAT,
+    version: obj.version,
+    mode: obj.mode,
+    blockSize: obj.blockSize,
+    rounds: obj.rounds,
+    padding: {scheme: padding.scheme, char: padding.char, partial: padding.partial},
+    unit: obj.unit,
+    preprocess,
+    removed,
+  };
+  if(obj.keyFingerprint !== undefined) envelope.keyFingerprint = obj.keyFingerprint;
+  envelope.ciphertext = obj.ciphertext;
+  envelope.checksum = obj.checksum;
+
+  if(envelopeChecksum(envelope) !== obj.checksum){
+    return {ok:false, msg:'チェックサムが一致しません。暗号文か設定が変更されているか、破損しています'};
+  }
+  // Padding fills the last block, so a single key leaves whole blocks
+  const fillsBlocks = padding.scheme === 'pkcs7' || padding.scheme === 'random'
+    || (padding.scheme === 'fixed' && padding.char !== '');
+  if(obj.rounds === 1 && fillsBlocks){
+    const text = preprocess.group ? ungroupUnits(obj.ciphertext, GROUP_SIZE, obj.unit) : obj.ciphertext;
+    if(splitUnits(text, obj.unit).length % obj.blockSize !== 0){
+      return {ok:false, msg:`暗号文の長さがブロック長（${obj.blockSize}）の倍数ではありません（文字が欠けているか、余分な文字があります）`};
+    }
+  }
+  return {ok:true, envelope};
+}
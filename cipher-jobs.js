@@ -0,0 +1,135 @@
+/* ============================================================================
+ * Permutation CipherLab - Background Jobs
+ * ============================================================================
+ *
+ * Heavy work requested by the page, as one table of named jobs. The table
+ * runs inside cipher-worker.js, and on the main thread when the worker fails
+ * to load or crashes, so both paths give the same results.
+ *
+ * Every job takes (params, onProgress, job) and returns a structured-clone
+ * friendly result. Long jobs call onProgress(0..1) and stop early when
+ * job.cancelled is set; encrypt/decrypt then return null, while the
+ * ciphertext-only search returns the best candidates found so far.
+ *
+ * ============================================================================
+ */
+
+import {
+  splitUnits, applyPadding, removePadding, transformInChunks, preprocessText,
+  restoreStripped, groupUnits, ungroupUnits, GROUP_SIZE, modeBlockLength
+} from './cipher-core.js';
+import {
+  recoverKeysFromKnownPlaintext, detectBlockLengths, searchCiphertextOnly
+} from './cipher-analysis.js';
+
+/**
+ * Apply the keys one round after another, each round in cancellable pieces
+ * Encryption pads before round 1 (the caller's job), like encryptChain.
+ * @param {string} text
+ * @param {number[][]} keys - Keys in the order they are applied (reversed for decryption)
+ * @param {string} direction - 'encrypt' | 'decrypt'
+ * @param {object} p - Job params with mode, scheme, unit, partial, params
+ * @param {function(number): void} onProgress - Progress 0..1 over all rounds
+ * @param {{cancelled: boolean}} job
+ * @returns {Promise<string[]|null>} - Output of each round, or null if cancelled
+ */
+async function transformRounds(text, keys, direction, p, onProgress, job){
+  const options = {mode: p.mode, scheme: p.scheme, unit: p.unit, partial: p.partial, params: p.params ?? null};
+  const rounds = [];
+  for(let r=0; r<keys.length; r++){
+    if(job.cancelled) return null;
+    text = await transformInChunks(text, keys[r], direction, options, f => onProgress((r + f) / keys.length), job);
+    if(text === null) return null;
+    rounds.push(text);
+  }
+  return rounds;
+}
+
+export const JOBS = {
+  /**
+   * Preprocess, pad and encrypt (the encryption tab's run button)
+   * params: {text, preprocess, chain, mode, scheme, padChar, unit, partial, params?}
+   * chain holds one key for single-key encryption, and [null] for the
+   * whole-message modes, which take their key from params.
+   * @returns {Promise<{prep, padded, output, display, rounds, inputLength, paddedLength, unitsMerged}|null>}
+   *   padded is null and rounds lists every round for chains
+   */
+  async encrypt(p, onProgress, job){
+    const prep = preprocessText(p.text, p.preprocess, p.unit);
+    const isChain = p.chain.length > 1;
+    // Pad once: random filler must be the same in the output and the views
+    const padded = applyPadding(prep.text, modeBlockLength(p.mode, p.chain[0], p.params), p.scheme, p.padChar, p.unit);
+    // Grapheme mode decrypts again to check for merged units: half the work each
+    const share = p.unit === 'grapheme' ? 0.5 : 1;
+    const rounds = await transformRounds(padded, p.chain, 'encrypt', p, f => onProgress(f * share), job);
+    if(rounds === null) return null;
+    const output = rounds[rounds.length-1];
+    let unitsMerged = false;
+    if(p.unit === 'grapheme'){
+      const back = await transformRounds(output, [...p.chain].reverse(), 'decrypt', p,
+        f => onProgress(share + f * share), job);
+      if(back === null) return null;
+      // Neighbouring graphemes can merge after reordering (see UNITS_MERGED_MSG in script.js)
+      unitsMerged = !back[back.length-1].startsWith(prep.text);
+    }
+    return {
+      prep,
+      padded: isChain ? null : padded,
+      output,
+      display: p.preprocess.group ? groupUnits(output, GROUP_SIZE, p.unit) : output,
+      rounds: isChain ? rounds : null,
+      inputLength: splitUnits(prep.text, p.unit).length,
+      paddedLength: isChain ? 0 : splitUnits(padded, p.unit).length,
+      unitsMerged,
+    };
+  },
+
+  /**
+   * Ungroup, decrypt, remove padding and restore stripped characters
+   * params: {text, ungroup, chain, mode, scheme, padChar, trim, unit, partial, removed, params?}
+   * @returns {Promise<{input, out, trimmed, result, rounds, outLength, resultLength}|null>}
+   *   trimmed is null when the padding does not match the scheme
+   */
+  async decrypt(p, onProgress, job){
+    const input = p.ungroup ? ungroupUnits(p.text, GROUP_SIZE, p.unit) : p.text;
+    const rounds = await transformRounds(input, [...p.chain].reverse(), 'decrypt', p, onProgress, job);
+    if(rounds === null) return null;
+    const out = rounds[rounds.length-1];
+    // Round 1 padded to the first key's length
+    const n = modeBlockLength(p.mode, p.chain[0], p.params);
+    const trimmed = p.trim ? removePadding(out, n, p.scheme, p.padChar, p.unit) : out;
+    const plain = trimmed ?? out;
+    return {
+      input,
+      out,
+      trimmed,
+      result: p.removed ? restoreStripped(plain, p.removed, p.unit) : plain,
+      rounds: p.chain.length > 1 ? rounds : null,
+      outLength: splitUnits(out, p.unit).length,
+      resultLength: splitUnits(plain, p.unit).length,
+    };
+  },
+
+  /** params: {plain, cipher, padChar, scheme, unit, partial, maxN?} */
+  kpa: p => recoverKeysFromKnownPlaintext(p.plain, p.cipher, p.padChar, p.maxN,
+    {scheme: p.scheme, unit: p.unit, partial: p.partial}),
+
+  /** params: {cipher, padChar, maxN, scheme, unit} */
+  detect: p => detectBlockLengths(p.cipher, p.padChar, p.maxN, {scheme: p.scheme, unit: p.unit}),
+
+  /** params: {cipher, options} (see searchCiphertextOnly) */
+  coa: (p, onProgress, job) => searchCiphertextOnly(p.cipher, p.options, onProgress, job),
+};
+
+/**
+ * Run a job from the table
+ * @param {string} type - Key of JOBS
+ * @param {object} params
+ * @param {function(number): void} onProgress - Called with progress 0..1
+ * @param {{cancelled: boolean}} job - Set job.cancelled to stop early
+ * @returns {Promise<*>}
+ */
+export async function runJob(type, params, onProgress=()=>{}, job={cancelled:false}){
+  if(!JOBS[type]) throw new Error(`Unknown job: ${type}`);
+  return JOBS[type](params, onProgress, job);
+}
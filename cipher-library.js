@@ -0,0 +1,319 @@
+/* ============================================================================
+ * Permutation CipherLab - Key Library
+ * ============================================================================
+ *
+ * DOM-free handling of saved keys: storage format and migration, search,
+ * sorting, backup files and merging an imported backup.
+ *
+ * Stored format (version 2, localStorage 'pcl_keys_v2'):
+ *   {version: 2, keys: [{name, pattern: '3-1-4-2', padding?, notes, tags,
+ *                        createdAt, usedAt}]}
+ * Version 1 ('pcl_patterns_v1') was a bare [{name, pattern, padding?}] array;
+ * its timestamps are unknown and stay null.
+ *
+ * Backup file:
+ *   {format: 'permutation-cipherlab-keys', version: 2, exportedAt,
+ *    keys: [...], chains: [{name, chain: ['3-1-4-2', ...], padding?}]}
+ *
+ * Entries that do not hold a valid key are dropped (and counted) rather than
+ * failing the whole load, so one bad entry cannot hide the rest.
+ *
+ * ============================================================================
+ */
+
+import { parsePattern, validatePermutation, buildPatternString, PAD_SCHEMES } from './cipher-core.js';
+
+export const LIBRARY_VERSION = 2;
+export const LIBRARY_EXPORT_FORMAT = 'permutation-cipherlab-keys';
+
+// Strategies for an imported entry whose name exists with a different key
+export const MERGE_STRATEGIES = {
+  skip: { label: '既存の鍵を残す' },
+  overwrite: { label: '読み込んだ鍵で上書き' },
+  rename: { label: '名前を変えて両方残す' },
+};
+
+export const LIBRARY_SORTS = {
+  name: { label: '名前順' },
+  created: { label: '作成が新しい順' },
+  used: { label: '使用が新しい順' },
+  length: { label: '長さ順' },
+};
+
+/* ========== Entries ========== */
+
+/**
+ * A pattern in the '3-1-4-2' form, so equal keys compare equal
+ * @param {*} value - Pattern string, or array as saved by very old versions
+ * @returns {string|null} - null if it is not a valid key
+ */
+function canonicalPattern(value){
+  const perm = Array.isArray(value) ? value : typeof value === 'string' ? parsePattern(value) : null;
+  return perm && validatePermutation(perm).ok ? buildPatternString(perm) : null;
+}
+
+function normalizePadding(padding){
+  return padding && typeof padding === 'object' && Object.hasOwn(PAD_SCHEMES, padding.scheme)
+    ? padding : undefined;
+}
+
+function normalizeTime(value){
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : null;
+}
+
+/**
+ * Split a tag field into tags
+ * @param {string} str - e.g. '第3回, 練習 lesson'
+ * @returns {string[]} - Unique, in input order
+ */
+export function parseTags(str){
+  return [...new Set((str || '').split(/[,、，\s]+/).map(t => t.trim()).filter(Boolean))];
+}
+
+/**
+ * Check a saved key and fill in missing metadata
+ * @param {*} raw - Entry from storage or a backup file (version 1 or 2)
+ * @returns {Object|null} - null if it does not hold a valid key
+ */
+export function normalizeKeyEntry(raw){
+  if(!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  const pattern = canonicalPattern(raw.pattern);
+  if(!pattern) return null;
+  const entry = {
+    name: raw.name.trim(),
+    pattern,
+    notes: typeof raw.notes === 'string' ? raw.notes : '',
+    tags: Array.isArray(raw.tags) ? parseTags(raw.tags.filter(t => typeof t === 'string').join(',')) : [],
+    createdAt: normalizeTime(raw.createdAt),
+    usedAt: normalizeTime(raw.usedAt),
+  };
+  const padding = normalizePadding(raw.padding);
+  if(padding) entry.padding = padding;
+  return entry;
+}
+
+/**
+ * Check a saved key chain
+ * @param {*} raw
+ * @returns {Object|null}
+ */
+export function normalizeChainEntry(raw){
+  if(!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  const chain = Array.isArray(raw.chain) ? raw.chain.map(canonicalPattern) : [];
+  if(chain.length === 0 || chain.includes(null)) return null;
+  const entry = { name: raw.name.trim(), chain };
+  const padding = normalizePadding(raw.padding);
+  if(padding) entry.padding = padding;
+  return entry;
+}
+
+/**
+ * Key length of a saved key
+ * @param {{pattern: string}} entry
+ * @returns {number}
+ */
+export function keyLength(entry){
+  return entry.pattern.split('-').length;
+}
+
+/* ========== Storage Format ========== */
+
+/**
+ * Bring stored data of any known version up to the current one
+ * @param {*} data - Parsed storage value (v1 array, v2 object) or null
+ * @returns {{version: number, keys: Object[], dropped: number}|null}
+ *   null if it was written by a newer version (do not overwrite it)
+ */
+export function migrateLibrary(data){
+  let raw;
+  if(data === null || data === undefined) raw = [];
+  else if(Array.isArray(data)) raw = data;                      // version 1
+  else if(data && typeof data === 'object' && data.version === LIBRARY_VERSION && Array.isArray(data.keys)) raw = data.keys;
+  else if(data && typeof data === 'object' && Number.isInteger(data.version) && data.version > LIBRARY_VERSION) return null;
+  else raw = [];
+
+  const keys = [];
+  const names = new Set();
+  for(const item of raw){
+    const entry = normalizeKeyEntry(item);
+    // Names are the identity of an entry; keep the first of duplicates
+    if(entry && !names.has(entry.name)){
+      names.add(entry.name);
+      keys.push(entry);
+    }
+  }
+  return { version: LIBRARY_VERSION, keys, dropped: raw.length - keys.length };
+}
+
+/* ========== Search ========== */
+
+/**
+ * Keys matching a search
+ * @param {Object[]} keys
+ * @param {Object} filter
+ * @param {string} [filter.query] - Matched against name, pattern, notes and tags (case-insensitive)
+ * @param {string} [filter.tag] - Exact tag ('' for any)
+ * @param {number} [filter.minLength]
+ * @param {number} [filter.maxLength]
+ * @returns {Object[]}
+ */
+export function filterKeys(keys, {query = '', tag = '', minLength = 0, maxLength = Infinity} = {}){
+  const q = query.trim().toLowerCase();
+  return keys.filter(k => {
+    const n = keyLength(k);
+    if(n < minLength || n > maxLength) return false;
+    if(tag && !k.tags.includes(tag)) return false;
+    if(!q) return true;
+    return [k.name, k.pattern, k.notes, ...k.tags].some(s => s.toLowerCase().includes(q));
+  });
+}
+
+/**
+ * Sorted copy of the keys
+ * Entries without a timestamp (migrated from version 1) go last.
+ * @param {Object[]} keys
+ * @param {string} order - Key of LIBRARY_SORTS
+ * @returns {Object[]}
+ */
+export function sortKeys(keys, order = 'name'){
+  const byName = (a, b) => a.name.localeCompare(b.name, 'ja', {numeric: true});
+  const newest = field => (a, b) => (b[field] || '').localeCompare(a[field] || '') || byName(a, b);
+  const compare = {
+    name: byName,
+    created: newest('createdAt'),
+    used: newest('usedAt'),
+    length: (a, b) => keyLength(a) - keyLength(b) || byName(a, b),
+  }[order] || byName;
+  return [...keys].sort(compare);
+}
+
+/**
+ * All tags in use
+ * @param {Object[]} keys
+ * @returns {string[]} - Sorted
+ */
+export function libraryTags(keys){
+  return [...new Set(keys.flatMap(k => k.tags))].sort((a, b) => a.localeCompare(b, 'ja'));
+}
+
+/* ========== Backup Files ========== */
+
+/**
+ * Contents of a backup file
+ * @param {Object[]} keys
+ * @param {Object[]} chains
+ * @param {Date} now
+ * @returns {Object}
+ */
+export function createLibraryExport(keys, chains, now = new Date()){
+  return {
+    format: LIBRARY_EXPORT_FORMAT,
+    version: LIBRARY_VERSION,
+    exportedAt: now.toISOString(),
+    keys,
+    chains,
+  };
+}
+
+/**
+ * Read a backup file
+ * Also accepts the bare version 1 list and the stored version 2 object, so
+ * a copy of localStorage can be restored too.
+ * @param {string} text
+ * @returns {{ok: true, keys: Object[], chains: Object[], dropped: number}|{ok: false, msg: string}}
+ */
+export function parseLibraryImport(text){
+  let data;
+  try{
+    data = JSON.parse(text);
+  }catch{
+    return {ok:false, msg:'JSON として読み取れません'};
+  }
+  let rawKeys, rawChains = [];
+  if(Array.isArray(data)){
+    rawKeys = data;
+  }else if(data && typeof data === 'object' && data.format === LIBRARY_EXPORT_FORMAT){
+    if(!Number.isInteger(data.version) || data.version > LIBRARY_VERSION){
+      return {ok:false, msg:`新しいバージョン（${data.version}）の書き出しファイルです。ツールを更新してください`};
+    }
+    rawKeys = Array.isArray(data.keys) ? data.keys : [];
+    rawChains = Array.isArray(data.chains) ? data.chains : [];
+  }else if(data && typeof data === 'object' && data.version === LIBRARY_VERSION && Array.isArray(data.keys)){
+    rawKeys = data.keys;
+  }else{
+    return {ok:false, msg:'鍵ライブラリの書き出しファイルではありません'};
+  }
+  const keys = rawKeys.map(normalizeKeyEntry).filter(Boolean);
+  const chains = rawChains.map(normalizeChainEntry).filter(Boolean);
+  const dropped = rawKeys.length + rawChains.length - keys.length - chains.length;
+  if(keys.length === 0 && chains.length === 0){
+    return {ok:false, msg:'読み込める鍵がありません'};
+  }
+  return {ok:true, keys, chains, dropped};
+}
+
+/* ========== Merging ========== */
+
+/**
+ * A name not in use, numbered like 'lesson (2)'
+ * @param {string} name
+ * @param {Set<string>} taken
+ * @returns {string}
+ */
+export function uniqueName(name, taken){
+  if(!taken.has(name)) return name;
+  let i = 2;
+  while(taken.has(`${name} (${i})`)) i++;
+  return `${name} (${i})`;
+}
+
+const sameKey = (a, b) => (a.chain ? a.chain.join(' ') : a.pattern) === (b.chain ? b.chain.join(' ') : b.pattern);
+
+const earliest = (a, b) => (!a ? b : !b ? a : a < b ? a : b);
+const latest = (a, b) => (!a ? b : !b ? a : a > b ? a : b);
+
+/**
+ * Merge imported entries into the saved ones, matching by name
+ * - Same name and key: metadata is combined (tags joined, notes kept unless
+ *   empty, earliest creation, latest use)
+ * - Same name, different key: resolved by strategy
+ * @param {Object[]} existing - Saved keys or chains
+ * @param {Object[]} incoming - Normalized entries from parseLibraryImport
+ * @param {string} strategy - Key of MERGE_STRATEGIES
+ * @returns {{entries: Object[], added: number, merged: number, overwritten: number, renamed: number, skipped: number}}
+ */
+export function mergeEntries(existing, incoming, strategy = 'skip'){
+  const entries = existing.map(e => ({...e}));
+  const byName = new Map(entries.map(e => [e.name, e]));
+  const result = { added: 0, merged: 0, overwritten: 0, renamed: 0, skipped: 0 };
+
+  for(const item of incoming){
+    const current = byName.get(item.name);
+    if(!current){
+      const copy = {...item};
+      entries.push(copy);
+      byName.set(copy.name, copy);
+      result.added++;
+    }else if(sameKey(current, item)){
+      if(current.tags) current.tags = [...new Set([...current.tags, ...item.tags])];
+      if(current.notes !== undefined && !current.notes) current.notes = item.notes;
+      if(current.createdAt !== undefined){
+        current.createdAt = earliest(current.createdAt, item.createdAt);
+        current.usedAt = latest(current.usedAt, item.usedAt);
+      }
+      result.merged++;
+    }else if(strategy === 'overwrite'){
+      Object.keys(current).forEach(k => delete current[k]);
+      Object.assign(current, item);
+      result.overwritten++;
+    }else if(strategy === 'rename'){
+      const copy = {...item, name: uniqueName(item.name, new Set(byName.keys()))};
+      entries.push(copy);
+      byName.set(copy.name, copy);
+      result.renamed++;
+    }else{
+      result.skipped++;
+    }
+  }
+  return { entries, ...result };
+}
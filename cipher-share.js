@@ -0,0 +1,238 @@
+/* ============================================================================
+ * Permutation CipherLab - Shareable Links
+ * ============================================================================
+ *
+ * Page state in the URL fragment, so a link opens straight to a key or an
+ * exercise. The fragment never reaches the server.
+ *
+ * Key and settings (readable, like a query string):
+ *   #v=1&key=3-1-4-2&mode=block&unit=grapheme&pad=fixed&char=X&partial=keep
+ *       [&keyword=ZEBRA][&text=ENIGMA+IS+FUN]
+ *   key repeats for a key chain, in encryption order. The rail fence and
+ *   route modes have no key: their parameters go in its place
+ *   (rails=3&offset=0, rows=4&route=spiral).
+ *
+ * Exercise (the ciphertext and its settings, without the key):
+ *   #v=1&exercise=<Base64url of the envelope JSON>[&answer=<Base64url>]
+ *   The exercise is a cipher-envelope.js envelope, so it is checked like
+ *   one. The answer is {keys: ['3-1-4-2', ...], keyword?, text} (or
+ *   {params: {rails, offset}, text} for the whole-message modes) in Base64url:
+ *   not readable at a glance, but anyone can decode it, so it is not secret.
+ *
+ * Invalid links give {ok: false, msg} with a Japanese message, like
+ * validatePermutation.
+ *
+ * ============================================================================
+ */
+
+import {
+  parsePattern, validatePermutation, buildPatternString, keywordToPermutation,
+  CIPHER_MODES, PAD_SCHEMES, PARTIAL_BLOCK_MODES, checkModeParams, modeBlockLength
+} from './cipher-core.js';
+import { parseEnvelope } from './cipher-envelope.js';
+
+export const SHARE_VERSION = 1;
+// Longer links get cut off by mail and chat apps
+export const SHARE_LINK_MAX = 8000;
+
+const UNITS = ['utf16', 'codepoint', 'grapheme'];
+
+/* ========== Encoding ========== */
+
+function encodeBase64Url(str){
+  const bytes = new TextEncoder().encode(str);
+  let binary = '';
+  for(let i = 0; i < bytes.length; i += 0x8000){
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(str){
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+  return new TextDecoder('utf-8', {fatal: true}).decode(bytes);
+}
+
+function finishFragment(params){
+  const fragment = `#${params}`;
+  if(fragment.length > SHARE_LINK_MAX){
+    return {ok:false, msg:`リンクが長すぎます（${fragment.length}文字、上限 ${SHARE_LINK_MAX}文字）。平文を短くするか、ファイルで渡してください`};
+  }
+  return {ok:true, fragment};
+}
+
+/**
+ * Fragment for a key and its settings
+ * @param {Object} state
+ * @param {number[][]} state.chain - One key, or a key chain in encryption order ([null] for whole-message modes)
+ * @param {string|null} [state.keyword] - Keyword the (single) key was derived from
+ * @param {string} state.mode - Key of CIPHER_MODES
+ * @param {Object|null} [state.params] - Mode parameters (see checkModeParams), written instead of the key
+ * @param {string} state.unit
+ * @param {{scheme: string, padChar: string, partial: string}} state.padding
+ * @param {string} [state.text] - Plaintext to encrypt (omitted when empty)
+ * @returns {{ok: true, fragment: string}|{ok: false, msg: string}}
+ */
+export function createShareFragment({chain, keyword = null, mode, params: modeParams = null, unit, padding, text = ''}){
+  const params = new URLSearchParams({v: String(SHARE_VERSION)});
+  if(CIPHER_MODES[mode].whole){
+    CIPHER_MODES[mode].paramNames.forEach(name => params.set(name, String(modeParams[name])));
+  }else{
+    chain.forEach(key => params.append('key', buildPatternString(key)));
+    if(keyword && chain.length === 1) params.set('keyword', keyword);
+  }
+  params.set('mode', mode);
+  params.set('unit', unit);
+  params.set('pad', padding.scheme);
+  params.set('char', padding.padChar);
+  params.set('partial', padding.partial);
+  if(text) params.set('text', text);
+  return finishFragment(params);
+}
+
+/**
+ * Fragment for an exercise: the ciphertext and its settings, without the key
+ * @param {Object} envelope - From createEnvelope (without the key fingerprint
+ *   unless it may be given away)
+ * @param {{chain: number[][], keyword?: string|null, params?: Object|null, text: string}|null} answer
+ *   Included for the "reveal answer" button; null to leave it out
+ * @returns {{ok: true, fragment: string}|{ok: false, msg: string}}
+ */
+export function createExerciseFragment(envelope, answer = null){
+  const params = new URLSearchParams({v: String(SHARE_VERSION)});
+  params.set('exercise', encodeBase64Url(JSON.stringify(envelope)));
+  if(answer){
+    const data = answer.params
+      ? { params: answer.params, text: answer.text }
+      : { keys: answer.chain.map(buildPatternString), text: answer.text };
+    if(!answer.params && answer.keyword && answer.chain.length === 1) data.keyword = answer.keyword;
+    params.set('answer', encodeBase64Url(JSON.stringify(data)));
+  }
+  return finishFragment(params);
+}
+
+/* ========== Reading ========== */
+
+/**
+ * Parse the keys of a link (pattern strings)
+ * @param {*} list
+ * @returns {{ok: true, chain: number[][]}|{ok: false, msg: string}}
+ */
+function readKeys(list){
+  if(!Array.isArray(list) || list.length === 0) return {ok:false, msg:'鍵がありません'};
+  const chain = [];
+  for(const str of list){
+    const perm = typeof str === 'string' ? parsePattern(str) : null;
+    if(!perm) return {ok:false, msg:`鍵「${str}」を読めません`};
+    const res = validatePermutation(perm);
+    if(!res.ok) return {ok:false, msg:`鍵「${str}」が不正です（${res.msg}）`};
+    chain.push(perm);
+  }
+  return {ok:true, chain};
+}
+
+/** Keep a keyword only if it gives the key */
+function matchingKeyword(keyword, chain){
+  if(typeof keyword !== 'string' || !keyword || chain.length !== 1) return null;
+  const perm = keywordToPermutation(keyword);
+  return perm && buildPatternString(perm) === buildPatternString(chain[0]) ? keyword : null;
+}
+
+function readExercise(params){
+  let json;
+  try{
+    json = decodeBase64Url(params.get('exercise'));
+  }catch{
+    return {ok:false, msg:'演習の暗号文が欠けているか、変更されています'};
+  }
+  const env = parseEnvelope(json);
+  if(!env.ok) return {ok:false, msg:`演習の暗号文を読めません（${env.msg}）`};
+  const envelope = env.envelope;
+
+  let answer = null;
+  if(params.has('answer')){
+    let data;
+    try{
+      data = JSON.parse(decodeBase64Url(params.get('answer')));
+    }catch{
+      return {ok:false, msg:'答えのデータが欠けているか、変更されています'};
+    }
+    const text = data && typeof data.text === 'string' ? data.text : '';
+    if(CIPHER_MODES[envelope.mode].whole){
+      const res = checkModeParams(envelope.mode, data && data.params);
+      if(!res.ok) return {ok:false, msg:`答えの${res.msg}`};
+      if(modeBlockLength(envelope.mode, null, res.params) !== envelope.blockSize){
+        return {ok:false, msg:'答えの設定が暗号文の設定と合いません'};
+      }
+      answer = { chain: [null], keyword: null, params: res.params, text };
+    }else{
+      const keys = readKeys(data && data.keys);
+      if(!keys.ok) return {ok:false, msg:`答えの${keys.msg}`};
+      if(keys.chain.length !== envelope.rounds || keys.chain[0].length !== envelope.blockSize){
+        return {ok:false, msg:'答えの鍵が暗号文の設定と合いません'};
+      }
+      answer = {
+        chain: keys.chain,
+        keyword: matchingKeyword(data.keyword, keys.chain),
+        params: null,
+        text,
+      };
+    }
+  }
+  return {ok:true, kind:'exercise', envelope, answer};
+}
+
+function readSettings(params){
+  for(const name of ['mode', 'unit', 'pad', 'partial']){
+    if(!params.has(name)) return {ok:false, msg:`リンクに設定「${name}」がありません`};
+  }
+  const mode = params.get('mode'), unit = params.get('unit');
+  const scheme = params.get('pad'), partial = params.get('partial');
+  if(!Object.hasOwn(CIPHER_MODES, mode)) return {ok:false, msg:`暗号方式「${mode}」には対応していません`};
+  const def = CIPHER_MODES[mode];
+  for(const name of def.whole ? def.paramNames : ['key']){
+    if(!params.has(name)) return {ok:false, msg:`リンクに設定「${name}」がありません`};
+  }
+  let keys = {chain: [null]}, modeParams = null;
+  if(def.whole){
+    const res = checkModeParams(mode, Object.fromEntries(def.paramNames.map(name => [name, params.get(name)])));
+    if(!res.ok) return res;
+    modeParams = res.params;
+  }else{
+    keys = readKeys(params.getAll('key'));
+    if(!keys.ok) return keys;
+  }
+  if(!UNITS.includes(unit)) return {ok:false, msg:`文字の単位「${unit}」には対応していません`};
+  if(!Object.hasOwn(PAD_SCHEMES, scheme)) return {ok:false, msg:`パディング方式「${scheme}」には対応していません`};
+  if(!Object.hasOwn(PARTIAL_BLOCK_MODES, partial)) return {ok:false, msg:`不足ブロックの扱い「${partial}」には対応していません`};
+  return {
+    ok: true,
+    kind: 'settings',
+    chain: keys.chain,
+    keyword: def.whole ? null : matchingKeyword(params.get('keyword'), keys.chain),
+    mode,
+    params: modeParams,
+    unit,
+    padding: { scheme, padChar: Array.from(params.get('char') || '')[0] || '', partial },
+    text: params.get('text') || '',
+  };
+}
+
+/**
+ * Read the state in a URL fragment
+ * @param {string} hash - location.hash ('#v=1&...' or '')
+ * @returns {Object|null} - null if the fragment holds no shared state;
+ *   {ok: true, kind: 'settings', chain, keyword, mode, params, unit, padding, text},
+ *   {ok: true, kind: 'exercise', envelope, answer} or {ok: false, msg}
+ */
+export function parseShareFragment(hash){
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  if(!params.has('v')) return null;
+  const version = Number(params.get('v'));
+  if(!Number.isInteger(version) || version < 1) return {ok:false, msg:'共有リンクの形式が正しくありません'};
+  if(version > SHARE_VERSION){
+    return {ok:false, msg:`新しいバージョン（${version}）の共有リンクです。ツールを更新してください`};
+  }
+  return params.has('exercise') ? readExercise(params) : readSettings(params);
+}
@@ -0,0 +1,193 @@
+/* ============================================================================
+ * Permutation CipherLab - Key Vault
+ * ============================================================================
+ *
+ * Optional encryption at rest for the key library. Saved keys and chains
+ * are stored as one AES-GCM ciphertext whose key is derived from a
+ * passphrase with PBKDF2 (Web Crypto), so someone else at a shared machine
+ * cannot read them from localStorage.
+ *
+ * Stored record (localStorage 'pcl_vault_v1'):
+ *   {
+ *     "format": "permutation-cipherlab-vault", "version": 1,
+ *     "kdf": {"name": "PBKDF2", "hash": "SHA-256", "iterations": 600000, "salt": "<Base64>"},
+ *     "cipher": {"name": "AES-GCM", "iv": "<Base64>"},
+ *     "data": "<Base64 ciphertext + tag>"
+ *   }
+ * The plaintext is JSON chosen by the caller. format, version and kdf are
+ * authenticated as additional data, so editing them makes opening fail.
+ *
+ * An open vault is a session {key, salt, iterations}: the derived key is
+ * kept in memory (not extractable) so saving does not run PBKDF2 again.
+ * Records must state between VAULT_ITERATIONS and VAULT_MAX_ITERATIONS
+ * iterations, so an edited record can neither weaken the key nor stall the
+ * page; a record with another count is re-sealed at VAULT_ITERATIONS.
+ * Every seal uses a fresh IV. A wrong passphrase gives {ok: false, msg}
+ * with a Japanese message, like validatePermutation.
+ *
+ * ============================================================================
+ */
+
+export const VAULT_FORMAT = 'permutation-cipherlab-vault';
+export const VAULT_VERSION = 1;
+export const VAULT_ITERATIONS = 600000;   // OWASP recommendation for PBKDF2-HMAC-SHA256
+export const VAULT_MAX_ITERATIONS = 2000000;   // A few seconds of PBKDF2 at most
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Whether this browser can use the vault
+ * Web Crypto is only available on https:// and http://localhost pages.
+ * @returns {boolean}
+ */
+export function isVaultSupported(){
+  return !!(globalThis.crypto && globalThis.crypto.subtle);
+}
+
+/**
+ * Check a new passphrase and its confirmation
+ * @param {string} passphrase
+ * @param {string} confirmation
+ * @returns {{ok: boolean, msg?: string}}
+ */
+export function checkNewPassphrase(passphrase, confirmation){
+  if([...passphrase].length < MIN_PASSPHRASE_LENGTH){
+    return {ok:false, msg:`パスフレーズは${MIN_PASSPHRASE_LENGTH}文字以上にしてください`};
+  }
+  if(passphrase !== confirmation) return {ok:false, msg:'確認用のパスフレーズが一致しません'};
+  return {ok:true};
+}
+
+/* ========== Keys ========== */
+
+/**
+ * Derive the AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveVaultKey(passphrase, salt, iterations){
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase.normalize('NFC')), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    {name: 'PBKDF2', hash: 'SHA-256', salt, iterations},
+    material, {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Start a session for a new vault (or a new passphrase) with a fresh salt
+ * @param {string} passphrase
+ * @param {number} iterations - Lower only in tests
+ * @returns {Promise<{key: CryptoKey, salt: Uint8Array, iterations: number}>}
+ */
+export async function createVaultSession(passphrase, iterations = VAULT_ITERATIONS){
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  return { key: await deriveVaultKey(passphrase, salt, iterations), salt, iterations };
+}
+
+/* ========== Sealing and Opening ========== */
+
+function toBase64(bytes){
+  let binary = '';
+  for(let i = 0; i < bytes.length; i += 0x8000){
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(b64){
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+/** The authenticated header: everything except the IV and the ciphertext */
+function headerBytes(record){
+  return new TextEncoder().encode(JSON.stringify([record.format, record.version, record.kdf]));
+}
+
+/**
+ * Encrypt text into a vault record
+ * @param {string} text
+ * @param {{key: CryptoKey, salt: Uint8Array, iterations: number}} session
+ * @returns {Promise<Object>} - JSON-ready record
+ */
+export async function sealVault(text, session){
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const record = {
+    format: VAULT_FORMAT,
+    version: VAULT_VERSION,
+    kdf: {name: 'PBKDF2', hash: 'SHA-256', iterations: session.iterations, salt: toBase64(session.salt)},
+    cipher: {name: 'AES-GCM', iv: toBase64(iv)},
+  };
+  const data = await crypto.subtle.encrypt(
+    {name: 'AES-GCM', iv, additionalData: headerBytes(record)},
+    session.key, new TextEncoder().encode(text));
+  record.data = toBase64(new Uint8Array(data));
+  return record;
+}
+
+/**
+ * Whether a parsed value looks like a vault record (of any version)
+ * @param {*} obj
+ * @returns {boolean}
+ */
+export function isVaultRecord(obj){
+  return !!obj && typeof obj === 'object' && obj.format === VAULT_FORMAT;
+}
+
+/**
+ * Check the fields of a record before deriving a key
+ * @param {Object} record
+ * @param {number} minIterations - Fewest PBKDF2 iterations accepted
+ * @returns {{ok: true, salt: Uint8Array, iv: Uint8Array, data: Uint8Array}|{ok: false, msg: string}}
+ */
+function readRecord(record, minIterations){
+  if(!isVaultRecord(record)) return {ok:false, msg:'金庫のデータではありません'};
+  if(!Number.isInteger(record.version) || record.version > VAULT_VERSION){
+    return {ok:false, msg:`新しいバージョン（${record.version}）で作られた金庫です。ツールを更新してください`};
+  }
+  const {kdf, cipher} = record;
+  if(!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !Number.isInteger(kdf.iterations)
+    || kdf.iterations < minIterations || kdf.iterations > VAULT_MAX_ITERATIONS
+    || !cipher || cipher.name !== 'AES-GCM'
+    || typeof kdf.salt !== 'string' || typeof cipher.iv !== 'string' || typeof record.data !== 'string'){
+    return {ok:false, msg:'金庫のデータが壊れています'};
+  }
+  try{
+    return {ok:true, salt: fromBase64(kdf.salt), iv: fromBase64(cipher.iv), data: fromBase64(record.data)};
+  }catch{
+    return {ok:false, msg:'金庫のデータが壊れています'};
+  }
+}
+
+/**
+ * Decrypt a vault record with a passphrase
+ * @param {Object} record - Parsed record (see sealVault)
+ * @param {string} passphrase
+ * @param {number} iterations - Fewest accepted and the count of the returned session (lower only in tests)
+ * @returns {Promise<{ok: true, text: string, session: Object, reseal: boolean}|{ok: false, msg: string}>}
+ *   session can seal the next save without the passphrase; reseal is true when
+ *   the record used another iteration count and should be saved again
+ */
+export async function openVault(record, passphrase, iterations = VAULT_ITERATIONS){
+  const parts = readRecord(record, iterations);
+  if(!parts.ok) return parts;
+  let session = {
+    key: await deriveVaultKey(passphrase, parts.salt, record.kdf.iterations),
+    salt: parts.salt,
+    iterations: record.kdf.iterations,
+  };
+  let plain;
+  try{
+    plain = await crypto.subtle.decrypt(
+      {name: 'AES-GCM', iv: parts.iv, additionalData: headerBytes(record)}, session.key, parts.data);
+  }catch{
+    // GCM cannot tell a wrong key from edited data
+    return {ok:false, msg:'パスフレーズが違うか、金庫のデータが壊れています'};
+  }
+  const reseal = record.kdf.iterations !== iterations;
+  if(reseal) session = await createVaultSession(passphrase, iterations);
+  return {ok:true, text: new TextDecoder().decode(plain), session, reseal};
+}
@@ -0,0 +1,46 @@
+/* ============================================================================
+ * Permutation CipherLab - Job Worker
+ * ============================================================================
+ *
+ * Module worker that runs cipher-jobs.js off the main thread.
+ *
+ * Messages in:  {id, type, params}  start a job
+ *               {id, cancel: true}  cancel it (checked between pieces)
+ * Messages out: {id, progress}      0..1, at most every PROGRESS_INTERVAL ms
+ *               {id, result, cancelled}
+ *               {id, error}
+ *
+ * ============================================================================
+ */
+
+import { runJob } from './cipher-jobs.js';
+
+const PROGRESS_INTERVAL = 50;
+const running = new Map();
+
+self.addEventListener('message', async (e)=>{
+  const {id, type, params, cancel} = e.data;
+  if(cancel){
+    const job = running.get(id);
+    if(job) job.cancelled = true;
+    return;
+  }
+
+  const job = {cancelled: false};
+  running.set(id, job);
+  let lastPost = 0;
+  const onProgress = (progress)=>{
+    const now = Date.now();
+    if(progress < 1 && now - lastPost < PROGRESS_INTERVAL) return;
+    lastPost = now;
+    self.postMessage({id, progress});
+  };
+  try{
+    const result = await runJob(type, params, onProgress, job);
+    self.postMessage({id, result, cancelled: job.cancelled});
+  }catch(err){
+    self.postMessage({id, error: err.message});
+  }finally{
+    running.delete(id);
+  }
+});
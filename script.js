@@ -5,15 +5,27 @@
  * Educational tool for exploring permutation (transposition) ciphers.
  *
  * Features:
- * - Block-wise permutation encryption/decryption
+ * - Block-wise permutation encryption/decryption (UTF-16, code point or grapheme units)
+ * - Columnar transposition with keyword-derived column order
+ * - Key chains for double / multi-round transposition
+ * - Known-plaintext key recovery (analysis tab)
+ * - Block-length detection and ciphertext-only attack with n-gram scoring
  * - Pattern generation (random, manual, visual drag-and-drop)
- * - Pattern visualization (forward and inverse)
+ * - Pattern visualization (forward and inverse) with cycle/order/parity inspector
+ * - Key composition / comparison workspace
  * - Multiple pattern storage via localStorage
  * - Block navigation for multi-block cipher analysis
  * - Animation demo for understanding permutation step-by-step
+ * - File import/export, background jobs with progress and cancel
+ * - Ciphertext envelopes that carry the decryption settings
+ * - Optional passphrase vault that encrypts saved keys at rest
+ * - Shareable links (URL fragment) for keys, settings and exercises
  *
  * Architecture:
- * - Pure vanilla JavaScript (no frameworks)
+ * - Pure vanilla JavaScript (no frameworks), loaded as an ES module
+ * - DOM-free logic lives in cipher-core.js / cipher-analysis.js /
+ *   cipher-jobs.js / cipher-envelope.js / cipher-library.js /
+ *   cipher-vault.js / cipher-share.js; this file only wires it to the page
  * - Event-driven architecture with tab-based UI
  * - Global state management via `currentKey`
  * - Security: XSS prevention using textContent instead of innerHTML
@@ -21,6 +33,34 @@
  * ============================================================================
  */
 
+import {
+  parsePattern, validatePermutation, inversePermutation, splitUnits,
+  blockView, applyPermutation, buildPatternString, generateRandomPermutation,
+  keywordToPermutation, lcm, composePermutations, chainEquivalentPermutation,
+  CIPHER_MODES, PAD_SCHEMES, PARTIAL_BLOCK_MODES, GROUP_SIZE, ungroupUnits, parseStripped,
+  permutationCycles, formatCycles, parseKeyInput, permutationParity,
+  permutationOrder, permutationPower, repeatPermutation, conjugatePermutation,
+  cycleType, RANDOM_SOURCES, derivePermutation, DERIVE_ITERATIONS,
+  railFencePermutation, railFenceRails, routePermutation, ROUTES,
+  applyPadding, encryptPadded, decryptPadded, checkModeParams, modeBlockLength
+} from './cipher-core.js';
+import {
+  enumerateCandidateKeys, keyFitsKnownPlaintext, assessKeyStrength, factorial, KEY_STRENGTH_LEVELS, BRUTE_FORCE_RATE,
+  textStatistics, compareTextStatistics, ALPHABET, ENGLISH_IOC, RANDOM_IOC
+} from './cipher-analysis.js';
+import { runJob } from './cipher-jobs.js';
+import {
+  createEnvelope, envelopeToJSON, envelopeToArmor, parseEnvelope, isEnvelopeText, keyFingerprint
+} from './cipher-envelope.js';
+import {
+  LIBRARY_VERSION, migrateLibrary, parseTags, keyLength, filterKeys, sortKeys, libraryTags,
+  createLibraryExport, parseLibraryImport, normalizeChainEntry, mergeEntries
+} from './cipher-library.js';
+import {
+  isVaultSupported, checkNewPassphrase, createVaultSession, sealVault, openVault
+} from './cipher-vault.js';
+import { createShareFragment, createExerciseFragment, parseShareFragment } from './cipher-share.js';
+
 /* ============================================================================
  * DOM Helpers
  * ============================================================================ */
@@ -30,8 +70,15 @@ const $$ = (sel) => document.querySelectorAll(sel);
 /* ============================================================================
  * Global State
  * ============================================================================ */
-const STORAGE_KEY = 'pcl_patterns_v1';  // localStorage key for saved patterns
+const STORAGE_KEY = 'pcl_keys_v2';      // localStorage key for the key library
+const LEGACY_STORAGE_KEY = 'pcl_patterns_v1'; // Saved patterns before the library (migrated on load)
+const CHAIN_STORAGE_KEY = 'pcl_chains_v1'; // localStorage key for saved key chains
+const VAULT_STORAGE_KEY = 'pcl_vault_v1'; // Encrypted keys and chains (replaces the two above when on)
+const VAULT_AUTOLOCK_KEY = 'pcl_vault_autolock'; // Auto-lock minutes (not secret)
+let vault = null;                        // Open vault: {session, keys, chains} (null when off or locked)
 let currentKey = null;                   // Current active permutation pattern (global state)
+let currentKeyword = null;               // Keyword the current key was derived from (columnar mode)
+let keyChain = [];                       // Ordered keys for multi-round transposition
 
 /* ============================================================================
  * UI Feedback Functions
@@ -80,199 +127,6 @@ $$('.tab').forEach(btn=>{
   });
 });
 
-/* ============================================================================
- * Core Cryptographic Functions
- * ============================================================================ */
-
-/**
- * Parse pattern string into array of integers
- * Accepts multiple delimiters: hyphen, space, comma, Japanese comma
- * @param {string} str - Pattern string (e.g., "3-1-4-2")
- * @param {number} n - Expected length (optional, for validation)
- * @returns {number[]|null} - Parsed pattern or null if invalid
- */
-function parsePattern(str, n){
-  // Accept forms like "3-1-4-2" or "3 1 4 2" or "3,1,4,2"
-  if(!str) return null;
-
-  // Trim and check for trailing delimiters
-  const trimmed = str.trim();
-  if(/[\s,\-，、]$/.test(trimmed)){
-    return null; // Ends with delimiter
-  }
-
-  const parts = trimmed.split(/[\s,\-，、]+/).filter(Boolean);
-
-  // Check if all parts are valid integers
-  const numbers = parts.map(x => {
-    const num = parseInt(x, 10);
-    // Check if parsing succeeded and the string representation matches
-    if(isNaN(num) || String(num) !== x.trim()){
-      return NaN;
-    }
-    return num;
-  });
-
-  if(numbers.some(Number.isNaN)) return null;
-  if(n && numbers.length !== n) return null;
-  return numbers;
-}
-
-/**
- * Validate permutation pattern
- * Ensures pattern is a valid permutation of 1..n
- * @param {number[]} perm - Permutation array to validate
- * @returns {{ok: boolean, msg?: string}} - Validation result
- */
-function validatePermutation(perm){
-  if(!Array.isArray(perm) || perm.length<2) {
-    return {ok:false, msg:'長さ2以上のパターンを指定してください'};
-  }
-
-  const n = perm.length;
-
-  // Check for non-positive integers
-  if(perm.some(x => x < 1 || !Number.isInteger(x))){
-    return {ok:false, msg:'1以上の整数のみ使用できます'};
-  }
-
-  // Check for values out of range (must be in 1..n)
-  const outOfRange = perm.filter(x => x > n);
-
-  if(outOfRange.length > 0){
-    const outOfRangeStr = [...new Set(outOfRange)].join(', ');
-    return {ok:false, msg:`範囲外の値: ${outOfRangeStr}（1〜${n}の値のみ使用できます）`};
-  }
-
-  // Check for duplicates
-  const set = new Set(perm);
-  if(set.size !== n) {
-    const duplicates = perm.filter((val, idx) => perm.indexOf(val) !== idx);
-    return {ok:false, msg:`重複があります: ${[...new Set(duplicates)].join(', ')}`};
-  }
-
-  // Check for missing values
-  const missing = [];
-  for(let i=1; i<=n; i++){
-    if(!set.has(i)) missing.push(i);
-  }
-  if(missing.length > 0){
-    return {ok:false, msg:`不足している値があります: ${missing.join(', ')}`};
-  }
-
-  return {ok:true};
-}
-
-/**
- * Calculate inverse permutation for decryption
- * @param {number[]} perm - Original permutation (1-based)
- * @returns {number[]} - Inverse permutation
- * @example inversePermutation([3,1,4,2]) returns [2,4,1,3]
- */
-function inversePermutation(perm){
-  const inv = new Array(perm.length);
-  // perm[i] = j  (1-based) means position i -> j
-  // inverse: inv[j-1] = i+1
-  perm.forEach((j, i)=> inv[j-1] = i+1);
-  return inv;
-}
-
-/**
- * Split string into fixed-size chunks (blocks)
- * @param {string} str - Input string
- * @param {number} size - Block size
- * @returns {string[]} - Array of chunks
- */
-function chunkBy(str, size){
-  const chunks = [];
-  for(let i=0;i<str.length;i+=size){
-    chunks.push(str.slice(i, i+size));
-  }
-  return chunks;
-}
-
-/**
- * Apply permutation to a single block
- * @param {string} block - Input block
- * @param {number[]} perm - Permutation pattern (1-based)
- * @param {string} padChar - Padding character
- * @param {boolean} padEnable - Whether to pad incomplete blocks
- * @returns {string} - Permuted block
- */
-function applyPermutationToBlock(block, perm, padChar, padEnable){
-  const n = perm.length;
-  let b = block;
-  if(block.length < n){
-    if(padEnable && padChar){
-      b = block + padChar.repeat(n - block.length);
-    }else{
-      // leave as-is (no permutation if shorter than n)
-      // Alternative: permute existing positions only.
-      // Here we leave as-is to avoid ambiguity.
-      return block;
-    }
-  }
-  const out = new Array(n);
-  for(let i=0;i<n;i++){
-    const from = i;          // 0-based index
-    const to = perm[i]-1;    // 0-based destination
-    out[to] = b[from];
-  }
-  return out.join('');
-}
-
-/**
- * Apply permutation to entire string (block-wise)
- * @param {string} str - Input string
- * @param {number[]} perm - Permutation pattern
- * @param {string} padChar - Padding character
- * @param {boolean} padEnable - Enable padding
- * @returns {string} - Encrypted string
- */
-function applyPermutation(str, perm, padChar, padEnable){
-  const n = perm.length;
-  return chunkBy(str, n).map(block=>{
-    return applyPermutationToBlock(block, perm, padChar, padEnable);
-  }).join('');
-}
-
-/**
- * Trim padding characters from right end of string
- * @param {string} str - Input string
- * @param {string} padChar - Padding character to remove
- * @returns {string} - String with padding removed
- */
-function trimRightPad(str, padChar){
-  if(!padChar) return str;
-  let i = str.length-1;
-  while(i>=0 && str[i]===padChar) i--;
-  return str.slice(0, i+1);
-}
-
-/**
- * Convert permutation array to string representation
- * @param {number[]} perm - Permutation array
- * @returns {string} - Pattern string (e.g., "3-1-4-2")
- */
-function buildPatternString(perm){
-  return perm.join('-');
-}
-
-/**
- * Generate random permutation using Fisher-Yates shuffle
- * @param {number} n - Length of permutation
- * @returns {number[]} - Random permutation of 1..n
- */
-function generateRandomPermutation(n){
-  const arr = Array.from({length:n}, (_,i)=>i+1);
-  // Fisher-Yates shuffle
-  for(let i=n-1; i>0; i--){
-    const j = Math.floor(Math.random()*(i+1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
-}
-
 /* ============================================================================
  * Key Management Functions
  * ============================================================================ */
@@ -280,11 +134,18 @@ function generateRandomPermutation(n){
 /**
  * Update the current active key and sync UI
  * @param {number[]|null} pattern - New permutation pattern
+ * @param {string|null} keyword - Keyword the pattern was derived from (optional)
  */
-function updateCurrentKey(pattern){
+function updateCurrentKey(pattern, keyword=null){
   currentKey = pattern;
+  currentKeyword = pattern ? keyword : null;
   const keyText = $('#current-key-text');
   const keyCopyBtn = $('#key-copy');
+  const keywordInfo = $('#current-key-keyword');
+  if(keywordInfo){
+    keywordInfo.textContent = currentKeyword ? `キーワード「${currentKeyword}」から導出（同じ文字は左から順に番号付け）` : '';
+    keywordInfo.hidden = !currentKeyword;
+  }
   if(pattern){
     keyText.textContent = buildPatternString(pattern);
     keyCopyBtn.disabled = false;
@@ -292,15 +153,87 @@ function updateCurrentKey(pattern){
     updateKeyDisplays();
     // Update visualization
     renderKeyVisualization(pattern);
+    renderKeyStrength(pattern);
   }else{
     keyText.textContent = '未生成';
     keyCopyBtn.disabled = true;
+    updateKeyDisplays();
+    const strengthEl = $('#key-strength');
+    if(strengthEl) strengthEl.hidden = true;
     // Hide visualization
     const vizContainer = $('#key-visualization');
     if(vizContainer) vizContainer.style.display = 'none';
   }
 }
 
+/**
+ * Draw positions 1..n above their destinations with arrows in between
+ * @param {HTMLElement} container - Target .pattern-viz element
+ * @param {number[]} values - Destination of each position
+ */
+function renderPatternArrows(container, values){
+  container.innerHTML = '';
+  const n = values.length;
+
+  // Top row (positions 1,2,3,4...)
+  const topRow = document.createElement('div');
+  topRow.className = 'viz-row';
+  for(let i=1; i<=n; i++){
+    const cell = document.createElement('div');
+    cell.className = 'viz-cell top';
+    cell.textContent = i;
+    topRow.appendChild(cell);
+  }
+  container.appendChild(topRow);
+
+  // Arrows
+  const arrows = document.createElement('div');
+  arrows.className = 'viz-arrows';
+  for(let i=0; i<n; i++){
+    const arrow = document.createElement('div');
+    arrow.className = 'viz-arrow';
+    arrow.textContent = '↓';
+    arrows.appendChild(arrow);
+  }
+  container.appendChild(arrows);
+
+  // Bottom row (destination values)
+  const bottomRow = document.createElement('div');
+  bottomRow.className = 'viz-row';
+  for(let i=0; i<n; i++){
+    const cell = document.createElement('div');
+    cell.className = 'viz-cell bottom';
+    cell.textContent = values[i];
+    bottomRow.appendChild(cell);
+  }
+  container.appendChild(bottomRow);
+}
+
+/**
+ * Highlight one column (position, arrow, destination) of a pattern visualization
+ * @param {HTMLElement} container - .pattern-viz rendered by renderPatternArrows
+ * @param {number} k - 0-based column (-1 clears the highlight)
+ * @param {string} label - Character shown moving along the arrow
+ */
+function highlightPatternColumn(container, k, label=''){
+  if(container.children.length < 3) return;
+  const [topRow, arrows, bottomRow] = container.children;
+  [topRow, bottomRow].forEach(row=>{
+    Array.from(row.children).forEach((cell, i)=> cell.classList.toggle('active', i === k));
+  });
+  Array.from(arrows.children).forEach((arrow, i)=>{
+    arrow.classList.toggle('active', i === k);
+    arrow.textContent = '';
+    if(i === k && label){
+      const moving = document.createElement('span');
+      moving.className = 'viz-moving';
+      moving.textContent = label;
+      arrow.appendChild(moving);
+    }
+    arrow.append('↓');
+  });
+}
+
 /**
  * Update key display in encryption and decryption tabs
  */
@@ -332,142 +265,261 @@ function renderKeyVisualization(pattern){
   const vizContainer = $('#key-visualization');
   if(!vizContainer) return;
 
-  const n = pattern.length;
-  const inverse = inversePermutation(pattern);
-
   // Render forward pattern
   const forwardViz = $('#pattern-viz-forward');
-  if(forwardViz){
-    forwardViz.innerHTML = '';
-
-    // Top row (positions 1,2,3,4...)
-    const topRow = document.createElement('div');
-    topRow.className = 'viz-row';
-    for(let i=1; i<=n; i++){
-      const cell = document.createElement('div');
-      cell.className = 'viz-cell top';
-      cell.textContent = i;
-      topRow.appendChild(cell);
-    }
-    forwardViz.appendChild(topRow);
-
-    // Arrows
-    const arrows = document.createElement('div');
-    arrows.className = 'viz-arrows';
-    for(let i=0; i<n; i++){
-      const arrow = document.createElement('div');
-      arrow.className = 'viz-arrow';
-      arrow.textContent = '↓';
-      arrows.appendChild(arrow);
-    }
-    forwardViz.appendChild(arrows);
-
-    // Bottom row (pattern values)
-    const bottomRow = document.createElement('div');
-    bottomRow.className = 'viz-row';
-    for(let i=0; i<n; i++){
-      const cell = document.createElement('div');
-      cell.className = 'viz-cell bottom';
-      cell.textContent = pattern[i];
-      bottomRow.appendChild(cell);
-    }
-    forwardViz.appendChild(bottomRow);
-  }
+  if(forwardViz) renderPatternArrows(forwardViz, pattern);
 
   // Render inverse pattern
   const inverseViz = $('#pattern-viz-inverse');
-  if(inverseViz){
-    inverseViz.innerHTML = '';
-
-    // Top row (positions 1,2,3,4...)
-    const topRow = document.createElement('div');
-    topRow.className = 'viz-row';
-    for(let i=1; i<=n; i++){
-      const cell = document.createElement('div');
-      cell.className = 'viz-cell top';
-      cell.textContent = i;
-      topRow.appendChild(cell);
-    }
-    inverseViz.appendChild(topRow);
-
-    // Arrows
-    const arrows = document.createElement('div');
-    arrows.className = 'viz-arrows';
-    for(let i=0; i<n; i++){
-      const arrow = document.createElement('div');
-      arrow.className = 'viz-arrow';
-      arrow.textContent = '↓';
-      arrows.appendChild(arrow);
-    }
-    inverseViz.appendChild(arrows);
-
-    // Bottom row (inverse values)
-    const bottomRow = document.createElement('div');
-    bottomRow.className = 'viz-row';
-    for(let i=0; i<n; i++){
-      const cell = document.createElement('div');
-      cell.className = 'viz-cell bottom';
-      cell.textContent = inverse[i];
-      bottomRow.appendChild(cell);
-    }
-    inverseViz.appendChild(bottomRow);
-  }
+  if(inverseViz) renderPatternArrows(inverseViz, inversePermutation(pattern));
 
+  renderKeyAlgebra(pattern);
   vizContainer.style.display = 'block';
 }
 
+/**
+ * Rough length of a time span, for brute-force estimates
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds){
+  if(seconds < 1) return '1秒未満';
+  const units = [['年', 31557600], ['日', 86400], ['時間', 3600], ['分', 60], ['秒', 1]];
+  const [name, size] = units.find(([, s]) => seconds >= s);
+  const value = seconds / size;
+  if(value >= 1e6) return `約 ${value.toExponential(1).replace('e+', ' × 10^')} ${name}`;
+  return `約 ${Math.round(value).toLocaleString()} ${name}`;
+}
+
+/**
+ * Show the weak-key assessment of the current key
+ * @param {number[]} pattern - Current key
+ */
+function renderKeyStrength(pattern){
+  const strengthEl = $('#key-strength');
+  if(!strengthEl) return;
+  const a = assessKeyStrength(pattern);
+
+  const ratingEl = $('#key-strength-rating');
+  ratingEl.textContent = KEY_STRENGTH_LEVELS[a.rating].label;
+  ratingEl.className = `strength-rating ${a.rating}`;
+
+  const listEl = $('#key-strength-warnings');
+  listEl.innerHTML = '';
+  a.warnings.forEach(w=>{
+    const li = document.createElement('li');
+    li.className = w.level;
+    li.textContent = w.msg;
+    listEl.appendChild(li);
+  });
+  listEl.hidden = a.warnings.length === 0;
+
+  const count = factorial(a.n);
+  $('#key-strength-fixed').textContent = `${a.fixedPoints.length} / ${a.n}`
+    + (a.identity ? '（恒等置換）' : a.nearIdentity ? '（ほとんど動かない）' : '');
+  $('#key-strength-pairs').textContent = `${a.adjacentPairs} / ${a.pairCount} 組`
+    + (a.reversedPairs ? `（逆順で隣り合う組 ${a.reversedPairs}）` : '');
+  $('#key-strength-involution').textContent = a.involution ? 'はい（暗号化と復号が同じ）' : 'いいえ';
+  $('#key-strength-order').textContent = String(a.order);
+  $('#key-strength-keyspace').textContent =
+    `${a.n}! = ${count < 1e15 ? count.toLocaleString() : count.toExponential(2).replace('e+', ' × 10^')} 通り（log₂ ${a.n}! ≈ ${a.keyspaceBits.toFixed(1)} ビット）`;
+  $('#key-strength-time').textContent =
+    `${formatDuration(a.bruteForceSeconds)}（1秒に ${BRUTE_FORCE_RATE.toLocaleString()} 個の鍵を試す場合）`;
+  strengthEl.hidden = false;
+}
+
+const ALGEBRA_PREVIEW_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!?';
+const ALGEBRA_MAX_STEPS = 12;  // Steps listed before the preview jumps to the result
+
+/**
+ * Show cycles, fixed points, parity and order of the current key
+ * @param {number[]} pattern - Current key
+ */
+function renderKeyAlgebra(pattern){
+  const cyclesEl = $('#algebra-cycles');
+  if(!cyclesEl) return;
+  const cycles = permutationCycles(pattern);
+  const fixed = cycles.filter(c => c.length === 1).map(c => c[0]);
+  const parity = permutationParity(pattern);
+  const order = permutationOrder(pattern);
+
+  cyclesEl.textContent = formatCycles(cycles);
+  $('#algebra-fixed').textContent = fixed.length
+    ? `${fixed.join(', ')}（${fixed.length}個）`
+    : 'なし';
+  $('#algebra-parity').textContent =
+    `${parity.even ? '偶置換' : '奇置換'}（互換 ${parity.transpositions} 個の積）`;
+  $('#algebra-order').textContent = order === 1
+    ? '1（恒等置換：暗号化しても文字が動きません）'
+    : `${order}（${order}回暗号化すると平文に戻ります）`;
+
+  $('#algebra-power-result').textContent = '';
+  $('#algebra-power-steps').innerHTML = '';
+  $('#algebra-power-use').hidden = true;
+}
+
+/**
+ * Show key^k and the text after each of the k encryptions
+ * @param {number[]} pattern - Current key
+ * @param {number} k - Exponent (negative = decrypt |k| times)
+ * @param {string} text - Preview text
+ * @returns {number[]} - The k-th power
+ */
+function renderKeyPower(pattern, k, text){
+  const power = permutationPower(pattern, k);
+  const order = permutationOrder(pattern);
+  const reduced = ((k % order) + order) % order;
+  $('#algebra-power-result').textContent =
+    `鍵^${k} = ${buildPatternString(power)} = ${formatCycles(permutationCycles(power))}`
+    + (reduced !== k ? `（位数 ${order} なので 鍵^${reduced} と同じ）` : '');
+
+  // Each step encrypts (or decrypts) once in block mode with the encryption
+  // tab's padding, unit and short-block settings; only the start is padded
+  const {scheme, padChar, partial} = readPaddingSettings();
+  const unit = encryptEls.unit.value;
+  const listEl = $('#algebra-power-steps');
+  listEl.innerHTML = '';
+  const addStep = (i, value)=>{
+    const li = document.createElement('li');
+    li.value = i;
+    const label = document.createElement('span');
+    label.className = 'round-key';
+    label.textContent = i === 0
+      ? '元の文字列: '
+      : `${i}回${k < 0 ? '復号' : '暗号化'}${value === padded ? '（元に戻った）' : ''}: `;
+    li.append(label, document.createTextNode(value));
+    listEl.appendChild(li);
+  };
+
+  // The plaintext as it looks after padding, to spot when a step returns to it
+  const padded = applyPadding(text, pattern.length, scheme, padChar, unit);
+  let current = padded;
+  addStep(0, text);
+  for(let i=1; i<=Math.abs(k); i++){
+    current = k < 0
+      ? decryptPadded(current, pattern, 'block', scheme, unit, partial)
+      : encryptPadded(current, pattern, 'block', scheme, unit, partial);
+    if(i <= ALGEBRA_MAX_STEPS || i === Math.abs(k)){
+      if(i === Math.abs(k) && i > ALGEBRA_MAX_STEPS + 1){
+        const gap = document.createElement('li');
+        gap.value = i - 1;
+        gap.textContent = '…';
+        listEl.appendChild(gap);
+      }
+      addStep(i, current);
+    }
+  }
+  return power;
+}
+
 /* ============================================================================
  * localStorage Pattern Management
  * ============================================================================ */
 
+const VAULT_LOCKED_MSG = '鍵ライブラリはロックされています。パスフレーズで解錠してください';
+const VAULT_LOCKED_NOTE = '（🔒 ロック中：鍵ライブラリの「パスフレーズで保護」から解錠してください）';
+
+function readStoredJSON(storageKey){
+  const data = localStorage.getItem(storageKey);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Whether a key library saved by a newer version is stored (never overwrite it)
+ * @returns {boolean}
+ */
+function hasNewerLibrary(){
+  let stored = null;
+  try{ stored = readStoredJSON(STORAGE_KEY); }catch{ /* corrupt: may be replaced */ }
+  return migrateLibrary(stored) === null;
+}
+
 /**
  * Load saved patterns from localStorage
- * @returns {Array<{name: string, pattern: string}>} - Array of saved patterns
+ * Keys come from the library, or from the version 1 list until the library
+ * is first written (see migrateLibrary). With the vault on, keys and chains
+ * come from the open vault, and nothing while it is locked.
+ * @param {string} storageKey - localStorage key (keys by default, or key chains)
+ * @returns {Array<{name: string, pattern?: string, chain?: string[], padding?: {scheme: string, padChar: string}, notes?: string, tags?: string[], createdAt?: string, usedAt?: string}>} - Array of saved entries
  */
-function loadSaved(){
+function loadSaved(storageKey=STORAGE_KEY){
   try{
-    const data = localStorage.getItem(STORAGE_KEY);
-    if(!data) return [];
-    const parsed = JSON.parse(data);
-    if(!Array.isArray(parsed)) return [];
-    return parsed;
+    if(hasVault()){
+      if(!vault) return [];
+      return structuredClone(storageKey === STORAGE_KEY ? vault.keys : vault.chains);
+    }
+    if(storageKey !== STORAGE_KEY){
+      const parsed = readStoredJSON(storageKey);
+      return Array.isArray(parsed) ? parsed : [];
+    }
+    const library = migrateLibrary(readStoredJSON(STORAGE_KEY) ?? readStoredJSON(LEGACY_STORAGE_KEY));
+    if(!library){
+      console.error('Key library was saved by a newer version');
+      return [];
+    }
+    return library.keys;
   }catch(e){
     console.error('Failed to load saved patterns:', e);
     return [];
   }
 }
-function saveSaved(list){
+function saveSaved(list, storageKey=STORAGE_KEY){
   try{
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    if(hasVault()){
+      if(!vault){
+        showToast(VAULT_LOCKED_MSG, 'danger');
+        return;
+      }
+      vault[storageKey === STORAGE_KEY ? 'keys' : 'chains'] = structuredClone(list);
+      writeVault();
+      return;
+    }
+    if(storageKey === STORAGE_KEY){
+      // Never replace a library this version cannot read
+      if(hasNewerLibrary()){
+        showToast('新しいバージョンで保存された鍵ライブラリのため、上書きしませんでした', 'danger');
+        return;
+      }
+      localStorage.setItem(storageKey, JSON.stringify({version: LIBRARY_VERSION, keys: list}));
+      return;
+    }
+    localStorage.setItem(storageKey, JSON.stringify(list));
   }catch(e){
     console.error('Failed to save patterns:', e);
     showToast('保存に失敗しました（容量制限の可能性）', 'danger');
   }
 }
-function renderSaved(container, onLoad, onDelete){
-  const saved = loadSaved();
+function renderSaved(container, onLoad, onDelete, storageKey=STORAGE_KEY){
+  const saved = loadSaved(storageKey);
   container.innerHTML = '';
   if(saved.length===0){
     const p = document.createElement('p');
     p.className='muted';
-    p.textContent='（保存なし）';
+    p.textContent = isVaultLocked() ? VAULT_LOCKED_NOTE : '（保存なし）';
     container.appendChild(p);
     return;
   }
-  saved.forEach(({name, pattern})=>{
+  saved.forEach((item)=>{
+    const {name} = item;
     const chip = document.createElement('div');
     chip.className='chip';
     const btnLoad = document.createElement('button');
     btnLoad.textContent = name;
-    btnLoad.title = pattern;
-    btnLoad.addEventListener('click', ()=> onLoad({name, pattern}));
+    btnLoad.title = (item.chain ? item.chain.join(' → ') : item.pattern)
+      + (item.padding && PAD_SCHEMES[item.padding.scheme] ? `（パディング: ${PAD_SCHEMES[item.padding.scheme].label}）` : '')
+      + (item.tags && item.tags.length ? `\nタグ: ${item.tags.join(', ')}` : '')
+      + (item.notes ? `\n${item.notes}` : '');
+    btnLoad.addEventListener('click', ()=>{
+      if(storageKey === STORAGE_KEY) markSavedUsed(name);
+      onLoad(item);
+    });
     const btnDel = document.createElement('button');
     btnDel.innerHTML = '✕';
     btnDel.setAttribute('aria-label', '削除');
     btnDel.addEventListener('click', ()=>{
-      const list = loadSaved().filter(x=> x.name!==name);
-      saveSaved(list);
-      renderSaved(container, onLoad, onDelete);
+      const list = loadSaved(storageKey).filter(x=> x.name!==name);
+      saveSaved(list, storageKey);
+      renderSaved(container, onLoad, onDelete, storageKey);
       showToast(`削除: ${name}`, 'danger');
       onDelete && onDelete({name});
     });
@@ -476,19 +528,119 @@ function renderSaved(container, onLoad, onDelete){
   });
 }
 
-function addSaved(name, pattern){
+/**
+ * Save a key to the library, replacing the key of the same name
+ * @param {string} name
+ * @param {string} pattern
+ * @param {Object} padding - See readPaddingSettings
+ * @param {{notes?: string, tags?: string[]}} meta - Kept from the old entry when omitted
+ * @returns {{ok: boolean, msg?: string}}
+ */
+function addSaved(name, pattern, padding, meta={}){
   if(!name) return {ok:false, msg:'保存名を入力してください'};
+  if(isVaultLocked()) return {ok:false, msg:VAULT_LOCKED_MSG};
   const list = loadSaved();
   const exists = list.find(x=> x.name===name);
   if(exists){
     exists.pattern = pattern;
+    exists.padding = padding;
+    if(meta.notes !== undefined) exists.notes = meta.notes;
+    if(meta.tags !== undefined) exists.tags = meta.tags;
   }else{
-    list.push({name, pattern});
+    list.push({
+      name, pattern, padding,
+      notes: meta.notes || '',
+      tags: meta.tags || [],
+      createdAt: new Date().toISOString(),
+      usedAt: null,
+    });
   }
   saveSaved(list);
   return {ok:true};
 }
 
+/**
+ * Record that a saved key was loaded (for sorting by last use)
+ * @param {string} name
+ */
+function markSavedUsed(name){
+  const list = loadSaved();
+  const entry = list.find(x=> x.name===name);
+  if(!entry) return;
+  entry.usedAt = new Date().toISOString();
+  saveSaved(list);
+  renderKeyLibrary();
+}
+
+function addSavedChain(name, chain, padding){
+  if(!name) return {ok:false, msg:'チェーン名を入力してください'};
+  if(chain.length===0) return {ok:false, msg:'チェーンに鍵がありません'};
+  if(isVaultLocked()) return {ok:false, msg:VAULT_LOCKED_MSG};
+  const list = loadSaved(CHAIN_STORAGE_KEY);
+  const patterns = chain.map(buildPatternString);
+  const exists = list.find(x=> x.name===name);
+  if(exists){
+    exists.chain = patterns;
+    exists.padding = padding;
+  }else{
+    list.push({name, chain: patterns, padding});
+  }
+  saveSaved(list, CHAIN_STORAGE_KEY);
+  return {ok:true};
+}
+
+/* ========== Key Vault Storage ========== */
+
+/**
+ * Whether saved keys are encrypted at rest (see cipher-vault.js)
+ * @returns {boolean}
+ */
+function hasVault(){
+  try{
+    return localStorage.getItem(VAULT_STORAGE_KEY) !== null;
+  }catch{
+    return false;
+  }
+}
+
+function isVaultLocked(){
+  return !vault && hasVault();
+}
+
+let vaultWriting = Promise.resolve(true);
+
+/**
+ * Seal the open vault into localStorage
+ * Writes are queued, so a slow earlier write never replaces a later one.
+ * @returns {Promise<boolean>} - Whether this write succeeded
+ */
+function writeVault(){
+  const {session} = vault;
+  const text = JSON.stringify({version: LIBRARY_VERSION, keys: vault.keys, chains: vault.chains});
+  vaultWriting = vaultWriting.then(async ()=>{
+    try{
+      localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(await sealVault(text, session)));
+      return true;
+    }catch(e){
+      console.error('Failed to save vault:', e);
+      showToast('金庫の保存に失敗しました', 'danger');
+      return false;
+    }
+  });
+  return vaultWriting;
+}
+
+/**
+ * Wait until every queued vault write is stored
+ */
+async function settleVault(){
+  let pending;
+  do{
+    pending = vaultWriting;
+    await pending;
+  }while(pending !== vaultWriting);
+}
+
 /* ========== Drag Editor ========== */
 function openDragEditor(listEl, wrapEl, patternStr, n){
   // initialize from pattern string or sequential 1..n
@@ -539,7 +691,16 @@ function readDragPattern(listEl){
 }
 
 /* ========== Mapping Table ========== */
-function renderMapTable(tbody, before, after, direction='forward'){
+/**
+ * Render position-by-position mapping
+ * @param {HTMLElement} tbody - Target table body
+ * @param {string|string[]} before - Text before transposition (string or processing units)
+ * @param {string|string[]} after - Text after transposition
+ * @param {string} direction - 'forward' (before → after) or 'reverse'
+ * @param {string} note - Optional note shown below the rows (e.g. short-block handling)
+ * @param {number} padFrom - Plaintext index where padding starts (highlighted)
+ */
+function renderMapTable(tbody, before, after, direction='forward', note='', padFrom=Infinity){
   tbody.innerHTML = '';
   const n = Math.max(before.length, after.length);
   for(let i=0;i<n;i++){
@@ -555,390 +716,3475 @@ function renderMapTable(tbody, before, after, direction='forward'){
       a.textContent = after[i] ?? '';
       b.textContent = before[i] ?? '';
     }
+    if(i >= padFrom && i < before.length){
+      const plain = direction==='forward' ? a : b;
+      plain.classList.add('pad');
+      plain.title = 'パディング';
+    }
     tr.append(idx,a,b);
     tbody.appendChild(tr);
   }
+  if(note){
+    const tr = document.createElement('tr');
+    tr.className = 'map-note';
+    const td = document.createElement('td');
+    td.colSpan = 3;
+    td.textContent = note;
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
 }
 
+/* ========== Columnar Grid ========== */
+/**
+ * Render the row-wise grid used by columnar transposition
+ * @param {HTMLTableElement} table - Target table
+ * @param {string|string[]} text - Grid contents in row order (including padding), as a string or processing units
+ * @param {number[]} perm - Column read ranks (1-based)
+ * @param {number} padFrom - Index where padding characters start
+ */
+function renderColumnarGrid(table, text, perm, padFrom=text.length){
+  table.innerHTML = '';
+  const n = perm.length;
+  const keywordChars = currentKeyword ? Array.from(currentKeyword.replace(/\s+/g, '').toUpperCase()) : [];
+  const showKeyword = keywordChars.length === n;
 
-/* ============================================================================
- * KEY GENERATION TAB
- * ============================================================================
- * Features:
- * - Random pattern generation (Fisher-Yates)
- * - Manual pattern input with validation
- * - Visual drag-and-drop pattern editor
- * - Pattern visualization (forward and inverse)
- * - Pattern save/load via localStorage
- * ============================================================================ */
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  for(let c=0; c<n; c++){
+    const th = document.createElement('th');
+    th.textContent = showKeyword ? keywordChars[c] : String(c+1);
+    const rank = document.createElement('small');
+    rank.textContent = `読順 ${perm[c]}`;
+    th.appendChild(rank);
+    headRow.appendChild(th);
+  }
+  thead.appendChild(headRow);
 
-const keygenEls = {
-  length: $('#keygen-length'),
-  presetBtns: $$('.btn-preset'),
-  randomBtn: $('#keygen-random'),
-  manual: $('#keygen-manual'),
-  validateBtn: $('#keygen-validate'),
-  visualBtn: $('#keygen-visual'),
-  dragWrap: $('#keygen-draggable-wrap'),
-  dragList: $('#keygen-draggable'),
-  visualApplyBtn: $('#keygen-visual-apply'),
-  saveName: $('#key-save-name'),
-  saveBtn: $('#key-save'),
-  savedList: $('#key-saved-list'),
-  copyBtn: $('#key-copy'),
-};
+  const tbody = document.createElement('tbody');
+  const rows = Math.ceil(text.length / n);
+  for(let r=0; r<rows; r++){
+    const tr = document.createElement('tr');
+    for(let c=0; c<n; c++){
+      const i = r*n + c;
+      const td = document.createElement('td');
+      if(i < text.length){
+        td.textContent = text[i];
+        if(i >= padFrom) td.className = 'pad';
+      }else{
+        td.className = 'empty';
+      }
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  table.append(thead, tbody);
+}
 
-// Preset buttons - just set the value, no active state
-keygenEls.presetBtns.forEach(btn=>{
-  btn.addEventListener('click', ()=>{
-    const length = parseInt(btn.dataset.length, 10);
-    keygenEls.length.value = String(length);
-  });
-});
+/* ========== Step Animation ========== */
+const STAGE_CELL = 40;   // .viz-cell width (px)
+const STAGE_GAP = 8;     // .viz-row gap (px)
+const STAGE_LANE = 64;   // Height of the arrow lane (px)
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
-// Random generation
-keygenEls.randomBtn.addEventListener('click', ()=>{
-  const n = Math.max(2, Math.min(64, parseInt(keygenEls.length.value,10) || 4));
-  keygenEls.length.value = String(n);
-  const pattern = generateRandomPermutation(n);
-  updateCurrentKey(pattern);
-  showToast('ランダム鍵を生成しました', 'success');
-});
+/**
+ * Permutation that moves the units of one block
+ * Full blocks use the key; a short final block uses its partial-block mode
+ * (identity when it stays in place).
+ * @param {number[]} perm - Key
+ * @param {number} r - Block length in units
+ * @param {string} partial - Key of PARTIAL_BLOCK_MODES
+ * @returns {number[]} - Permutation of 1..r
+ */
+function blockMovePermutation(perm, r, partial){
+  if(r === perm.length) return perm;
+  return (r >= 2 && PARTIAL_BLOCK_MODES[partial].permutation(perm, r))
+    || Array.from({length: r}, (_, i)=> i + 1);
+}
 
-// Manual validation
-keygenEls.validateBtn.addEventListener('click', ()=>{
-  const input = keygenEls.manual.value.trim();
-  const expectedLength = Math.max(2, Math.min(64, parseInt(keygenEls.length.value,10) || 4));
-  keygenEls.length.value = String(expectedLength);
+/**
+ * Draw one frame of a block animation: source cells, arrows, destination cells
+ * Moves 0..step-1 are done; move step-1 is highlighted as the current one.
+ * @param {HTMLElement} container - .pattern-viz element with an id
+ * @param {string[]} source - Units before the move
+ * @param {number[]} targets - targets[k] = 0-based destination of source[k]
+ * @param {number} step - Number of moves done
+ */
+function renderMoveStage(container, source, targets, step){
+  container.innerHTML = '';
+  const n = source.length;
+  const x = i => i * (STAGE_CELL + STAGE_GAP) + STAGE_CELL / 2;
 
-  if(!input){
-    showInlineError('#keygen-manual-error', 'パターンを入力してください');
-    showToast('パターンを入力してください', 'danger');
-    return;
+  const topRow = document.createElement('div');
+  topRow.className = 'viz-row';
+  source.forEach((ch, i)=>{
+    const cell = document.createElement('div');
+    cell.className = 'viz-cell top';
+    if(i < step) cell.classList.add('moved');
+    if(i === step - 1) cell.classList.add('active');
+    cell.textContent = ch;
+    cell.title = `位置 ${i+1}`;
+    topRow.appendChild(cell);
+  });
+
+  const width = Math.max(0, n * (STAGE_CELL + STAGE_GAP) - STAGE_GAP);
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'stage-arrows');
+  svg.setAttribute('width', String(width));
+  svg.setAttribute('height', String(STAGE_LANE));
+  svg.setAttribute('viewBox', `0 0 ${width} ${STAGE_LANE}`);
+  // One arrowhead per line state (markers do not inherit the line colour everywhere)
+  const defs = document.createElementNS(SVG_NS, 'defs');
+  [['done', '#94a3b8'], ['current', '#f59e0b']].forEach(([state, color])=>{
+    const marker = document.createElementNS(SVG_NS, 'marker');
+    marker.setAttribute('id', `${container.id}-head-${state}`);
+    marker.setAttribute('viewBox', '0 0 10 10');
+    marker.setAttribute('refX', '9');
+    marker.setAttribute('refY', '5');
+    marker.setAttribute('markerWidth', '6');
+    marker.setAttribute('markerHeight', '6');
+    marker.setAttribute('orient', 'auto');
+    const head = document.createElementNS(SVG_NS, 'path');
+    head.setAttribute('d', 'M0,0 L10,5 L0,10 z');
+    head.setAttribute('fill', color);
+    marker.appendChild(head);
+    defs.appendChild(marker);
+  });
+  svg.appendChild(defs);
+  for(let k=0; k<step && k<n; k++){
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', String(x(k)));
+    line.setAttribute('y1', '2');
+    line.setAttribute('x2', String(x(targets[k])));
+    line.setAttribute('y2', String(STAGE_LANE - 2));
+    const state = k === step - 1 ? 'current' : 'done';
+    line.setAttribute('class', state);
+    line.setAttribute('marker-end', `url(#${container.id}-head-${state})`);
+    svg.appendChild(line);
   }
 
-  // Parse without length constraint first
-  const perm = parsePattern(input);
+  const bottomRow = document.createElement('div');
+  bottomRow.className = 'viz-row';
+  const placed = new Array(n).fill('');
+  for(let k=0; k<step && k<n; k++) placed[targets[k]] = source[k];
+  placed.forEach((ch, i)=>{
+    const cell = document.createElement('div');
+    cell.className = 'viz-cell bottom';
+    if(step > 0 && i === targets[step - 1]) cell.classList.add('active');
+    cell.textContent = ch;
+    cell.title = `位置 ${i+1}`;
+    bottomRow.appendChild(cell);
+  });
+
+  container.append(topRow, svg, bottomRow);
+}
+
+/**
+ * Draw an animation frame on the stage and the mapping table
+ * @param {HTMLElement} stage - Stage element (see renderMoveStage)
+ * @param {HTMLElement} tbody - Mapping table body
+ * @param {string[]} source - Units before the move
+ * @param {number[]} targets - 0-based destinations
+ * @param {number} step - Number of moves done
+ * @param {string} direction - 'forward' (encryption) or 'reverse' (decryption)
+ */
+function renderMoveFrame(stage, tbody, source, targets, step, direction){
+  renderMoveStage(stage, source, targets, step);
+  const placed = new Array(source.length).fill('');
+  for(let k=0; k<step; k++) placed[targets[k]] = source[k];
+  if(direction === 'forward') renderMapTable(tbody, source, placed, 'forward');
+  else renderMapTable(tbody, placed, source, 'reverse');
+  if(step > 0) tbody.children[targets[step-1]]?.classList.add('anim-current');
+}
+
+/**
+ * Step-through animation controller with play/pause, single steps and speed
+ * The caller renders a complete frame for any step index, so stepping back
+ * only re-renders an earlier frame. Only one timer runs per controller.
+ * @param {Object} els - Controls: {wrap, play, back, forward, speed, status}
+ * @returns {{load: Function, stop: Function, isActive: Function}}
+ */
+function createStepAnimator(els){
+  let total = 0;
+  let step = 0;
+  let timer = null;
+  let render = ()=>{};
+
+  // Speed 1..10 → 1600 ms .. 160 ms per move
+  const delay = ()=> 1600 / (Number(els.speed.value) || 1);
+
+  function update(){
+    render(step);
+    els.status.textContent = `手順 ${step} / ${total}`;
+    els.back.disabled = step <= 0;
+    els.forward.disabled = step >= total;
+    els.play.textContent = timer ? '⏸ 一時停止' : '▶ 再生';
+  }
+  function pause(){
+    clearTimeout(timer);
+    timer = null;
+  }
+  function tick(){
+    step++;
+    if(step >= total) timer = null;
+    else timer = setTimeout(tick, delay());
+    update();
+  }
+  function play(){
+    pause();
+    if(step >= total) step = 0;
+    timer = setTimeout(tick, delay());
+    update();
+  }
+
+  els.play.addEventListener('click', ()=>{
+    if(timer) pause(); else play();
+    update();
+  });
+  els.back.addEventListener('click', ()=>{
+    pause();
+    if(step > 0) step--;
+    update();
+  });
+  els.forward.addEventListener('click', ()=>{
+    pause();
+    if(step < total) step++;
+    update();
+  });
+
+  return {
+    /**
+     * Start a new animation (replaces the running one)
+     * @param {number} steps - Number of moves
+     * @param {function(number): void} renderFrame - Draws the frame after n moves
+     * @param {boolean} autoplay - Start playing immediately
+     */
+    load(steps, renderFrame, autoplay=true){
+      pause();
+      total = steps;
+      step = 0;
+      render = renderFrame;
+      els.wrap.hidden = false;
+      if(autoplay && total > 0) play();
+      else update();
+    },
+    stop(){
+      pause();
+      els.wrap.hidden = true;
+    },
+    isActive: ()=> !els.wrap.hidden,
+  };
+}
+
+/* ========== File Import / Export ========== */
+const FILE_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Read a text file with the chosen encoding
+ * @param {File} file
+ * @param {string} encoding - 'utf-8' | 'shift_jis'
+ * @returns {Promise<string>}
+ */
+async function readTextFile(file, encoding){
+  const buffer = await file.arrayBuffer();
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+/**
+ * Offer text as a UTF-8 file download
+ * @param {string} text
+ * @param {string} name - File name
+ */
+function saveTextFile(text, name){
+  const url = URL.createObjectURL(new Blob([text], {type:'text/plain;charset=utf-8'}));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(()=> URL.revokeObjectURL(url), 0);
+}
+
+const DEFAULT_FILE_NAMES = { cipher: 'ciphertext', plain: 'plaintext', envelope: 'envelope' };
+
+/**
+ * Name for a saved output, based on the file that was loaded
+ * @param {string} source - Loaded file name ('' if typed in)
+ * @param {string} kind - 'cipher' | 'plain' | 'envelope'
+ * @param {string} ext - Extension of the saved file
+ * @returns {string} - e.g. novel.txt → novel.cipher.txt
+ */
+function outputFileName(source, kind, ext='txt'){
+  if(!source) return `${DEFAULT_FILE_NAMES[kind]}.${ext}`;
+  const base = source.replace(/(\.(cipher|plain|envelope))?\.(txt|json)$/i, '');
+  return `${base}.${kind}.${ext}`;
+}
+
+/**
+ * Load .txt files into a textarea from a file picker or by drag-and-drop
+ * Changing the encoding re-reads the last file, so a garbled Shift_JIS file
+ * can be fixed without picking it again.
+ * @param {Object} els - {input, picker, open, encoding, onLoad?}
+ *   onLoad(text) runs after the text is put in the textarea
+ * @returns {{fileName: function(): string}} - Name of the loaded file
+ */
+function setupFileImport(els){
+  let lastFile = null;
+
+  async function load(file){
+    if(file.type && !file.type.startsWith('text/') && file.type !== 'application/json'){
+      showToast('テキストファイル（.txt）を選んでください', 'danger');
+      return;
+    }
+    if(file.size > FILE_MAX_BYTES){
+      showToast(`ファイルが大きすぎます（上限 ${FILE_MAX_BYTES / 1024 / 1024}MB）`, 'danger');
+      return;
+    }
+    let text;
+    try{
+      text = await readTextFile(file, els.encoding.value);
+    }catch{
+      showToast('ファイルを読み込めませんでした', 'danger');
+      return;
+    }
+    lastFile = file;
+    els.input.value = text;
+    if(els.encoding.value === 'utf-8' && text.includes('\uFFFD')){
+      showToast('⚠ UTF-8 として読めない文字があります。Shift_JIS を選ぶと読み込み直します', 'danger');
+    }else{
+      showToast(`「${file.name}」を読み込みました（${text.length.toLocaleString()}文字）`, 'success');
+    }
+    if(els.onLoad) els.onLoad(text);
+  }
+
+  els.open.addEventListener('click', ()=> els.picker.click());
+  els.picker.addEventListener('change', ()=>{
+    if(els.picker.files[0]) load(els.picker.files[0]);
+    els.picker.value = '';
+  });
+  els.encoding.addEventListener('change', ()=>{
+    if(lastFile) load(lastFile);
+  });
+  // Typing replaces the file contents, so the name no longer applies
+  els.input.addEventListener('input', ()=>{ lastFile = null; });
+
+  const hasFiles = e => Array.from(e.dataTransfer?.types || []).includes('Files');
+  els.input.addEventListener('dragover', e=>{
+    if(!hasFiles(e)) return;
+    e.preventDefault();
+    els.input.classList.add('drop-target');
+  });
+  els.input.addEventListener('dragleave', ()=> els.input.classList.remove('drop-target'));
+  els.input.addEventListener('drop', e=>{
+    els.input.classList.remove('drop-target');
+    if(!hasFiles(e)) return;
+    e.preventDefault();
+    if(e.dataTransfer.files[0]) load(e.dataTransfer.files[0]);
+  });
+
+  return { fileName: ()=> lastFile ? lastFile.name : '' };
+}
+
+/* ========== Background Jobs ========== */
+// undefined: not started yet, null: unavailable (jobs run on the main thread)
+let jobWorker;
+let nextJobId = 1;
+const pendingJobs = new Map();
+// Short jobs finish before the progress bar would appear
+const PROGRESS_DELAY = 200;
+
+function runJobLocally(entry){
+  runJob(entry.type, entry.params, entry.onProgress, entry.job).then(entry.resolve, entry.reject);
+}
+
+/**
+ * The shared job worker, started on first use
+ * If the worker cannot be created or stops with an error, its jobs are
+ * finished on the main thread with the same job table. (The page itself is a
+ * module script, so it never runs from file:// to get here.)
+ * @returns {Worker|null}
+ */
+function getJobWorker(){
+  if(jobWorker !== undefined) return jobWorker;
+  try{
+    jobWorker = new Worker(new URL('./cipher-worker.js', import.meta.url), {type:'module'});
+  }catch{
+    jobWorker = null;
+    return null;
+  }
+  jobWorker.addEventListener('message', (e)=>{
+    const {id, progress, result, error} = e.data;
+    const entry = pendingJobs.get(id);
+    if(!entry) return;
+    if(progress !== undefined){
+      entry.onProgress(progress);
+      return;
+    }
+    pendingJobs.delete(id);
+    if(error !== undefined) entry.reject(new Error(error));
+    else entry.resolve(result);
+  });
+  jobWorker.addEventListener('error', (e)=>{
+    e.preventDefault();
+    jobWorker.terminate();
+    jobWorker = null;
+    pendingJobs.forEach(runJobLocally);
+    pendingJobs.clear();
+  });
+  return jobWorker;
+}
+
+/**
+ * Start a job of cipher-jobs.js in the background
+ * @param {string} type - Key of JOBS
+ * @param {object} params - Job parameters (must be structured-cloneable)
+ * @param {function(number): void} onProgress - Called with progress 0..1
+ * @returns {{promise: Promise<*>, cancel: function(): void, cancelled: boolean}}
+ */
+function startJob(type, params, onProgress=()=>{}){
+  const job = { cancelled: false };
+  let entry;
+  const promise = new Promise((resolve, reject)=>{
+    entry = { type, params, onProgress, job, resolve, reject };
+  });
+  const worker = getJobWorker();
+  if(!worker){
+    runJobLocally(entry);
+    return { promise, cancel(){ job.cancelled = true; }, get cancelled(){ return job.cancelled; } };
+  }
+  const id = nextJobId++;
+  pendingJobs.set(id, entry);
+  worker.postMessage({ id, type, params });
+  return {
+    promise,
+    cancel(){
+      // The flag covers a job that fell back to the main thread
+      job.cancelled = true;
+      if(jobWorker && pendingJobs.has(id)) jobWorker.postMessage({ id, cancel: true });
+    },
+    get cancelled(){ return job.cancelled; },
+  };
+}
+
+/**
+ * Run an encrypt/decrypt job behind a progress bar with a cancel button
+ * The run button is disabled until the job ends.
+ * @param {string} type - Key of JOBS
+ * @param {object} params
+ * @param {Object} els - {row, bar, status, cancel, run}
+ * @returns {Promise<*>} - Job result, null if cancelled, undefined if it failed
+ */
+async function runJobWithProgress(type, params, els){
+  const handle = startJob(type, params, (p)=>{
+    els.bar.value = p;
+    els.status.textContent = `処理中… ${Math.round(p * 100)}%`;
+  });
+  const onCancel = ()=> handle.cancel();
+  els.cancel.addEventListener('click', onCancel);
+  els.run.disabled = true;
+  els.bar.value = 0;
+  els.status.textContent = '処理中…';
+  const timer = setTimeout(()=>{ els.row.hidden = false; }, PROGRESS_DELAY);
+  try{
+    return await handle.promise;
+  }catch(err){
+    showToast(`処理に失敗しました: ${err.message}`, 'danger');
+    return undefined;
+  }finally{
+    clearTimeout(timer);
+    els.cancel.removeEventListener('click', onCancel);
+    els.row.hidden = true;
+    els.run.disabled = false;
+  }
+}
+
+
+/* ============================================================================
+ * KEY GENERATION TAB
+ * ============================================================================
+ * Features:
+ * - Random pattern generation (Fisher-Yates)
+ * - Manual pattern input with validation
+ * - Visual drag-and-drop pattern editor
+ * - Pattern visualization (forward and inverse) with cycle/order/parity inspector
+ * - Key composition / comparison workspace
+ * - Key library in localStorage (tags, notes, search, JSON backup)
+ * ============================================================================ */
+
+const keygenEls = {
+  length: $('#keygen-length'),
+  presetBtns: $$('.btn-preset'),
+  randomBtn: $('#keygen-random'),
+  randomSource: $('#keygen-random-source'),
+  seedRow: $('#keygen-seed-row'),
+  seed: $('#keygen-seed'),
+  randomInfo: $('#keygen-random-info'),
+  passphrase: $('#keygen-passphrase'),
+  deriveBtn: $('#keygen-derive'),
+  deriveInfo: $('#keygen-derive-info'),
+  manual: $('#keygen-manual'),
+  validateBtn: $('#keygen-validate'),
+  keyword: $('#keygen-keyword'),
+  keywordApplyBtn: $('#keygen-keyword-apply'),
+  classicType: $('#keygen-classic-type'),
+  railOpts: $('#keygen-rail-opts'),
+  rails: $('#keygen-rails'),
+  railOffset: $('#keygen-rail-offset'),
+  routeOpts: $('#keygen-route-opts'),
+  route: $('#keygen-route'),
+  routeRows: $('#keygen-route-rows'),
+  routeCols: $('#keygen-route-cols'),
+  classicLengthNote: $('#keygen-classic-length-note'),
+  classicApplyBtn: $('#keygen-classic-apply'),
+  classicFitBtn: $('#keygen-classic-fit'),
+  classicGrid: $('#keygen-classic-grid'),
+  classicInfo: $('#keygen-classic-info'),
+  visualBtn: $('#keygen-visual'),
+  dragWrap: $('#keygen-draggable-wrap'),
+  dragList: $('#keygen-draggable'),
+  visualApplyBtn: $('#keygen-visual-apply'),
+  saveName: $('#key-save-name'),
+  saveTags: $('#key-save-tags'),
+  saveNotes: $('#key-save-notes'),
+  saveBtn: $('#key-save'),
+  savedList: $('#key-saved-list'),
+  librarySearch: $('#library-search'),
+  libraryTag: $('#library-tag'),
+  libraryMin: $('#library-min'),
+  libraryMax: $('#library-max'),
+  librarySort: $('#library-sort'),
+  libraryCount: $('#library-count'),
+  libraryExport: $('#library-export'),
+  libraryImport: $('#library-import'),
+  libraryImportFile: $('#library-import-file'),
+  libraryConflict: $('#library-conflict'),
+  copyBtn: $('#key-copy'),
+  powerK: $('#algebra-power-k'),
+  previewText: $('#algebra-preview-text'),
+  powerBtn: $('#algebra-power-run'),
+  powerUseBtn: $('#algebra-power-use'),
+};
+
+// Preset buttons - just set the value, no active state
+keygenEls.presetBtns.forEach(btn=>{
+  btn.addEventListener('click', ()=>{
+    const length = parseInt(btn.dataset.length, 10);
+    keygenEls.length.value = String(length);
+    renderClassicGrid();
+  });
+});
+
+/**
+ * Show a note under a method card, or hide it when empty
+ * @param {HTMLElement} el
+ * @param {string} text
+ */
+function setMethodInfo(el, text){
+  el.textContent = text;
+  el.hidden = !text;
+}
+
+// Random generation
+keygenEls.randomSource.addEventListener('change', ()=>{
+  keygenEls.seedRow.hidden = !RANDOM_SOURCES[keygenEls.randomSource.value].needsSeed;
+  setMethodInfo(keygenEls.randomInfo, '');
+});
+
+keygenEls.randomBtn.addEventListener('click', ()=>{
+  const n = Math.max(2, Math.min(64, parseInt(keygenEls.length.value,10) || 4));
+  keygenEls.length.value = String(n);
+  const source = RANDOM_SOURCES[keygenEls.randomSource.value];
+  const seed = keygenEls.seed.value.trim();
+  if(source.needsSeed && !seed){
+    showToast('シードを入力してください', 'danger');
+    keygenEls.seed.focus();
+    return;
+  }
+  const pattern = generateRandomPermutation(n, source.create(seed));
+  updateCurrentKey(pattern);
+  if(source.needsSeed){
+    setMethodInfo(keygenEls.randomInfo, `シード「${seed}」・パターン長 ${n} → ${buildPatternString(pattern)}（同じシードと長さで何度でも作り直せます）`);
+    showToast(`シード「${seed}」から鍵を生成しました`, 'success');
+  }else{
+    setMethodInfo(keygenEls.randomInfo, '');
+    showToast('ランダム鍵を生成しました', 'success');
+  }
+});
+
+keygenEls.seed.addEventListener('keydown', e=>{
+  if(e.key === 'Enter') keygenEls.randomBtn.click();
+});
+
+// Passphrase derivation
+keygenEls.deriveBtn.addEventListener('click', async ()=>{
+  const n = Math.max(2, Math.min(64, parseInt(keygenEls.length.value,10) || 4));
+  keygenEls.length.value = String(n);
+  const passphrase = keygenEls.passphrase.value.trim();
+  if(!passphrase){
+    showInlineError('#keygen-passphrase-error', 'パスフレーズを入力してください');
+    return;
+  }
+  if(!(globalThis.crypto && crypto.subtle)){
+    showInlineError('#keygen-passphrase-error', 'このページでは導出を使えません（https:// か localhost で開いてください）');
+    return;
+  }
+  showInlineError('#keygen-passphrase-error', '');
+  keygenEls.deriveBtn.disabled = true;
+  try{
+    const pattern = await derivePermutation(passphrase, n);
+    updateCurrentKey(pattern);
+    setMethodInfo(keygenEls.deriveInfo,
+      `パターン長 ${n} → ${buildPatternString(pattern)}（PBKDF2 ${DERIVE_ITERATIONS.toLocaleString()}回。同じパスフレーズと長さなら同じ鍵）`);
+    showToast('パスフレーズから鍵を導出しました', 'success');
+  }catch(err){
+    showInlineError('#keygen-passphrase-error', `導出に失敗しました（${err.message}）`);
+  }finally{
+    keygenEls.deriveBtn.disabled = false;
+  }
+});
+
+keygenEls.passphrase.addEventListener('keydown', e=>{
+  if(e.key === 'Enter' && !keygenEls.deriveBtn.disabled) keygenEls.deriveBtn.click();
+});
+
+// Manual validation
+keygenEls.validateBtn.addEventListener('click', ()=>{
+  const input = keygenEls.manual.value.trim();
+  const expectedLength = Math.max(2, Math.min(64, parseInt(keygenEls.length.value,10) || 4));
+  keygenEls.length.value = String(expectedLength);
+
+  if(!input){
+    showInlineError('#keygen-manual-error', 'パターンを入力してください');
+    showToast('パターンを入力してください', 'danger');
+    return;
+  }
+
+  // Parse without length constraint first (cycle notation is padded with fixed points)
+  const perm = parseKeyInput(input, expectedLength);
   if(!perm){
-    showInlineError('#keygen-manual-error', 'パターン形式が不正です（例: 3-1-4-2）');
+    showInlineError('#keygen-manual-error', 'パターン形式が不正です（例: 3-1-4-2 または (1 3 4 2)）');
     showToast('パターン形式が不正です', 'danger');
     return;
   }
-
-  // Check if length matches the expected length
-  if(perm.length !== expectedLength){
-    showInlineError('#keygen-manual-error', `パターン長${expectedLength}なら、1〜${expectedLength}の数字をそれぞれ1回だけ使用してください。`);
-    showToast(`パターン長${expectedLength}なら、1〜${expectedLength}の数字をそれぞれ1回だけ使用してください。`, 'danger');
+
+  // Check if length matches the expected length
+  if(perm.length !== expectedLength){
+    showInlineError('#keygen-manual-error', `パターン長${expectedLength}なら、1〜${expectedLength}の数字をそれぞれ1回だけ使用してください。`);
+    showToast(`パターン長${expectedLength}なら、1〜${expectedLength}の数字をそれぞれ1回だけ使用してください。`, 'danger');
+    return;
+  }
+
+  // Validate permutation
+  const v = validatePermutation(perm);
+  if(!v.ok){
+    showInlineError('#keygen-manual-error', v.msg);
+    showToast(v.msg, 'danger');
+    return;
+  }
+
+  showInlineError('#keygen-manual-error', '');
+  updateCurrentKey(perm);
+  showToast(`✓ 有効な鍵です（長さ: ${perm.length}）`, 'success');
+});
+
+// Keyword to column order
+keygenEls.keywordApplyBtn.addEventListener('click', ()=>{
+  const keyword = keygenEls.keyword.value.trim();
+  if(!keyword){
+    showInlineError('#keygen-keyword-error', 'キーワードを入力してください');
+    showToast('キーワードを入力してください', 'danger');
+    return;
+  }
+  const perm = keywordToPermutation(keyword);
+  if(!perm || perm.length > 64){
+    showInlineError('#keygen-keyword-error', 'キーワードは2〜64文字で入力してください');
+    showToast('キーワードは2〜64文字で入力してください', 'danger');
+    return;
+  }
+  showInlineError('#keygen-keyword-error', '');
+  updateCurrentKey(perm, keyword);
+  keygenEls.length.value = String(perm.length);
+  showToast(`キーワード「${keyword}」→ ${buildPatternString(perm)}`, 'success');
+});
+
+/* ========== Rail Fence and Route Ciphers ========== */
+
+/**
+ * Read the rail fence / route settings into a key
+ * @returns {{ok: true, perm: number[], desc: string, cells: Array<Array<{pos: number, step: number}|null>>}|{ok: false, msg: string}}
+ *   cells is the grid to draw (rows of cells, null for empty); pos and step are 1-based
+ */
+function readClassicCipher(){
+  if(keygenEls.classicType.value === 'railfence'){
+    const n = Math.max(2, Math.min(64, parseInt(keygenEls.length.value, 10) || 4));
+    const rails = parseInt(keygenEls.rails.value, 10);
+    if(!(rails >= 2 && rails <= n)) return {ok:false, msg:`レール数は2〜${n}（パターン長）にしてください`};
+    const cycle = 2 * (rails - 1);
+    const offset = ((parseInt(keygenEls.railOffset.value, 10) || 0) % cycle + cycle) % cycle;
+    const perm = railFencePermutation(n, rails, offset);
+    const railOf = railFenceRails(n, rails, offset);
+    const cells = Array.from({length: rails}, (_, r) =>
+      railOf.map((rail, i) => rail === r ? {pos: i + 1, step: perm[i]} : null));
+    return {ok:true, perm, cells, desc:`レールフェンス（レール ${rails} 本、開始位置 ${offset}、長さ ${n}）`};
+  }
+  const rows = parseInt(keygenEls.routeRows.value, 10);
+  const cols = parseInt(keygenEls.routeCols.value, 10);
+  if(!(rows >= 1 && cols >= 1 && rows * cols >= 2 && rows * cols <= 64)){
+    return {ok:false, msg:'行 × 列 は2〜64にしてください'};
+  }
+  const route = keygenEls.route.value;
+  const perm = routePermutation(rows, cols, route);
+  const cells = Array.from({length: rows}, (_, r) =>
+    Array.from({length: cols}, (_, c) => ({pos: r * cols + c + 1, step: perm[r * cols + c]})));
+  return {ok:true, perm, cells, desc:`経路暗号「${ROUTES[route].label}」${rows} 行 × ${cols} 列`};
+}
+
+/**
+ * Parameters of the whole-message rail fence / route modes, read from this card
+ * (the route's columns follow from the message length, so only rows are used)
+ * @param {string} mode - Key of CIPHER_MODES
+ * @returns {{ok: true, params: object|null}|{ok: false, msg: string}} - See checkModeParams
+ */
+function readModeParams(mode){
+  if(mode === 'railfence'){
+    return checkModeParams(mode, {
+      rails: parseInt(keygenEls.rails.value, 10),
+      offset: Math.max(0, parseInt(keygenEls.railOffset.value, 10) || 0),
+    });
+  }
+  if(mode === 'route'){
+    return checkModeParams(mode, {rows: parseInt(keygenEls.routeRows.value, 10), route: keygenEls.route.value});
+  }
+  return {ok:true, params:null};
+}
+
+/**
+ * Show mode parameters in the inputs of this card
+ * @param {string} mode - Key of CIPHER_MODES
+ * @param {object|null} params - See checkModeParams
+ */
+function applyModeParams(mode, params){
+  if(!params) return;
+  keygenEls.classicType.value = mode;
+  if(mode === 'railfence'){
+    keygenEls.rails.value = String(params.rails);
+    keygenEls.railOffset.value = String(params.offset);
+  }else{
+    keygenEls.routeRows.value = String(params.rows);
+    keygenEls.route.value = params.route;
+  }
+  keygenEls.classicType.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Short description of mode parameters for messages
+ * @param {string} mode - Key of CIPHER_MODES
+ * @param {object} params - See checkModeParams
+ * @returns {string}
+ */
+function describeModeParams(mode, params){
+  return mode === 'railfence'
+    ? `レール ${params.rails} 本、開始位置 ${params.offset}`
+    : `${params.rows} 行、経路「${ROUTES[params.route].label}」`;
+}
+
+/**
+ * Draw the grid of the rail fence / route cipher: each cell shows the
+ * plaintext position written there and, below it, when it is read
+ */
+function renderClassicGrid(){
+  const res = readClassicCipher();
+  const grid = keygenEls.classicGrid;
+  grid.innerHTML = '';
+  if(!res.ok){
+    showInlineError('#keygen-classic-error', res.msg);
+    grid.hidden = true;
+    return res;
+  }
+  showInlineError('#keygen-classic-error', '');
+  grid.style.gridTemplateColumns = `repeat(${res.cells[0].length}, minmax(28px, max-content))`;
+  res.cells.flat().forEach(cell=>{
+    const el = document.createElement('div');
+    el.className = cell ? 'classic-cell' : 'classic-cell empty';
+    if(cell){
+      const pos = document.createElement('span');
+      pos.className = 'classic-pos';
+      pos.textContent = String(cell.pos);
+      const step = document.createElement('span');
+      step.className = 'classic-step';
+      step.textContent = `→${cell.step}`;
+      el.title = `位置 ${cell.pos} の文字は暗号文の ${cell.step} 文字目になります`;
+      el.append(pos, step);
+    }
+    grid.appendChild(el);
+  });
+  grid.hidden = false;
+  return res;
+}
+
+keygenEls.classicType.addEventListener('change', ()=>{
+  const rail = keygenEls.classicType.value === 'railfence';
+  keygenEls.railOpts.hidden = !rail;
+  keygenEls.routeOpts.hidden = rail;
+  keygenEls.classicLengthNote.textContent = rail
+    ? '鍵の長さはパターン長です。平文全体に1回かけるなら、パターン長を平文の文字数にします'
+    : '鍵の長さは 行 × 列 です。平文全体に1回かけるなら、平文の文字数が収まる表にします';
+  setMethodInfo(keygenEls.classicInfo, '');
+  renderClassicGrid();
+});
+
+[keygenEls.rails, keygenEls.railOffset, keygenEls.route, keygenEls.routeRows, keygenEls.routeCols, keygenEls.length]
+  .forEach(el => el.addEventListener('input', renderClassicGrid));
+renderClassicGrid();
+
+keygenEls.classicApplyBtn.addEventListener('click', ()=>{
+  const res = renderClassicGrid();
+  if(!res.ok){
+    showToast(res.msg, 'danger');
+    return;
+  }
+  keygenEls.length.value = String(res.perm.length);
+  updateCurrentKey(res.perm);
+  setMethodInfo(keygenEls.classicInfo, `${res.desc} → ${buildPatternString(res.perm)}`);
+  showToast(`${res.desc}を鍵に変換しました`, 'success');
+});
+
+// One block for the whole plaintext of the encryption tab
+keygenEls.classicFitBtn.addEventListener('click', ()=>{
+  const len = splitUnits(encryptEls.input.value, encryptEls.unit.value).length;
+  if(len < 2){
+    showToast('暗号化タブに平文を2文字以上入力してください', 'danger');
+    return;
+  }
+  const n = Math.min(64, len);
+  if(keygenEls.classicType.value === 'railfence'){
+    keygenEls.length.value = String(n);
+  }else{
+    const rows = Math.max(1, Math.min(n, parseInt(keygenEls.routeRows.value, 10) || 1));
+    keygenEls.routeRows.value = String(rows);
+    keygenEls.routeCols.value = String(Math.min(Math.ceil(n / rows), Math.floor(64 / rows)));
+  }
+  renderClassicGrid();
+  if(len > 64){
+    // A key stops at 64, so use the whole-message mode instead
+    const mode = keygenEls.classicType.value;
+    encryptEls.mode.value = decryptEls.mode.value = mode;
+    renderChainInfo();
+    showToast(`平文は ${len} 文字で鍵の上限64を超えるため、暗号方式を「${CIPHER_MODES[mode].label}」にしました（この設定で全文にかけます）`, 'success');
+  }
+});
+
+// Visual editor
+keygenEls.visualBtn.addEventListener('click', ()=>{
+  const n = Math.max(2, Math.min(64, parseInt(keygenEls.length.value,10) || 4));
+  keygenEls.length.value = String(n);
+  const initial = currentKey && currentKey.length===n ? buildPatternString(currentKey) : '';
+  openDragEditor(keygenEls.dragList, keygenEls.dragWrap, initial, n);
+});
+
+keygenEls.visualApplyBtn.addEventListener('click', ()=>{
+  const pattern = readDragPattern(keygenEls.dragList);
+  const v = validatePermutation(pattern);
+  if(!v.ok){
+    showToast(v.msg, 'danger');
+    return;
+  }
+  updateCurrentKey(pattern);
+  showToast('ビジュアル編集の鍵を設定しました', 'success');
+});
+
+// Algebra panel: k-th power of the current key
+let algebraPower = null;
+keygenEls.powerBtn.addEventListener('click', ()=>{
+  if(!currentKey){
+    showToast('先に鍵を生成してください', 'danger');
+    return;
+  }
+  const k = parseInt(keygenEls.powerK.value, 10);
+  if(!Number.isInteger(k) || Math.abs(k) > 999){
+    showToast('k は -999〜999 の整数で指定してください', 'danger');
+    return;
+  }
+  const text = keygenEls.previewText.value || ALGEBRA_PREVIEW_CHARS.slice(0, currentKey.length);
+  algebraPower = renderKeyPower(currentKey, k, text);
+  keygenEls.powerUseBtn.hidden = false;
+});
+
+keygenEls.powerUseBtn.addEventListener('click', ()=>{
+  if(!algebraPower) return;
+  updateCurrentKey(algebraPower);
+  showToast(`鍵を設定しました: ${buildPatternString(currentKey)}`, 'success');
+});
+
+// Copy key
+keygenEls.copyBtn.addEventListener('click', async ()=>{
+  if(!currentKey) return;
+  try{
+    await navigator.clipboard.writeText(buildPatternString(currentKey));
+    showToast('鍵をコピーしました', 'success');
+  }catch{
+    showToast('コピー失敗', 'danger');
+  }
+});
+
+// Save key
+keygenEls.saveBtn.addEventListener('click', ()=>{
+  if(!currentKey){
+    showToast('先に鍵を生成してください', 'danger');
+    return;
+  }
+  const name = keygenEls.saveName.value.trim();
+  // Empty fields keep the tags and notes of a key saved under the same name
+  const tags = parseTags(keygenEls.saveTags.value);
+  const notes = keygenEls.saveNotes.value.trim();
+  const res = addSaved(name, buildPatternString(currentKey), readPaddingSettings(), {
+    tags: tags.length ? tags : undefined,
+    notes: notes || undefined,
+  });
+  if(!res.ok){ showToast(res.msg, 'danger'); return; }
+  renderSavedKeyLists();
+  showToast('鍵を保存しました', 'success');
+});
+
+/* ========== Key Library ========== */
+
+/**
+ * Refresh every list of saved keys (library, key chain and composition pickers)
+ */
+function renderSavedKeyLists(){
+  renderKeyLibrary();
+  renderChainSavedKeys();
+  renderComposeSaved();
+}
+
+function readLibraryFilter(){
+  return {
+    query: keygenEls.librarySearch.value,
+    tag: keygenEls.libraryTag.value,
+    minLength: parseInt(keygenEls.libraryMin.value, 10) || 0,
+    maxLength: parseInt(keygenEls.libraryMax.value, 10) || Infinity,
+  };
+}
+
+/**
+ * @param {string|null} iso - Timestamp (null for keys migrated from version 1)
+ * @returns {string}
+ */
+function formatLibraryDate(iso){
+  return iso ? new Date(iso).toLocaleString('ja-JP', {dateStyle:'short', timeStyle:'short'}) : '—';
+}
+
+/**
+ * Render the key library with the current search, filters and order
+ */
+function renderKeyLibrary(){
+  const all = loadSaved();
+  // Rebuild the tag choices, keeping the selection while the tag exists
+  const tags = libraryTags(all);
+  const selectedTag = keygenEls.libraryTag.value;
+  keygenEls.libraryTag.replaceChildren(new Option('すべてのタグ', ''), ...tags.map(t => new Option(t, t)));
+  keygenEls.libraryTag.value = tags.includes(selectedTag) ? selectedTag : '';
+
+  const keys = sortKeys(filterKeys(all, readLibraryFilter()), keygenEls.librarySort.value);
+  keygenEls.libraryCount.textContent = all.length === 0 ? ''
+    : keys.length === all.length ? `${all.length}件` : `${keys.length}件 / ${all.length}件`;
+  keygenEls.savedList.replaceChildren();
+  if(keys.length === 0){
+    const p = document.createElement('p');
+    p.className = 'muted';
+    p.textContent = isVaultLocked() ? VAULT_LOCKED_NOTE
+      : all.length ? '（条件に合う鍵はありません）' : '（保存なし）';
+    keygenEls.savedList.appendChild(p);
+    return;
+  }
+  keys.forEach(item => keygenEls.savedList.appendChild(renderLibraryItem(item)));
+}
+
+/**
+ * One key of the library: name, pattern, tags, notes, dates and actions
+ * @param {Object} item - Saved key (see normalizeKeyEntry)
+ * @returns {HTMLElement}
+ */
+function renderLibraryItem(item){
+  const el = document.createElement('div');
+  el.className = 'library-item';
+
+  const head = document.createElement('div');
+  head.className = 'library-head';
+  const name = document.createElement('strong');
+  name.textContent = item.name;
+  const pattern = document.createElement('code');
+  pattern.textContent = item.pattern;
+  const info = document.createElement('span');
+  info.className = 'key-info';
+  info.textContent = `長さ ${keyLength(item)}`
+    + (item.padding && PAD_SCHEMES[item.padding.scheme] ? `・${PAD_SCHEMES[item.padding.scheme].label}` : '');
+  head.append(name, pattern, info);
+  el.appendChild(head);
+
+  if(item.tags.length){
+    const tags = document.createElement('div');
+    tags.className = 'library-tags';
+    item.tags.forEach(tag=>{
+      const btn = document.createElement('button');
+      btn.textContent = `#${tag}`;
+      btn.title = 'このタグで絞り込む';
+      btn.addEventListener('click', ()=>{
+        keygenEls.libraryTag.value = tag;
+        renderKeyLibrary();
+      });
+      tags.appendChild(btn);
+    });
+    el.appendChild(tags);
+  }
+  if(item.notes){
+    const notes = document.createElement('p');
+    notes.className = 'library-notes';
+    notes.textContent = item.notes;
+    el.appendChild(notes);
+  }
+  const dates = document.createElement('p');
+  dates.className = 'library-dates';
+  dates.textContent = `作成 ${formatLibraryDate(item.createdAt)}・最終使用 ${formatLibraryDate(item.usedAt)}`;
+  el.appendChild(dates);
+
+  const actions = document.createElement('div');
+  actions.className = 'library-actions';
+  const btnLoad = document.createElement('button');
+  btnLoad.className = 'btn btn-sm';
+  btnLoad.textContent = '読込';
+  btnLoad.addEventListener('click', ()=>{
+    const perm = parsePattern(item.pattern);
+    if(!perm) return;
+    updateCurrentKey(perm);
+    applyPaddingSettings(item.padding);
+    keygenEls.length.value = String(perm.length);
+    markSavedUsed(item.name);
+    showToast(`読込: ${item.name}`, 'success');
+  });
+  const btnEdit = document.createElement('button');
+  btnEdit.className = 'btn ghost btn-sm';
+  btnEdit.textContent = 'タグ・メモを編集';
+  btnEdit.addEventListener('click', ()=>{
+    btnEdit.disabled = true;
+    el.appendChild(renderLibraryEditor(item));
+  });
+  const btnDel = document.createElement('button');
+  btnDel.className = 'btn ghost btn-sm';
+  btnDel.textContent = '削除';
+  btnDel.addEventListener('click', ()=>{
+    saveSaved(loadSaved().filter(x=> x.name!==item.name));
+    renderSavedKeyLists();
+    showToast(`削除: ${item.name}`, 'danger');
+  });
+  actions.append(btnLoad, btnEdit, btnDel);
+  el.appendChild(actions);
+  return el;
+}
+
+/**
+ * Inline form for the tags and notes of a saved key
+ * @param {Object} item
+ * @returns {HTMLElement}
+ */
+function renderLibraryEditor(item){
+  const form = document.createElement('div');
+  form.className = 'library-edit';
+  const tags = document.createElement('input');
+  tags.type = 'text';
+  tags.value = item.tags.join(', ');
+  tags.placeholder = 'タグ（カンマ区切り）';
+  tags.setAttribute('aria-label', 'タグ');
+  const notes = document.createElement('textarea');
+  notes.rows = 2;
+  notes.value = item.notes;
+  notes.placeholder = 'メモ';
+  notes.setAttribute('aria-label', 'メモ');
+  const buttons = document.createElement('div');
+  buttons.className = 'library-actions';
+  const btnSave = document.createElement('button');
+  btnSave.className = 'btn btn-sm';
+  btnSave.textContent = '保存';
+  btnSave.addEventListener('click', ()=>{
+    const list = loadSaved();
+    const entry = list.find(x=> x.name===item.name);
+    if(!entry) return;
+    entry.tags = parseTags(tags.value);
+    entry.notes = notes.value.trim();
+    saveSaved(list);
+    renderSavedKeyLists();
+    showToast(`更新: ${item.name}`, 'success');
+  });
+  const btnCancel = document.createElement('button');
+  btnCancel.className = 'btn ghost btn-sm';
+  btnCancel.textContent = '取消';
+  btnCancel.addEventListener('click', renderKeyLibrary);
+  buttons.append(btnSave, btnCancel);
+  form.append(tags, notes, buttons);
+  return form;
+}
+
+[keygenEls.librarySearch, keygenEls.libraryMin, keygenEls.libraryMax].forEach(el=>{
+  el.addEventListener('input', renderKeyLibrary);
+});
+[keygenEls.libraryTag, keygenEls.librarySort].forEach(el=>{
+  el.addEventListener('change', renderKeyLibrary);
+});
+
+/**
+ * Saved chains that hold valid keys (older saves were not checked)
+ * @returns {Object[]}
+ */
+function loadValidChains(){
+  return loadSaved(CHAIN_STORAGE_KEY).map(normalizeChainEntry).filter(Boolean);
+}
+
+keygenEls.libraryExport.addEventListener('click', ()=>{
+  if(isVaultLocked()){
+    showToast(VAULT_LOCKED_MSG, 'danger');
+    return;
+  }
+  const keys = loadSaved();
+  const chains = loadValidChains();
+  if(keys.length === 0 && chains.length === 0){
+    showToast('書き出す鍵がありません', 'danger');
+    return;
+  }
+  const now = new Date();
+  saveTextFile(JSON.stringify(createLibraryExport(keys, chains, now), null, 2),
+    `cipherlab-keys-${now.toISOString().slice(0, 10)}.json`);
+  showToast(`鍵 ${keys.length}件・チェーン ${chains.length}件を書き出しました`, 'success');
+});
+
+keygenEls.libraryImport.addEventListener('click', ()=>{
+  if(isVaultLocked()){
+    showToast(VAULT_LOCKED_MSG, 'danger');
+    return;
+  }
+  keygenEls.libraryImportFile.click();
+});
+
+keygenEls.libraryImportFile.addEventListener('change', async ()=>{
+  const file = keygenEls.libraryImportFile.files[0];
+  keygenEls.libraryImportFile.value = '';
+  if(!file) return;
+  if(file.size > FILE_MAX_BYTES){
+    showToast(`ファイルが大きすぎます（上限 ${FILE_MAX_BYTES / 1024 / 1024}MB）`, 'danger');
+    return;
+  }
+  let text;
+  try{
+    text = await readTextFile(file, 'utf-8');
+  }catch{
+    showToast('ファイルを読み込めませんでした', 'danger');
+    return;
+  }
+  const res = parseLibraryImport(text);
+  if(!res.ok){
+    showToast(`⚠ ${res.msg}`, 'danger');
+    return;
+  }
+  const strategy = keygenEls.libraryConflict.value;
+  const keys = mergeEntries(loadSaved(), res.keys, strategy);
+  const chains = mergeEntries(loadValidChains(), res.chains, strategy);
+  saveSaved(keys.entries);
+  if(res.chains.length) saveSaved(chains.entries, CHAIN_STORAGE_KEY);
+  renderSavedKeyLists();
+  renderChainSaved();
+
+  const counts = [
+    ['追加', keys.added + chains.added],
+    ['統合', keys.merged + chains.merged],
+    ['上書き', keys.overwritten + chains.overwritten],
+    ['名前を変更', keys.renamed + chains.renamed],
+    ['同名のためスキップ', keys.skipped + chains.skipped],
+    ['読み込めない項目', res.dropped],
+  ].filter(([, n]) => n > 0).map(([label, n]) => `${label} ${n}件`);
+  showToast(`読み込みました：${counts.join('・')}`, 'success');
+});
+
+/* ========== Key Vault ========== */
+
+const vaultEls = {
+  panel: $('#vault-panel'),
+  status: $('#vault-status'),
+  setup: $('#vault-setup'),
+  newPass: $('#vault-new'),
+  newConfirm: $('#vault-new-confirm'),
+  enable: $('#vault-enable'),
+  unlockForm: $('#vault-unlock-form'),
+  passphrase: $('#vault-passphrase'),
+  unlock: $('#vault-unlock'),
+  open: $('#vault-open'),
+  lock: $('#vault-lock'),
+  autolock: $('#vault-autolock'),
+  current: $('#vault-current'),
+  changeNew: $('#vault-change-new'),
+  changeConfirm: $('#vault-change-confirm'),
+  change: $('#vault-change'),
+  disable: $('#vault-disable'),
+};
+
+/**
+ * Show the vault controls for its state: off, locked or open
+ */
+function renderVault(){
+  const on = hasVault();
+  vaultEls.setup.hidden = on || !isVaultSupported();
+  vaultEls.unlockForm.hidden = !on || !!vault;
+  vaultEls.open.hidden = !vault;
+  vaultEls.status.textContent = !on
+    ? (isVaultSupported()
+      ? '保護なし：保存した鍵はブラウザーにそのまま（平文で）保存されています'
+      : '⚠ この環境では Web Crypto が使えないため保護できません（https:// か localhost で開いてください）')
+    : vault ? '🔓 解錠中：保存した鍵は暗号化して保存されます'
+    : '🔒 ロック中：パスフレーズを入力すると保存した鍵を使えます';
+  // Point at the unlock form while the library looks empty
+  if(on && !vault) vaultEls.panel.open = true;
+}
+
+/** Refresh everything that shows saved keys or chains */
+function renderVaultLists(){
+  renderVault();
+  renderSavedKeyLists();
+  renderChainSaved();
+}
+
+/**
+ * Set the open vault from its decrypted contents
+ * @param {Object} session - From openVault or createVaultSession
+ * @param {string} text - JSON {version, keys, chains}
+ * @returns {boolean} - false if it was saved by a newer version
+ */
+function setOpenVault(session, text){
+  let data = null;
+  try{ data = JSON.parse(text); }catch{ /* treated as empty */ }
+  const library = migrateLibrary(data);
+  if(!library) return false;
+  const chains = data && Array.isArray(data.chains) ? data.chains : [];
+  vault = { session, keys: library.keys, chains: chains.map(normalizeChainEntry).filter(Boolean) };
+  return true;
+}
+
+/**
+ * Check a passphrase against the stored vault
+ * Waits for pending saves, so the record holds the latest keys.
+ * @param {string} passphrase
+ * @returns {Promise<{ok: true, text: string, session: Object, reseal: boolean}|{ok: false, msg: string}>}
+ */
+async function openStoredVault(passphrase){
+  await settleVault();
+  let record = null;
+  try{ record = readStoredJSON(VAULT_STORAGE_KEY); }catch{ /* reported by openVault */ }
+  return openVault(record, passphrase);
+}
+
+let vaultTimer = null;
+
+/**
+ * Restart the auto-lock countdown (on any click or key press while open)
+ */
+function touchVault(){
+  clearTimeout(vaultTimer);
+  const minutes = parseInt(vaultEls.autolock.value, 10) || 0;
+  if(vault && minutes > 0){
+    vaultTimer = setTimeout(()=> lockVault('操作がなかったため鍵ライブラリをロックしました'), minutes * 60000);
+  }
+}
+
+/**
+ * Forget the decrypted keys and the derived key
+ * @param {string} msg - Toast message
+ */
+function lockVault(msg='鍵ライブラリをロックしました'){
+  if(!vault) return;
+  vault = null;
+  clearTimeout(vaultTimer);
+  renderVaultLists();
+  showToast(`🔒 ${msg}`);
+}
+
+/**
+ * Run a vault action with its button disabled (PBKDF2 takes a moment)
+ * @param {HTMLButtonElement} btn
+ * @param {function(): Promise<void>} action
+ */
+async function runVaultAction(btn, action){
+  btn.disabled = true;
+  try{
+    await action();
+  }catch(e){
+    console.error('Vault error:', e);
+    showToast('金庫の処理に失敗しました', 'danger');
+  }finally{
+    btn.disabled = false;
+  }
+}
+
+vaultEls.enable.addEventListener('click', ()=> runVaultAction(vaultEls.enable, async ()=>{
+  const check = checkNewPassphrase(vaultEls.newPass.value, vaultEls.newConfirm.value);
+  if(!check.ok){ showToast(`⚠ ${check.msg}`, 'danger'); return; }
+  if(hasNewerLibrary()){
+    showToast('新しいバージョンで保存された鍵ライブラリのため、暗号化できません', 'danger');
+    return;
+  }
+  const keys = loadSaved();
+  const chains = loadValidChains();
+  vault = { session: await createVaultSession(vaultEls.newPass.value), keys, chains };
+  if(!await writeVault()){
+    vault = null;
+    return;
+  }
+  // The readable copies go only once the vault is stored
+  [STORAGE_KEY, CHAIN_STORAGE_KEY, LEGACY_STORAGE_KEY].forEach(k => localStorage.removeItem(k));
+  vaultEls.newPass.value = vaultEls.newConfirm.value = '';
+  renderVaultLists();
+  touchVault();
+  showToast(`🔐 鍵 ${keys.length}件・チェーン ${chains.length}件を暗号化しました`, 'success');
+}));
+
+async function unlockVault(){
+  const opened = await openStoredVault(vaultEls.passphrase.value);
+  if(!opened.ok){ showToast(`⚠ ${opened.msg}`, 'danger'); return; }
+  if(!setOpenVault(opened.session, opened.text)){
+    showToast('新しいバージョンで保存された鍵ライブラリのため、開けません', 'danger');
+    return;
+  }
+  // Stored with another iteration count: store it again at VAULT_ITERATIONS
+  if(opened.reseal) await writeVault();
+  vaultEls.passphrase.value = '';
+  renderVaultLists();
+  touchVault();
+  showToast('🔓 鍵ライブラリを解錠しました', 'success');
+}
+
+vaultEls.unlock.addEventListener('click', ()=> runVaultAction(vaultEls.unlock, unlockVault));
+vaultEls.passphrase.addEventListener('keydown', (e)=>{
+  if(e.key === 'Enter' && !vaultEls.unlock.disabled) runVaultAction(vaultEls.unlock, unlockVault);
+});
+
+vaultEls.lock.addEventListener('click', ()=> lockVault());
+
+vaultEls.autolock.addEventListener('change', ()=>{
+  try{ localStorage.setItem(VAULT_AUTOLOCK_KEY, vaultEls.autolock.value); }catch{ /* default next time */ }
+  touchVault();
+});
+['pointerdown', 'keydown'].forEach(type=>{
+  document.addEventListener(type, ()=>{ if(vault) touchVault(); }, {capture:true, passive:true});
+});
+
+vaultEls.change.addEventListener('click', ()=> runVaultAction(vaultEls.change, async ()=>{
+  const check = checkNewPassphrase(vaultEls.changeNew.value, vaultEls.changeConfirm.value);
+  if(!check.ok){ showToast(`⚠ ${check.msg}`, 'danger'); return; }
+  const opened = await openStoredVault(vaultEls.current.value);
+  if(!opened.ok){ showToast('⚠ 現在のパスフレーズが違います', 'danger'); return; }
+  if(!vault) return;
+  // A new salt and key; the write re-encrypts everything under them
+  const previous = vault.session;
+  vault.session = await createVaultSession(vaultEls.changeNew.value);
+  if(!await writeVault()){
+    vault.session = previous;
+    return;
+  }
+  vaultEls.current.value = vaultEls.changeNew.value = vaultEls.changeConfirm.value = '';
+  showToast('🔐 パスフレーズを変更し、鍵ライブラリを暗号化し直しました', 'success');
+}));
+
+vaultEls.disable.addEventListener('click', ()=> runVaultAction(vaultEls.disable, async ()=>{
+  const opened = await openStoredVault(vaultEls.current.value);
+  if(!opened.ok){ showToast('⚠ 保護を解除するには現在のパスフレーズを入力してください', 'danger'); return; }
+  if(!vault) return;
+  await settleVault();   // Saves made while the passphrase was checked
+  const {keys, chains} = vault;
+  try{
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({version: LIBRARY_VERSION, keys}));
+    localStorage.setItem(CHAIN_STORAGE_KEY, JSON.stringify(chains));
+  }catch(e){
+    console.error('Failed to save patterns:', e);
+    showToast('保存に失敗しました（容量制限の可能性）', 'danger');
+    return;
+  }
+  localStorage.removeItem(VAULT_STORAGE_KEY);
+  vault = null;
+  clearTimeout(vaultTimer);
+  vaultEls.current.value = '';
+  renderVaultLists();
+  showToast('保護を解除しました。保存した鍵は暗号化されずに保存されます', 'danger');
+}));
+
+(function loadVaultSettings(){
+  try{
+    const minutes = localStorage.getItem(VAULT_AUTOLOCK_KEY);
+    if(minutes !== null && [...vaultEls.autolock.options].some(o => o.value === minutes)) vaultEls.autolock.value = minutes;
+  }catch{ /* keep the default */ }
+  renderVault();
+})();
+
+// First load after the library was introduced: keep the version 1 list in
+// the new format (the old entry is left as it was)
+(function migrateSavedKeys(){
+  try{
+    if(hasVault() || localStorage.getItem(STORAGE_KEY) !== null || localStorage.getItem(LEGACY_STORAGE_KEY) === null) return;
+  }catch{
+    return;
+  }
+  saveSaved(loadSaved());
+})();
+
+// Load saved keys
+renderKeyLibrary();
+
+/* ============================================================================
+ * KEY COMPOSITION WORKSPACE
+ * ============================================================================
+ * - Compose two keys in both orders and check whether they commute
+ * - Conjugate B by A and compare cycle types
+ * - Answer "is encrypting twice stronger?" with the single equivalent key
+ * ============================================================================ */
+
+const COMPOSE_MAX_LENGTH = 256;  // Longest lcm block shown for keys of different lengths
+
+const composeEls = {
+  a: $('#compose-a'),
+  b: $('#compose-b'),
+  aCurrent: $('#compose-a-current'),
+  bCurrent: $('#compose-b-current'),
+  savedKeys: $('#compose-saved-keys'),
+  run: $('#compose-run'),
+  swap: $('#compose-swap'),
+  result: $('#compose-result'),
+  vizA: $('#compose-viz-a'),
+  vizB: $('#compose-viz-b'),
+  vizAB: $('#compose-viz-ab'),
+  facts: $('#compose-facts'),
+  answer: $('#compose-answer'),
+  use: $('#compose-use'),
+};
+let composeResult = null;
+
+/**
+ * Read and validate one key of the workspace
+ * @param {HTMLInputElement} input
+ * @param {string} label - 'A' or 'B' for error messages
+ * @returns {{perm?: number[], error?: string}}
+ */
+function readComposeKey(input, label){
+  const perm = parseKeyInput(input.value);
+  if(!perm) return {error: `鍵 ${label} の形式が不正です（例: 3-1-4-2 または (1 3 4 2)）`};
+  const v = validatePermutation(perm);
+  if(!v.ok) return {error: `鍵 ${label}: ${v.msg}`};
+  return {perm};
+}
+
+/**
+ * Fill the facts list with term/description pairs
+ * @param {Array<[string, string]>} facts
+ */
+function renderComposeFacts(facts){
+  composeEls.facts.innerHTML = '';
+  facts.forEach(([term, desc])=>{
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = desc;
+    composeEls.facts.append(dt, dd);
+  });
+}
+
+function renderComposeSaved(){
+  renderSaved(composeEls.savedKeys, ({name, pattern})=>{
+    const target = $('input[name="compose-target"]:checked').value;
+    composeEls[target].value = pattern;
+    showToast(`鍵 ${target.toUpperCase()} に読込: ${name}`, 'success');
+  }, ()=>{
+    renderKeyLibrary();
+    renderChainSavedKeys();
+  });
+}
+
+composeEls.aCurrent.addEventListener('click', ()=>{
+  if(currentKey) composeEls.a.value = buildPatternString(currentKey);
+});
+composeEls.bCurrent.addEventListener('click', ()=>{
+  if(currentKey) composeEls.b.value = buildPatternString(currentKey);
+});
+composeEls.swap.addEventListener('click', ()=>{
+  [composeEls.a.value, composeEls.b.value] = [composeEls.b.value, composeEls.a.value];
+});
+
+composeEls.run.addEventListener('click', ()=>{
+  const ra = readComposeKey(composeEls.a, 'A');
+  const rb = readComposeKey(composeEls.b, 'B');
+  const error = ra.error || rb.error;
+  if(error){
+    showInlineError('#compose-error', error);
+    showToast(error, 'danger');
+    return;
+  }
+  showInlineError('#compose-error', '');
+
+  // Keys of different lengths are compared on their common lcm block
+  const size = lcm(ra.perm.length, rb.perm.length);
+  if(size > COMPOSE_MAX_LENGTH){
+    const msg = `2つの鍵の長さの最小公倍数が ${size} になり、比較できる長さ（${COMPOSE_MAX_LENGTH}）を超えます`;
+    showInlineError('#compose-error', msg);
+    showToast(msg, 'danger');
+    return;
+  }
+  const a = repeatPermutation(ra.perm, size);
+  const b = repeatPermutation(rb.perm, size);
+  const ab = composePermutations(a, b);   // A then B = B∘A
+  const ba = composePermutations(b, a);   // B then A = A∘B
+  const conj = conjugatePermutation(a, b);
+  const same = (p, q)=> buildPatternString(p) === buildPatternString(q);
+  const describe = (p)=> `${buildPatternString(p)} = ${formatCycles(permutationCycles(p))}`;
+  const props = (p)=> `位数 ${permutationOrder(p)}・${permutationParity(p).even ? '偶置換' : '奇置換'}`;
+  const typeA = cycleType(a).join(',');
+  const typeB = cycleType(b).join(',');
+
+  renderPatternArrows(composeEls.vizA, a);
+  renderPatternArrows(composeEls.vizB, b);
+  renderPatternArrows(composeEls.vizAB, ab);
+
+  const facts = [];
+  if(size !== ra.perm.length || size !== rb.perm.length){
+    facts.push(['比較に使う長さ', `${size}（長さ ${ra.perm.length} と ${rb.perm.length} の最小公倍数。各鍵をこの長さまでブロックごとに繰り返しています）`]);
+  }
+  facts.push(
+    ['A → B（B∘A）', describe(ab)],
+    ['B → A（A∘B）', describe(ba)],
+    ['可換性', same(ab, ba) ? '可換（どちらの順に暗号化しても同じ）' : '非可換（暗号化する順番で結果が変わる）'],
+    ['共役 A∘B∘A⁻¹', `${describe(conj)}（B の巡回の各数字を A で移したもの）`],
+    ['巡回の型', `A: [${typeA}]、B: [${typeB}] → ${typeA === typeB ? '同じ型なので互いに共役' : '型が違うので共役ではない'}`],
+    ['性質', `A: ${props(a)}／B: ${props(b)}／A → B: ${props(ab)}`],
+  );
+  renderComposeFacts(facts);
+
+  // Direct answer to "is encrypting twice stronger?"
+  let answer;
+  if(permutationOrder(ab) === 1){
+    answer = 'A → B は恒等置換です。B は A の逆転置なので、2回目の暗号化で平文に戻ってしまいます。';
+  }else if(size === Math.max(ra.perm.length, rb.perm.length)){
+    answer = `A で暗号化してから B で暗号化すると、鍵 ${buildPatternString(ab)} で1回暗号化したのと同じ結果になります。`
+      + `長さ ${size} の鍵は ${size}! 通りしかないため、2回暗号化しても攻撃者が探す鍵の数は増えず、強くはなりません。`;
+  }else{
+    answer = `長さの違う鍵を続けて使うと、長さ ${size} の1つの鍵 ${buildPatternString(ab)} と同じになります。`
+      + 'ブロック長が最小公倍数まで伸びる分だけ鍵の候補は増えますが、単一の転置であることに変わりはありません。';
+  }
+  composeEls.answer.textContent = answer;
+
+  composeResult = ab;
+  composeEls.result.hidden = false;
+});
+
+composeEls.use.addEventListener('click', ()=>{
+  if(!composeResult) return;
+  updateCurrentKey(composeResult);
+  keygenEls.length.value = String(composeResult.length);
+  showToast(`合成鍵を設定しました: ${buildPatternString(composeResult)}`, 'success');
+});
+
+renderComposeSaved();
+
+/* ============================================================================
+ * ENCRYPTION TAB
+ * ============================================================================
+ * Features:
+ * - Block-wise permutation encryption
+ * - Example text presets
+ * - Preprocessing (strip spaces/punctuation, normalize, 5-letter groups)
+ * - Padding schemes (fixed, random, PKCS#7-style, ciphertext stealing)
+ * - Block navigation for multi-block analysis
+ * - Mapping table (plaintext → ciphertext)
+ * - Animation demo for educational purposes
+ * - Send to decryption tab workflow
+ * ============================================================================ */
+
+const encryptEls = {
+  input: $('#encrypt-input'),
+  presetToggle: $('#encrypt-preset-toggle'),
+  presetList: $('#encrypt-preset-list'),
+  presetItems: $$('.preset-item'),
+  padScheme: $('#encrypt-pad-scheme'),
+  padChar: $('#encrypt-pad-char'),
+  partial: $('#encrypt-partial'),
+  mode: $('#encrypt-mode'),
+  unit: $('#encrypt-unit'),
+  stripSpaces: $('#encrypt-strip-spaces'),
+  stripPunct: $('#encrypt-strip-punct'),
+  upper: $('#encrypt-upper'),
+  nfkc: $('#encrypt-nfkc'),
+  kana: $('#encrypt-kana'),
+  group: $('#encrypt-group'),
+  prepInfo: $('#encrypt-prep-info'),
+  run: $('#encrypt-run'),
+  animate: $('#encrypt-animate'),
+  output: $('#encrypt-output'),
+  copy: $('#encrypt-copy'),
+  save: $('#encrypt-save'),
+  toDecrypt: $('#encrypt-to-decrypt'),
+  envelopeFormat: $('#encrypt-envelope-format'),
+  envelopeFingerprint: $('#encrypt-envelope-fingerprint'),
+  envelopeCopy: $('#encrypt-envelope-copy'),
+  envelopeSave: $('#encrypt-envelope-save'),
+  mapBody: $('#encrypt-map tbody'),
+  blockPrev: $('#encrypt-block-prev'),
+  blockNext: $('#encrypt-block-next'),
+  blockIndicator: $('#encrypt-block-indicator'),
+  gridWrap: $('#encrypt-grid-wrap'),
+  grid: $('#encrypt-grid'),
+  roundsWrap: $('#encrypt-rounds-wrap'),
+  rounds: $('#encrypt-rounds'),
+  animWrap: $('#encrypt-anim-wrap'),
+  animStage: $('#encrypt-anim-stage'),
+};
+
+const encryptFile = setupFileImport({
+  input: encryptEls.input,
+  picker: $('#encrypt-file'),
+  open: $('#encrypt-file-open'),
+  encoding: $('#encrypt-file-encoding'),
+});
+
+const encryptProgress = {
+  row: $('#encrypt-progress-row'),
+  bar: $('#encrypt-progress'),
+  status: $('#encrypt-progress-status'),
+  cancel: $('#encrypt-cancel'),
+  run: encryptEls.run,
+};
+
+const encryptAnimator = createStepAnimator({
+  wrap: encryptEls.animWrap,
+  play: $('#encrypt-anim-play'),
+  back: $('#encrypt-anim-back'),
+  forward: $('#encrypt-anim-forward'),
+  speed: $('#encrypt-anim-speed'),
+  status: $('#encrypt-anim-status'),
+});
+
+let encryptBlocks = { input: [], output: [], unit: 'utf16', last: null, size: 0, padFrom: Infinity };
+let encryptCurrentBlock = 0;
+// Last run: preprocessed plaintext, ungrouped ciphertext and removed characters
+// settings: what the ciphertext was made with, for envelopes (null before the first run)
+let encryptLast = { plain: '', cipher: '', removed: [], settings: null };
+
+// Preset toggle
+if(encryptEls.presetToggle && encryptEls.presetList){
+  encryptEls.presetToggle.addEventListener('click', ()=>{
+    const isHidden = encryptEls.presetList.style.display === 'none';
+    encryptEls.presetList.style.display = isHidden ? 'block' : 'none';
+    encryptEls.presetToggle.textContent = isHidden ? '✕ 閉じる' : '📝 例文を選択';
+  });
+}
+
+// Preset selection
+if(encryptEls.presetItems){
+  encryptEls.presetItems.forEach(item=>{
+    item.addEventListener('click', ()=>{
+      if(!encryptEls.input) return;
+      encryptEls.input.value = item.dataset.text || '';
+      if(encryptEls.presetList) encryptEls.presetList.style.display = 'none';
+      if(encryptEls.presetToggle) encryptEls.presetToggle.textContent = '📝 例文を選択';
+      showToast('例文を設定しました', 'success');
+    });
+  });
+}
+
+/**
+ * Describe how the last block was handled when it is shorter than the key
+ * @param {number} length - Padded plaintext length in units
+ * @param {number[]} perm - Key
+ * @param {string} scheme - Key of PAD_SCHEMES
+ * @param {string} partial - Key of PARTIAL_BLOCK_MODES
+ * @returns {{label: string, detail: string, stolen?: boolean}|null} - null if the last block is complete
+ */
+function describeLastBlock(length, perm, scheme, partial){
+  const n = perm.length;
+  const r = length % n;
+  if(r === 0) return null;
+  if(PAD_SCHEMES[scheme].steal && length >= n){
+    return { label: '暗号文窃取', stolen: true, detail: `暗号文窃取：末尾 ${n} 文字（直前のブロックの出力を含む）をもう一度転置` };
+  }
+  const p = r >= 2 ? PARTIAL_BLOCK_MODES[partial].permutation(perm, r) : null;
+  if(!p) return { label: 'そのまま', detail: `短いブロック（${r}文字）：転置せずそのまま出力` };
+  const {label} = PARTIAL_BLOCK_MODES[partial];
+  return { label, detail: `短いブロック（${r}文字）：${label} ${buildPatternString(p)} で並べ替え` };
+}
+
+function updateEncryptBlockNav(){
+  const totalBlocks = encryptBlocks.input.length;
+  const isLast = totalBlocks > 0 && encryptCurrentBlock === totalBlocks - 1;
+  const last = isLast ? encryptBlocks.last : null;
+  encryptEls.blockIndicator.textContent = totalBlocks > 0
+    ? `ブロック ${encryptCurrentBlock + 1} / ${totalBlocks}` + (last ? `（${last.label}）` : '')
+    : 'ブロック 1';
+  encryptEls.blockPrev.disabled = encryptCurrentBlock <= 0;
+  encryptEls.blockNext.disabled = encryptCurrentBlock >= totalBlocks - 1 || totalBlocks === 0;
+
+  if(totalBlocks > 0){
+    const blockIn = splitUnits(encryptBlocks.input.at(encryptCurrentBlock) || '', encryptBlocks.unit);
+    const blockOut = splitUnits(encryptBlocks.output.at(encryptCurrentBlock) || '', encryptBlocks.unit);
+    const padFrom = encryptBlocks.padFrom - encryptCurrentBlock * encryptBlocks.size;
+    renderMapTable(encryptEls.mapBody, blockIn, blockOut, 'forward', last ? last.detail : '', padFrom);
+  }
+}
+
+encryptEls.blockPrev.addEventListener('click', ()=>{
+  if(encryptCurrentBlock > 0){
+    encryptAnimator.stop();
+    encryptCurrentBlock--;
+    updateEncryptBlockNav();
+  }
+});
+
+encryptEls.blockNext.addEventListener('click', ()=>{
+  if(encryptCurrentBlock < encryptBlocks.input.length - 1){
+    encryptAnimator.stop();
+    encryptCurrentBlock++;
+    updateEncryptBlockNav();
+  }
+});
+
+// Some neighbours (lone regional indicators, decomposed Hangul jamo, CR+LF)
+// join into one grapheme once they become adjacent, so the ciphertext can no
+// longer be split back into the same units (checked by the encrypt job)
+const UNITS_MERGED_MSG = '⚠ 並べ替えで隣り合った文字が結合したため、書記素単位では元に戻せません。コードポイント単位を使ってください';
+
+// Longest preprocessed plaintext shown under the output
+const PREP_PREVIEW_LENGTH = 300;
+
+function readPreprocessOptions(){
+  return {
+    stripSpaces: encryptEls.stripSpaces.checked,
+    stripPunct: encryptEls.stripPunct.checked,
+    upper: encryptEls.upper.checked,
+    nfkc: encryptEls.nfkc.checked,
+    kana: encryptEls.kana.value,
+    group: encryptEls.group.checked,
+  };
+}
+
+/**
+ * Show ciphertext and remember the run
+ * @param {Object} prep - Result of preprocessText
+ * @param {string} output - Ciphertext
+ * @param {string} display - Ciphertext as shown (grouped if requested)
+ * @param {string} unit - Processing unit
+ */
+function showEncryptOutput(prep, output, display, unit){
+  encryptLast = { plain: prep.text, cipher: output, removed: prep.removed, settings: null };
+  encryptEls.output.value = display;
+  const changed = prep.text !== encryptEls.input.value;
+  encryptEls.prepInfo.hidden = !changed;
+  if(!changed) return;
+  const removedCount = prep.removed.reduce((sum, [, text]) => sum + splitUnits(text, unit).length, 0);
+  const code = document.createElement('code');
+  code.textContent = prep.text.length > PREP_PREVIEW_LENGTH ? prep.text.slice(0, PREP_PREVIEW_LENGTH) + '…' : prep.text;
+  encryptEls.prepInfo.replaceChildren('前処理後の平文：', code,
+    removedCount ? `（${removedCount}文字を除去）` : '');
+}
+
+/**
+ * Padding settings of the encryption tab (stored with saved keys)
+ * @returns {{scheme: string, padChar: string, partial: string}}
+ */
+function readPaddingSettings(){
+  return {
+    scheme: encryptEls.padScheme.value,
+    padChar: (encryptEls.padChar.value || '').slice(0,1) || '',
+    partial: encryptEls.partial.value,
+  };
+}
+
+/**
+ * Set the same padding settings in the encryption and decryption tabs
+ * @param {{scheme: string, padChar: string, partial?: string}} padding
+ */
+function applyPaddingSettings(padding){
+  if(!padding || !PAD_SCHEMES[padding.scheme]) return;
+  encryptEls.padScheme.value = decryptEls.padScheme.value = padding.scheme;
+  encryptEls.padChar.value = decryptEls.padChar.value = padding.padChar || '';
+  const partial = PARTIAL_BLOCK_MODES[padding.partial] ? padding.partial : 'keep';
+  encryptEls.partial.value = decryptEls.partial.value = partial;
+}
+
+/**
+ * Encrypt the input with the current settings and refresh the views
+ * @returns {Promise<void>} - Resolves once the output is shown (long texts are processed in pieces)
+ */
+async function runEncrypt(){
+  const {scheme, padChar, partial} = readPaddingSettings();
+  const unit = encryptEls.unit.value;
+  const mode = encryptEls.mode.value;
+  const whole = CIPHER_MODES[mode].whole;
+  const useChain = chainEls.enable.checked;
+  const modeParams = readModeParams(mode);
+  if(whole && useChain){
+    showToast(`${CIPHER_MODES[mode].label}は鍵チェーンに対応していません`, 'danger');
+    return;
+  }
+  if(!modeParams.ok){
+    showToast(modeParams.msg, 'danger');
+    return;
+  }
+  if(useChain && keyChain.length === 0){
+    showToast('鍵チェーンに鍵を追加してください', 'danger');
+    return;
+  }
+  if(!whole && !useChain && !currentKey){
+    showToast('鍵生成タブで鍵を生成してください', 'danger');
+    return;
+  }
+  const params = modeParams.params;
+  const chain = whole ? [null] : useChain ? keyChain.map(k => [...k]) : [[...currentKey]];
+  const preprocess = readPreprocessOptions();
+  encryptAnimator.stop();
+
+  const res = await runJobWithProgress('encrypt', {
+    text: encryptEls.input.value,
+    chain, preprocess, mode, scheme, padChar, unit, partial, params,
+  }, encryptProgress);
+  if(!res){
+    if(res === null) showToast('暗号化を中止しました', 'danger');
+    return;
+  }
+  showEncryptOutput(res.prep, res.output, res.display, unit);
+  encryptLast.settings = { chain, mode, params, scheme, padChar, partial, unit, preprocess };
+  encryptBlocks.unit = unit;
+  encryptBlocks.last = null;
+
+  if(useChain){
+    renderChainRounds(encryptEls.rounds, res.rounds, chain, encryptEls.roundsWrap);
+    encryptEls.gridWrap.hidden = true;
+    // Rounds may use different block sizes, so map the whole text at once
+    encryptBlocks.input = [res.prep.text];
+    encryptBlocks.output = [res.output];
+    encryptBlocks.padFrom = Infinity;
+  }else{
+    encryptEls.roundsWrap.hidden = true;
+    const n = whole ? res.paddedLength : chain[0].length;
+    encryptBlocks.size = n;
+    encryptBlocks.padFrom = res.inputLength;
+    if(whole){
+      // One permutation of the whole text: map every position at once
+      encryptEls.gridWrap.hidden = true;
+      encryptBlocks.input = [res.padded];
+      encryptBlocks.output = [res.output];
+    }else if(mode === 'columnar'){
+      // The whole grid is one unit: show it and map every position at once
+      renderColumnarGrid(encryptEls.grid, splitUnits(res.padded, unit), chain[0], res.inputLength);
+      encryptEls.gridWrap.hidden = false;
+      encryptBlocks.input = [res.padded];
+      encryptBlocks.output = [res.output];
+    }else{
+      encryptEls.gridWrap.hidden = true;
+      // Blocks are cut out when shown, so long texts do not build every block
+      encryptBlocks.input = blockView(res.padded, n, unit);
+      encryptBlocks.output = blockView(res.output, n, unit);
+      encryptBlocks.last = describeLastBlock(res.paddedLength, chain[0], scheme, partial);
+    }
+  }
+  encryptCurrentBlock = 0;
+  updateEncryptBlockNav();
+
+  showToast(useChain ? `鍵チェーン（${chain.length}段）で暗号化しました`
+    : whole ? `${CIPHER_MODES[mode].label}（${describeModeParams(mode, params)}）で暗号化しました`
+    : '暗号化を実行しました', 'success');
+  if(res.unitsMerged) showToast(UNITS_MERGED_MSG, 'danger');
+}
+
+
+encryptEls.run.addEventListener('click', runEncrypt);
+
+encryptEls.copy.addEventListener('click', async ()=>{
+  try{
+    await navigator.clipboard.writeText(encryptEls.output.value || '');
+    showToast('暗号文をコピーしました', 'success');
+  }catch{
+    showToast('コピー失敗', 'danger');
+  }
+});
+
+encryptEls.save.addEventListener('click', ()=>{
+  if(!encryptEls.output.value){
+    showToast('先に暗号化を実行してください', 'danger');
+    return;
+  }
+  saveTextFile(encryptEls.output.value, outputFileName(encryptFile.fileName(), 'cipher'));
+});
+
+/**
+ * The last ciphertext in the chosen envelope form
+ * Uses the settings of the run that made it, not the current form values.
+ * @returns {string|null} - null (after a toast) before the first run
+ */
+function encryptEnvelopeText(){
+  if(!encryptLast.settings){
+    showToast('先に暗号化を実行してください', 'danger');
+    return null;
+  }
+  const env = createEnvelope(encryptEls.output.value, {
+    ...encryptLast.settings,
+    removed: encryptLast.removed,
+    fingerprint: encryptEls.envelopeFingerprint.checked,
+  });
+  return encryptEls.envelopeFormat.value === 'json' ? envelopeToJSON(env) : envelopeToArmor(env);
+}
+
+encryptEls.envelopeCopy.addEventListener('click', async ()=>{
+  const text = encryptEnvelopeText();
+  if(text === null) return;
+  try{
+    await navigator.clipboard.writeText(text);
+    showToast('封筒をコピーしました', 'success');
+  }catch{
+    showToast('コピー失敗', 'danger');
+  }
+});
+
+encryptEls.envelopeSave.addEventListener('click', ()=>{
+  const text = encryptEnvelopeText();
+  if(text === null) return;
+  const ext = encryptEls.envelopeFormat.value === 'json' ? 'json' : 'txt';
+  saveTextFile(text, outputFileName(encryptFile.fileName(), 'envelope', ext));
+});
+
+encryptEls.toDecrypt.addEventListener('click', ()=>{
+  const ciphertext = encryptEls.output.value;
+  if(!ciphertext){
+    showToast('先に暗号化を実行してください', 'danger');
+    return;
+  }
+  $('#decrypt-input').value = ciphertext;
+  $('#decrypt-mode').value = encryptEls.mode.value;
+  $('#decrypt-unit').value = encryptEls.unit.value;
+  applyPaddingSettings(readPaddingSettings());
+  $('#decrypt-ungroup').checked = encryptEls.group.checked;
+  $('#decrypt-restore').value = encryptLast.removed.length ? JSON.stringify(encryptLast.removed) : '';
+  $('#decrypt-restore-enable').checked = encryptLast.removed.length > 0;
+  $('#decrypt-chain-enable').checked = chainEls.enable.checked;
+  // Switch to decrypt tab
+  $$('.tab').forEach(b=> b.classList.remove('active'));
+  $$('.panel').forEach(p=> p.classList.remove('active'));
+  $('[data-tab="decrypt"]').classList.add('active');
+  $('#panel-decrypt').classList.add('active');
+  showToast('暗号文を復号タブに送りました', 'success');
+});
+
+encryptEls.animate.addEventListener('click', async ()=>{
+  if(!currentKey){
+    showToast('鍵生成タブで鍵を生成してください', 'danger');
+    return;
+  }
+  if(encryptEls.mode.value !== 'block' || chainEls.enable.checked){
+    showToast('アニメ付きデモは単一鍵のブロック転置のみ対応しています', 'danger');
+    return;
+  }
+  encryptEls.input.value = encryptEls.input.value || 'ENIGMA IS FUN';
+  // Re-encrypt the current input, then animate the block shown in the navigator
+  const block = encryptCurrentBlock;
+  await runEncrypt();
+  if(encryptBlocks.input.length === 0) return;
+  encryptCurrentBlock = Math.min(block, encryptBlocks.input.length - 1);
+  updateEncryptBlockNav();
+  const isLast = encryptCurrentBlock === encryptBlocks.input.length - 1;
+  if(isLast && encryptBlocks.last && encryptBlocks.last.stolen){
+    showToast('暗号文窃取の最後のブロックはアニメーションに対応していません', 'danger');
+    return;
+  }
+  const source = splitUnits(encryptBlocks.input.at(encryptCurrentBlock), encryptBlocks.unit);
+  const {partial} = readPaddingSettings();
+  const targets = blockMovePermutation(currentKey, source.length, partial).map(d=> d - 1);
+  encryptAnimator.load(source.length, step=>{
+    renderMoveFrame(encryptEls.animStage, encryptEls.mapBody, source, targets, step, 'forward');
+    if(step === source.length) updateEncryptBlockNav();
+  });
+});
+
+/* ============================================================================
+ * DECRYPTION TAB
+ * ============================================================================
+ * Features:
+ * - Automatic inverse permutation calculation
+ * - Exact padding removal for the selected scheme (optional)
+ * - Undo preprocessing (drop 5-letter group spaces, re-insert removed characters)
+ * - Block navigation with padding to be trimmed highlighted
+ * - Inverse animation along the arrows of the inverse pattern
+ * - Mapping table (ciphertext → plaintext)
+ * ============================================================================ */
+
+const decryptEls = {
+  input: $('#decrypt-input'),
+  padScheme: $('#decrypt-pad-scheme'),
+  padChar: $('#decrypt-pad-char'),
+  partial: $('#decrypt-partial'),
+  padTrim: $('#decrypt-pad-trim'),
+  mode: $('#decrypt-mode'),
+  unit: $('#decrypt-unit'),
+  ungroup: $('#decrypt-ungroup'),
+  restoreEnable: $('#decrypt-restore-enable'),
+  restore: $('#decrypt-restore'),
+  run: $('#decrypt-run'),
+  output: $('#decrypt-output'),
+  copy: $('#decrypt-copy'),
+  save: $('#decrypt-save'),
+  mapBody: $('#decrypt-map tbody'),
+  gridWrap: $('#decrypt-grid-wrap'),
+  grid: $('#decrypt-grid'),
+  chainEnable: $('#decrypt-chain-enable'),
+  chainDisplay: $('#decrypt-chain-display'),
+  roundsWrap: $('#decrypt-rounds-wrap'),
+  rounds: $('#decrypt-rounds'),
+  animate: $('#decrypt-animate'),
+  animWrap: $('#decrypt-anim-wrap'),
+  animStage: $('#decrypt-anim-stage'),
+  blockPrev: $('#decrypt-block-prev'),
+  blockNext: $('#decrypt-block-next'),
+  blockIndicator: $('#decrypt-block-indicator'),
+  envelopeImport: $('#decrypt-envelope-import'),
+  envelopeInfo: $('#decrypt-envelope-info'),
+};
+
+const decryptFile = setupFileImport({
+  input: decryptEls.input,
+  picker: $('#decrypt-file'),
+  open: $('#decrypt-file-open'),
+  encoding: $('#decrypt-file-encoding'),
+  onLoad: text => { if(isEnvelopeText(text)) importDecryptEnvelope(text); },
+});
+
+const decryptProgress = {
+  row: $('#decrypt-progress-row'),
+  bar: $('#decrypt-progress'),
+  status: $('#decrypt-progress-status'),
+  cancel: $('#decrypt-cancel'),
+  run: decryptEls.run,
+};
+
+// perm is the single block-mode key used (null for chains and columnar)
+let decryptBlocks = { input: [], output: [], unit: 'utf16', last: null, size: 0, padFrom: Infinity, perm: null, partial: 'keep' };
+let decryptCurrentBlock = 0;
+
+const decryptAnimator = createStepAnimator({
+  wrap: decryptEls.animWrap,
+  play: $('#decrypt-anim-play'),
+  back: $('#decrypt-anim-back'),
+  forward: $('#decrypt-anim-forward'),
+  speed: $('#decrypt-anim-speed'),
+  status: $('#decrypt-anim-status'),
+});
+
+function stopDecryptAnimation(){
+  decryptAnimator.stop();
+  const inverseViz = $('#pattern-viz-inverse');
+  if(inverseViz) highlightPatternColumn(inverseViz, -1);
+}
+
+function updateDecryptBlockNav(){
+  const totalBlocks = decryptBlocks.input.length;
+  const isLast = totalBlocks > 0 && decryptCurrentBlock === totalBlocks - 1;
+  const last = isLast ? decryptBlocks.last : null;
+  decryptEls.blockIndicator.textContent = totalBlocks > 0
+    ? `ブロック ${decryptCurrentBlock + 1} / ${totalBlocks}` + (last ? `（${last.label}）` : '')
+    : 'ブロック 1';
+  decryptEls.blockPrev.disabled = decryptCurrentBlock <= 0;
+  decryptEls.blockNext.disabled = decryptCurrentBlock >= totalBlocks - 1 || totalBlocks === 0;
+
+  if(totalBlocks > 0){
+    const blockIn = splitUnits(decryptBlocks.input.at(decryptCurrentBlock) || '', decryptBlocks.unit);
+    const blockOut = splitUnits(decryptBlocks.output.at(decryptCurrentBlock) || '', decryptBlocks.unit);
+    const padFrom = decryptBlocks.padFrom - decryptCurrentBlock * decryptBlocks.size;
+    renderMapTable(decryptEls.mapBody, blockOut, blockIn, 'reverse', last ? last.detail : '', padFrom);
+  }
+}
+
+decryptEls.blockPrev.addEventListener('click', ()=>{
+  if(decryptCurrentBlock > 0){
+    stopDecryptAnimation();
+    decryptCurrentBlock--;
+    updateDecryptBlockNav();
+  }
+});
+
+decryptEls.blockNext.addEventListener('click', ()=>{
+  if(decryptCurrentBlock < decryptBlocks.input.length - 1){
+    stopDecryptAnimation();
+    decryptCurrentBlock++;
+    updateDecryptBlockNav();
+  }
+});
+
+/**
+ * Ciphertext from the input box, with 5-letter group spaces removed if requested
+ * @returns {string}
+ */
+function decryptInputText(){
+  const text = decryptEls.input.value;
+  return decryptEls.ungroup.checked ? ungroupUnits(text, GROUP_SIZE, decryptEls.unit.value) : text;
+}
+
+/* ========== Envelope Import ========== */
+// The envelope whose ciphertext is in the input box (null once it is edited)
+let decryptEnvelope = null;
+
+const UNIT_LABELS = { utf16: 'UTF-16 コード単位', codepoint: 'コードポイント', grapheme: '書記素' };
+
+/**
+ * Load an envelope into the decryption tab: the ciphertext and its settings
+ * @param {string} text - Envelope in JSON or armored form
+ * @returns {boolean} - false (after a toast) if it could not be read
+ */
+function importDecryptEnvelope(text){
+  const res = parseEnvelope(text);
+  if(!res.ok){
+    showToast(`⚠ ${res.msg}`, 'danger');
+    return false;
+  }
+  const env = res.envelope;
+  decryptEls.input.value = env.ciphertext;
+  decryptEls.mode.value = env.mode;
+  decryptEls.unit.value = env.unit;
+  decryptEls.padScheme.value = env.padding.scheme;
+  decryptEls.padChar.value = env.padding.char;
+  decryptEls.partial.value = env.padding.partial;
+  decryptEls.padTrim.checked = true;
+  decryptEls.ungroup.checked = env.preprocess.group;
+  decryptEls.restore.value = env.removed.length ? JSON.stringify(env.removed) : '';
+  decryptEls.restoreEnable.checked = env.removed.length > 0;
+  decryptEls.chainEnable.checked = env.rounds > 1;
+  decryptEnvelope = env;
+
+  const pad = env.padding.scheme === 'fixed' ? `固定文字「${env.padding.char}」` : PAD_SCHEMES[env.padding.scheme].label;
+  const parts = [
+    CIPHER_MODES[env.mode].label,
+    env.rounds > 1 ? `鍵チェーン ${env.rounds}段（1段目のブロック長 ${env.blockSize}）`
+      : CIPHER_MODES[env.mode].whole ? `パディング単位 ${env.blockSize}` : `ブロック長 ${env.blockSize}`,
+    pad,
+    UNIT_LABELS[env.unit],
+  ];
+  if(env.preprocess.group) parts.push(`${GROUP_SIZE}文字区切り`);
+  if(env.keyFingerprint) parts.push(`鍵の指紋 ${env.keyFingerprint}`);
+  decryptEls.envelopeInfo.textContent = `✉️ 封筒：${parts.join('・')}`;
+  decryptEls.envelopeInfo.hidden = false;
+  showToast('封筒を読み込み、復号の設定を合わせました', 'success');
+  return true;
+}
+
+/**
+ * Compare the keys about to be used with the loaded envelope
+ * @param {number[][]} chain - Keys in encryption order ([null] for whole-message modes)
+ * @param {string} mode - Key of CIPHER_MODES
+ * @param {object|null} params - Mode parameters (see checkModeParams)
+ * @returns {string} - Warning, or '' if they match (or nothing to compare)
+ */
+function envelopeKeyWarning(chain, mode, params){
+  if(!decryptEnvelope) return '';
+  if(CIPHER_MODES[mode].whole){
+    const n = modeBlockLength(mode, null, params);
+    if(mode === decryptEnvelope.mode && n !== decryptEnvelope.blockSize){
+      return `⚠ 設定（${describeModeParams(mode, params)}）のパディング単位 ${n} が封筒（${decryptEnvelope.blockSize}）と異なります`;
+    }
+    if(decryptEnvelope.keyFingerprint && keyFingerprint(chain, params) !== decryptEnvelope.keyFingerprint){
+      return '⚠ 設定の指紋が封筒と一致しません。暗号化に使ったレール数・行数などを選んでください';
+    }
+    return '';
+  }
+  if(chain.length !== decryptEnvelope.rounds){
+    return `⚠ 封筒は ${decryptEnvelope.rounds}段の鍵チェーンで暗号化されています（使用中: ${chain.length}段）`;
+  }
+  if(chain[0].length !== decryptEnvelope.blockSize){
+    return `⚠ 鍵の長さ（${chain[0].length}）が封筒のブロック長（${decryptEnvelope.blockSize}）と異なります`;
+  }
+  if(decryptEnvelope.keyFingerprint && keyFingerprint(chain) !== decryptEnvelope.keyFingerprint){
+    return '⚠ 使用中の鍵の指紋が封筒と一致しません。暗号化に使った鍵を選んでください';
+  }
+  return '';
+}
+
+decryptEls.envelopeImport.addEventListener('click', ()=>{
+  importDecryptEnvelope(decryptEls.input.value);
+});
+
+decryptEls.input.addEventListener('input', ()=>{
+  const text = decryptEls.input.value;
+  if(isEnvelopeText(text)){
+    // Loads a pasted envelope; a half-typed one waits for the run button
+    if(parseEnvelope(text).ok) importDecryptEnvelope(text);
+    return;
+  }
+  if(decryptEnvelope && text !== decryptEnvelope.ciphertext){
+    decryptEnvelope = null;
+    decryptEls.envelopeInfo.hidden = true;
+  }
+});
+
+const BAD_PADDING_MSG = '⚠ パディングが正しくありません。鍵かパディング方式が暗号化時と異なる可能性があります（パディングを残して表示）';
+
+/**
+ * Decrypt the input with the current settings and refresh the views
+ * @returns {Promise<void>} - Resolves once the output is shown (long texts are processed in pieces)
+ */
+async function runDecrypt(){
+  // An envelope pasted without pressing the import button
+  if(isEnvelopeText(decryptEls.input.value) && !importDecryptEnvelope(decryptEls.input.value)) return;
+  const scheme = decryptEls.padScheme.value;
+  const partial = decryptEls.partial.value;
+  const mode = decryptEls.mode.value;
+  const unit = decryptEls.unit.value;
+  const whole = CIPHER_MODES[mode].whole;
+  const useChain = decryptEls.chainEnable.checked;
+  stopDecryptAnimation();
+  let removed = null;
+  if(decryptEls.restoreEnable.checked){
+    removed = parseStripped(decryptEls.restore.value || '[]');
+    if(!removed){
+      showToast('除去記録の形式が正しくありません（例：[[6," "]]）', 'danger');
+      return;
+    }
+  }
+  const modeParams = readModeParams(mode);
+  if(whole && useChain){
+    showToast(`${CIPHER_MODES[mode].label}は鍵チェーンに対応していません`, 'danger');
+    return;
+  }
+  if(!modeParams.ok){
+    showToast(modeParams.msg, 'danger');
+    return;
+  }
+  if(useChain && keyChain.length === 0){
+    showToast('暗号化タブで鍵チェーンを設定してください', 'danger');
+    return;
+  }
+  if(!whole && !useChain && !currentKey){
+    showToast('鍵生成タブで鍵を生成してください', 'danger');
+    return;
+  }
+  const params = modeParams.params;
+  const chain = whole ? [null] : useChain ? keyChain.map(k => [...k]) : [[...currentKey]];
+  const keyWarning = envelopeKeyWarning(chain, mode, params);
+
+  const res = await runJobWithProgress('decrypt', {
+    text: decryptEls.input.value,
+    ungroup: decryptEls.ungroup.checked,
+    chain, mode, scheme, unit, partial, removed, params,
+    padChar: decryptEls.padChar.value.slice(0,1)||'',
+    trim: decryptEls.padTrim.checked,
+  }, decryptProgress);
+  if(!res){
+    if(res === null) showToast('復号を中止しました', 'danger');
+    return;
+  }
+  decryptEls.output.value = res.result;
+  const padFrom = res.trimmed === null ? Infinity : res.resultLength;
+
+  if(useChain){
+    renderChainRounds(decryptEls.rounds, res.rounds, chain, decryptEls.roundsWrap, true);
+    decryptEls.gridWrap.hidden = true;
+    // Rounds may use different block sizes, so map the whole text at once
+    decryptBlocks = { input: [res.input], output: [res.out], unit, last: null, size: 0, padFrom, perm: null, partial };
+  }else if(whole){
+    decryptEls.roundsWrap.hidden = true;
+    decryptEls.gridWrap.hidden = true;
+    // One permutation of the whole text: map every position at once
+    decryptBlocks = { input: [res.input], output: [res.out], unit, last: null, size: 0, padFrom, perm: null, partial };
+  }else if(mode === 'columnar'){
+    decryptEls.roundsWrap.hidden = true;
+    // Show the rebuilt grid and map every position
+    renderColumnarGrid(decryptEls.grid, splitUnits(res.out, unit), chain[0], res.resultLength);
+    decryptEls.gridWrap.hidden = false;
+    decryptBlocks = { input: [res.input], output: [res.out], unit, last: null, size: 0, padFrom: res.resultLength, perm: null, partial };
+  }else{
+    decryptEls.roundsWrap.hidden = true;
+    decryptEls.gridWrap.hidden = true;
+    const n = chain[0].length;
+    decryptBlocks = {
+      input: blockView(res.input, n, unit),
+      output: blockView(res.out, n, unit),
+      unit,
+      last: describeLastBlock(res.outLength, chain[0], scheme, partial),
+      size: n,
+      padFrom: res.resultLength,
+      perm: chain[0],
+      partial,
+    };
+  }
+  decryptCurrentBlock = 0;
+  updateDecryptBlockNav();
+
+  if(keyWarning) showToast(keyWarning, 'danger');
+  else if(res.trimmed === null) showToast(BAD_PADDING_MSG, 'danger');
+  else showToast(useChain ? `鍵チェーン（${chain.length}段）を逆順に復号しました` : '復号を実行しました', 'success');
+}
+
+
+decryptEls.run.addEventListener('click', runDecrypt);
+
+decryptEls.animate.addEventListener('click', ()=>{
+  const {perm, unit} = decryptBlocks;
+  if(!perm){
+    showToast('先に単一鍵のブロック転置で復号を実行してください', 'danger');
+    return;
+  }
+  const isLast = decryptCurrentBlock === decryptBlocks.input.length - 1;
+  if(isLast && decryptBlocks.last && decryptBlocks.last.stolen){
+    showToast('暗号文窃取の最後のブロックはアニメーションに対応していません', 'danger');
+    return;
+  }
+  const source = splitUnits(decryptBlocks.input.at(decryptCurrentBlock) || '', unit);
+  const inv = inversePermutation(blockMovePermutation(perm, source.length, decryptBlocks.partial));
+  const targets = inv.map(d=> d - 1);
+  // The key tab shows the same arrows for full blocks
+  const inverseViz = source.length === perm.length ? $('#pattern-viz-inverse') : null;
+  stopDecryptAnimation();
+  decryptAnimator.load(source.length, step=>{
+    // Ciphertext position k+1 moves back to plaintext position inv[k]
+    renderMoveFrame(decryptEls.animStage, decryptEls.mapBody, source, targets, step, 'reverse');
+    if(inverseViz) highlightPatternColumn(inverseViz, step - 1, step > 0 ? source[step-1] : '');
+    if(step === source.length) updateDecryptBlockNav();
+  });
+});
+
+decryptEls.copy.addEventListener('click', async ()=>{
+  try{
+    await navigator.clipboard.writeText(decryptEls.output.value || '');
+    showToast('平文をコピーしました', 'success');
+  }catch{
+    showToast('コピー失敗', 'danger');
+  }
+});
+
+decryptEls.save.addEventListener('click', ()=>{
+  if(!decryptEls.output.value){
+    showToast('先に復号を実行してください', 'danger');
+    return;
+  }
+  saveTextFile(decryptEls.output.value, outputFileName(decryptFile.fileName(), 'plain'));
+});
+
+/* ============================================================================
+ * KEY CHAIN (Multi-round Transposition)
+ * ============================================================================
+ * Features:
+ * - Ordered chain of keys (e.g. K1 → K2 → K1) edited in the encryption tab
+ * - Decryption applies the inverse of each round in reverse order
+ * - Single equivalent key when all keys share a length (block mode)
+ * - Chain save/load via localStorage
+ * ============================================================================ */
+
+const chainEls = {
+  enable: $('#chain-enable'),
+  list: $('#chain-list'),
+  addCurrent: $('#chain-add-current'),
+  clear: $('#chain-clear'),
+  savedKeys: $('#chain-saved-keys'),
+  info: $('#chain-info'),
+  saveName: $('#chain-save-name'),
+  saveBtn: $('#chain-save'),
+  savedList: $('#chain-saved-list'),
+};
+
+/**
+ * Label chain steps so repeated keys share a name (K1 → K2 → K1)
+ * @param {number[][]} chain - Keys in application order
+ * @returns {string[]} - Label per step
+ */
+function chainLabels(chain){
+  const seen = new Map();
+  return chain.map(perm=>{
+    const key = buildPatternString(perm);
+    if(!seen.has(key)) seen.set(key, `K${seen.size + 1}`);
+    return seen.get(key);
+  });
+}
+
+function renderChainList(){
+  const labels = chainLabels(keyChain);
+  chainEls.list.innerHTML = '';
+  if(keyChain.length === 0){
+    const p = document.createElement('span');
+    p.className = 'muted';
+    p.textContent = '（未設定）';
+    chainEls.list.appendChild(p);
+  }
+  keyChain.forEach((perm, idx)=>{
+    if(idx > 0){
+      const arrow = document.createElement('span');
+      arrow.className = 'chain-arrow';
+      arrow.textContent = '→';
+      chainEls.list.appendChild(arrow);
+    }
+    const step = document.createElement('span');
+    step.className = 'chain-step';
+    step.textContent = `${labels[idx]}: ${buildPatternString(perm)}`;
+    const btnDel = document.createElement('button');
+    btnDel.textContent = '✕';
+    btnDel.setAttribute('aria-label', '削除');
+    btnDel.addEventListener('click', ()=>{
+      keyChain.splice(idx, 1);
+      renderChainList();
+    });
+    step.appendChild(btnDel);
+    chainEls.list.appendChild(step);
+  });
+
+  decryptEls.chainDisplay.textContent = keyChain.length
+    ? keyChain.map((perm, idx)=> `${labels[idx]}(${buildPatternString(perm)})`).join(' → ')
+    : '（暗号化タブで設定してください）';
+  renderChainInfo();
+}
+
+/**
+ * Explain what the chain amounts to as a single permutation
+ */
+function renderChainInfo(){
+  const info = chainEls.info;
+  info.innerHTML = '';
+  if(keyChain.length === 0) return;
+
+  const addLine = (text)=>{
+    const p = document.createElement('p');
+    p.textContent = text;
+    info.appendChild(p);
+    return p;
+  };
+
+  const def = CIPHER_MODES[encryptEls.mode.value];
+  if(def.whole){
+    addLine(`${def.label}は鍵ではなくレール数・行数などの設定で決まるため、鍵チェーンは使えません。鍵生成タブの「レールフェンス・経路暗号」で設定します。`);
+    return;
+  }
+  if(encryptEls.mode.value === 'columnar'){
+    addLine('縦列転置の各段はメッセージ全体の長さでグリッドが決まるため、チェーン全体を長さnの単一の鍵にまとめることはできません。合成結果はメッセージと同じ長さの並び替えになります。');
+    return;
+  }
+
+  const lengths = [...new Set(keyChain.map(perm=> perm.length))];
+  const combined = chainEquivalentPermutation(keyChain);
+  if(lengths.length === 1){
+    addLine(`すべての鍵の長さが${lengths[0]}なので、チェーン全体は次の単一の鍵と等価です：`);
+  }else{
+    const size = keyChain.reduce((acc, perm)=> lcm(acc, perm.length), 1);
+    addLine(`鍵の長さが異なる（${lengths.join(', ')}）ため、各段のブロック境界がずれます。並び替えは最小公倍数 ${size} 文字ごとに繰り返されるので、入力長が${size}の倍数であれば長さ${size}の単一の鍵と等価です。`);
+    if(!combined || combined.length > 64){
+      addLine(`（長さ${size}は鍵として扱える上限64を超えるため、合成鍵は表示しません）`);
+      return;
+    }
+  }
+  const code = document.createElement('code');
+  code.textContent = buildPatternString(combined);
+  info.appendChild(code);
+
+  const useBtn = document.createElement('button');
+  useBtn.className = 'btn ghost btn-sm';
+  useBtn.textContent = '合成鍵を現在の鍵にする';
+  useBtn.addEventListener('click', ()=>{
+    updateCurrentKey(combined);
+    keygenEls.length.value = String(combined.length);
+    showToast(`合成鍵を設定しました: ${buildPatternString(combined)}`, 'success');
+  });
+  info.appendChild(document.createElement('br'));
+  info.appendChild(useBtn);
+}
+
+/**
+ * Render the intermediate text after each round
+ * @param {HTMLOListElement} listEl - Target list
+ * @param {string[]} rounds - Output of each round
+ * @param {number[][]} chain - Keys in application order
+ * @param {HTMLElement} wrapEl - Wrapper to reveal
+ * @param {boolean} inverse - Rounds were run in reverse (decryption)
+ */
+function renderChainRounds(listEl, rounds, chain, wrapEl, inverse=false){
+  const labels = chainLabels(chain);
+  const order = chain.map((_, i)=> inverse ? chain.length - 1 - i : i);
+  listEl.innerHTML = '';
+  rounds.forEach((text, r)=>{
+    const idx = order[r];
+    const li = document.createElement('li');
+    const key = document.createElement('span');
+    key.className = 'round-key';
+    key.textContent = `${labels[idx]}${inverse ? '⁻¹' : ''} (${buildPatternString(inverse ? inversePermutation(chain[idx]) : chain[idx])}): `;
+    li.append(key, document.createTextNode(text));
+    listEl.appendChild(li);
+  });
+  wrapEl.hidden = false;
+}
+
+function renderChainSavedKeys(){
+  renderSaved(chainEls.savedKeys, ({name, pattern})=>{
+    const perm = parsePattern(pattern);
+    if(!perm) return;
+    keyChain.push(perm);
+    renderChainList();
+    showToast(`チェーンに追加: ${name}`, 'success');
+  }, ()=>{
+    renderKeyLibrary();
+    renderComposeSaved();
+  });
+}
+
+function renderChainSaved(){
+  renderSaved(chainEls.savedList, ({name, chain, padding})=>{
+    const perms = (chain || []).map(p=> parsePattern(p));
+    if(perms.length === 0 || perms.some(p=> !p || !validatePermutation(p).ok)){
+      showToast('チェーンの読込に失敗しました', 'danger');
+      return;
+    }
+    keyChain = perms;
+    chainEls.enable.checked = true;
+    applyPaddingSettings(padding);
+    renderChainList();
+    showToast(`読込: ${name}`, 'success');
+  }, null, CHAIN_STORAGE_KEY);
+}
+
+chainEls.addCurrent.addEventListener('click', ()=>{
+  if(!currentKey){
+    showToast('鍵生成タブで鍵を生成してください', 'danger');
+    return;
+  }
+  keyChain.push([...currentKey]);
+  renderChainList();
+  showToast(`チェーンに追加: ${buildPatternString(currentKey)}`, 'success');
+});
+
+chainEls.clear.addEventListener('click', ()=>{
+  keyChain = [];
+  renderChainList();
+});
+
+chainEls.saveBtn.addEventListener('click', ()=>{
+  const res = addSavedChain(chainEls.saveName.value.trim(), keyChain, readPaddingSettings());
+  if(!res.ok){ showToast(res.msg, 'danger'); return; }
+  renderChainSaved();
+  showToast('鍵チェーンを保存しました', 'success');
+});
+
+encryptEls.mode.addEventListener('change', renderChainInfo);
+
+renderChainList();
+renderChainSavedKeys();
+renderChainSaved();
+
+/* ============================================================================
+ * ANALYSIS TAB - Known-Plaintext Attack
+ * ============================================================================
+ * Features:
+ * - Recover every block length and key from a plaintext/ciphertext pair
+ * - Report ambiguous positions caused by repeated letters
+ * - Adopt the best key as the current key
+ * - Check a key recovered by hand
+ * ============================================================================ */
+
+const kpaEls = {
+  plain: $('#kpa-plain'),
+  cipher: $('#kpa-cipher'),
+  settings: $('#kpa-settings'),
+  run: $('#kpa-run'),
+  fromEncrypt: $('#kpa-from-encrypt'),
+  result: $('#kpa-result'),
+  tableBody: $('#kpa-table tbody'),
+  detailTitle: $('#kpa-detail-title'),
+  ambiguity: $('#kpa-ambiguity'),
+  keys: $('#kpa-keys'),
+  checkKey: $('#kpa-check-key'),
+  checkBtn: $('#kpa-check'),
+  checkResult: $('#kpa-check-result'),
+};
+
+function currentPadChar(){
+  return (encryptEls.padChar.value || '').slice(0,1) || '';
+}
+
+/**
+ * Padding, unit and short-block handling of the encryption tab, which the attack assumes
+ * @returns {{scheme: string, padChar: string, unit: string, partial: string}}
+ */
+function readKpaSettings(){
+  return {
+    scheme: encryptEls.padScheme.value,
+    padChar: currentPadChar(),
+    unit: encryptEls.unit.value,
+    partial: encryptEls.partial.value,
+  };
+}
+
+function renderKpaSettings(){
+  const {scheme, padChar, unit, partial} = readKpaSettings();
+  const pad = scheme === 'fixed' ? `固定文字「${padChar || 'なし'}」` : PAD_SCHEMES[scheme].label;
+  const short = partial === 'keep' ? '' : `・不足ブロックは${PARTIAL_BLOCK_MODES[partial].label}`;
+  kpaEls.settings.textContent = `${pad}・${UNIT_LABELS[unit]}${short}`;
+}
+
+/**
+ * Show ambiguous positions and every matching key for one block length
+ * @param {object} match - Entry returned by recoverKeysFromKnownPlaintext
+ */
+function renderKpaDetail(match){
+  kpaEls.detailTitle.textContent = `詳細（ブロック長 ${match.n}）`;
+  kpaEls.ambiguity.innerHTML = '';
+  const summary = document.createElement('p');
+  summary.textContent = match.ambiguous.length === 0
+    ? 'すべての位置の移動先が一意に決まります。'
+    : match.keys
+    ? `${match.ambiguous.length}個の位置で移動先を区別できません（候補の鍵を下に示します）。`
+    : `同じ文字が並ぶ列があるため、${match.ambiguous.length}個の位置で移動先を区別できません：`;
+  kpaEls.ambiguity.appendChild(summary);
+  if(match.blocks === 1){
+    const note = document.createElement('p');
+    note.textContent = match.keys
+      ? '※ 2ブロックに満たない暗号文窃取のため、先頭ブロックと末尾の並べ替え直しを再現して鍵を探しました。推定の根拠は弱くなります。'
+      : '※ ブロックが1つしかないため、推定の根拠は弱くなります。';
+    kpaEls.ambiguity.appendChild(note);
+  }
+  if(match.complete === false){
+    const note = document.createElement('p');
+    note.textContent = '※ 候補が多いため探索を打ち切りました。ほかにも当てはまる鍵があり得ます。';
+    kpaEls.ambiguity.appendChild(note);
+  }
+  match.groups.forEach(g=>{
+    const p = document.createElement('p');
+    p.textContent = `位置 ${g.positions.join(', ')}（各ブロックの文字「${g.column}」）→ 移動先の候補 ${g.targets.join(', ')}`;
+    kpaEls.ambiguity.appendChild(p);
+  });
+
+  const limit = 200;
+  const keys = match.keys?.slice(0, limit) ?? enumerateCandidateKeys(match.candidates, limit);
+  kpaEls.keys.innerHTML = '';
+  keys.forEach(k=>{
+    const li = document.createElement('li');
+    li.textContent = buildPatternString(k);
+    kpaEls.keys.appendChild(li);
+  });
+  if(match.keyCount > keys.length){
+    const li = document.createElement('li');
+    li.className = 'more';
+    li.textContent = `ほか ${(match.keyCount - keys.length).toLocaleString()} 件`;
+    kpaEls.keys.appendChild(li);
+  }
+}
+
+kpaEls.run.addEventListener('click', async ()=>{
+  const plain = kpaEls.plain.value;
+  const cipher = kpaEls.cipher.value;
+  if(!plain || !cipher){
+    showToast('平文と暗号文を入力してください', 'danger');
+    return;
+  }
+  const settings = readKpaSettings();
+  renderKpaSettings();
+  let matches;
+  try{
+    matches = await startJob('kpa', {plain, cipher, ...settings}).promise;
+  }catch(err){
+    showToast(`解析に失敗しました: ${err.message}`, 'danger');
+    return;
+  }
+  kpaEls.tableBody.innerHTML = '';
+  if(matches.length === 0){
+    kpaEls.result.hidden = true;
+    showToast('一致するブロック長・鍵が見つかりませんでした', 'danger');
+    return;
+  }
+
+  const rows = [];
+  matches.forEach((m, idx)=>{
+    const tr = document.createElement('tr');
+    const cells = [
+      String(m.n),
+      `${m.blocks}${m.padded ? '（パディングあり）' : ''}`,
+      m.keyCount.toLocaleString(),
+      m.ambiguous.length ? m.ambiguous.join(', ') : 'なし',
+    ];
+    cells.forEach(text=>{
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    const keyTd = document.createElement('td');
+    const code = document.createElement('code');
+    code.textContent = buildPatternString(m.best);
+    keyTd.appendChild(code);
+    const actTd = document.createElement('td');
+    const btn = document.createElement('button');
+    btn.className = 'btn ghost btn-sm';
+    btn.textContent = 'この鍵を使う';
+    btn.addEventListener('click', ()=>{
+      updateCurrentKey(m.best);
+      keygenEls.length.value = String(m.n);
+      showToast(`鍵を設定しました: ${buildPatternString(m.best)}`, 'success');
+    });
+    actTd.appendChild(btn);
+    tr.append(keyTd, actTd);
+    tr.addEventListener('click', ()=>{
+      rows.forEach(r=> r.classList.remove('selected'));
+      tr.classList.add('selected');
+      renderKpaDetail(m);
+    });
+    if(idx === 0) tr.classList.add('selected');
+    rows.push(tr);
+    kpaEls.tableBody.appendChild(tr);
+  });
+
+  const best = matches[0];
+  renderKpaDetail(best);
+  kpaEls.result.hidden = false;
+  updateCurrentKey(best.best);
+  keygenEls.length.value = String(best.n);
+  showToast(`${matches.length}通りのブロック長が一致。最有力の鍵 ${buildPatternString(best.best)} を設定しました`, 'success');
+});
+
+kpaEls.fromEncrypt.addEventListener('click', ()=>{
+  if(!encryptLast.cipher){
+    showToast('先に暗号化を実行してください', 'danger');
+    return;
+  }
+  kpaEls.plain.value = encryptLast.plain;
+  kpaEls.cipher.value = encryptLast.cipher;
+  renderKpaSettings();
+  const used = encryptLast.settings;
+  if(!used) return;
+  const now = readKpaSettings();
+  if(used.mode !== 'block' || used.chain.length > 1){
+    showToast('⚠ 既知平文攻撃はブロック転置・単一の鍵の暗号文だけが対象です', 'danger');
+  }else if(['scheme', 'padChar', 'unit', 'partial'].some(k => used[k] !== now[k])){
+    showToast('⚠ 暗号化した後で暗号化タブのパディング・文字の単位・不足ブロックの扱いが変わっています。元の設定に戻してから復元してください', 'danger');
+  }
+});
+
+kpaEls.checkBtn.addEventListener('click', ()=>{
+  const perm = parsePattern(kpaEls.checkKey.value);
+  const v = validatePermutation(perm);
+  if(!perm || !v.ok){
+    kpaEls.checkResult.textContent = `✕ ${perm ? v.msg : 'パターン形式が不正です（例: 3-1-4-2）'}`;
+    return;
+  }
+  const {padChar, ...options} = readKpaSettings();
+  const fits = keyFitsKnownPlaintext(kpaEls.plain.value, kpaEls.cipher.value, perm, padChar, options);
+  kpaEls.checkResult.textContent = fits
+    ? '✓ この鍵で平文が暗号文に一致します'
+    : '✕ この鍵では暗号文と一致しません';
+});
+
+[encryptEls.padScheme, encryptEls.padChar, encryptEls.unit, encryptEls.partial].forEach(el=>{
+  el.addEventListener('change', renderKpaSettings);
+});
+renderKpaSettings();
+
+/* ============================================================================
+ * ANALYSIS TAB - Block-Length Detection
+ * ============================================================================
+ * - Rank block lengths for a ciphertext and chart the score of every n
+ * - Hand a chosen n to the ciphertext-only attack
+ * ============================================================================ */
+
+const detectEls = {
+  cipher: $('#detect-cipher'),
+  max: $('#detect-max'),
+  run: $('#detect-run'),
+  fromEncrypt: $('#detect-from-encrypt'),
+  result: $('#detect-result'),
+  chart: $('#detect-chart'),
+  tableBody: $('#detect-table tbody'),
+};
+
+/**
+ * Describe the clues behind one block length in words
+ * @param {object} row - Entry returned by detectBlockLengths
+ * @returns {string}
+ */
+function describeDetectClues(row){
+  const clues = [];
+  if(row.divides) clues.push('長さの約数');
+  if(row.padFits) clues.push(`末尾にパディング${row.padCount}個`);
+  clues.push(`母音 z=${row.vowelZ.toFixed(1)}`);
+  clues.push(`接触 z=${row.contactZ.toFixed(1)}`);
+  return clues.join(' / ');
+}
+
+/**
+ * Pass a block length to the ciphertext-only attack card
+ * @param {number} n - Block length
+ */
+function useDetectedLength(n){
+  coaEls.cipher.value = detectEls.cipher.value;
+  coaEls.min.value = String(n);
+  coaEls.max.value = String(n);
+  coaEls.divisors.checked = splitUnits(detectEls.cipher.value, encryptEls.unit.value).length % n === 0;
+  coaEls.cipher.scrollIntoView({behavior:'smooth', block:'center'});
+  showToast(`ブロック長 ${n} を暗号文単独攻撃に設定しました`, 'success');
+}
+
+/**
+ * Draw one bar per block length, highlighting the top three
+ * @param {Array} rows - Result of detectBlockLengths
+ */
+function renderDetectChart(rows){
+  detectEls.chart.innerHTML = '';
+  const maxScore = Math.max(...rows.map(r => r.score), 1e-9);
+  const topNs = rows.slice(0, 3).map(r => r.n);
+  [...rows].sort((a, b) => a.n - b.n).forEach(r=>{
+    const bar = document.createElement('div');
+    bar.className = 'bar' + (topNs.includes(r.n) ? ' top' : '');
+    bar.title = `n=${r.n} スコア ${r.score.toFixed(2)}（${describeDetectClues(r)}）`;
+    const fill = document.createElement('div');
+    fill.className = 'bar-fill';
+    fill.style.height = `${Math.max(0, r.score) / maxScore * 85}%`;
+    const label = document.createElement('span');
+    label.className = 'bar-label';
+    label.textContent = String(r.n);
+    bar.append(fill, label);
+    bar.addEventListener('click', ()=> useDetectedLength(r.n));
+    detectEls.chart.appendChild(bar);
+  });
+}
+
+detectEls.run.addEventListener('click', async ()=>{
+  const cipher = detectEls.cipher.value;
+  // Count and pad like the encryption tab
+  const unit = encryptEls.unit.value;
+  if(splitUnits(cipher, unit).length < 4){
+    showToast('暗号文を4文字以上入力してください', 'danger');
+    return;
+  }
+  const maxN = Math.min(64, Math.max(2, parseInt(detectEls.max.value, 10) || 24));
+  let rows;
+  try{
+    rows = await startJob('detect', {cipher, padChar: currentPadChar(), maxN, scheme: encryptEls.padScheme.value, unit}).promise;
+  }catch(err){
+    showToast(`解析に失敗しました: ${err.message}`, 'danger');
     return;
   }
-
-  // Validate permutation
-  const v = validatePermutation(perm);
-  if(!v.ok){
-    showInlineError('#keygen-manual-error', v.msg);
-    showToast(v.msg, 'danger');
+  if(rows.length === 0){
+    showToast('暗号文が短すぎて推定できません', 'danger');
     return;
   }
 
-  showInlineError('#keygen-manual-error', '');
-  updateCurrentKey(perm);
-  showToast(`✓ 有効な鍵です（長さ: ${perm.length}）`, 'success');
+  renderDetectChart(rows);
+  detectEls.tableBody.innerHTML = '';
+  rows.slice(0, 5).forEach((r, idx)=>{
+    const tr = document.createElement('tr');
+    [String(idx+1), String(r.n), r.score.toFixed(2), describeDetectClues(r)].forEach(text=>{
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    const actTd = document.createElement('td');
+    const btn = document.createElement('button');
+    btn.className = 'btn ghost btn-sm';
+    btn.textContent = 'この長さで攻撃';
+    btn.addEventListener('click', ()=> useDetectedLength(r.n));
+    actTd.appendChild(btn);
+    tr.appendChild(actTd);
+    detectEls.tableBody.appendChild(tr);
+  });
+  detectEls.result.hidden = false;
+  showToast(`最有力のブロック長: ${rows[0].n}`, 'success');
 });
 
-// Visual editor
-keygenEls.visualBtn.addEventListener('click', ()=>{
-  const n = Math.max(2, Math.min(64, parseInt(keygenEls.length.value,10) || 4));
-  keygenEls.length.value = String(n);
-  const initial = currentKey && currentKey.length===n ? buildPatternString(currentKey) : '';
-  openDragEditor(keygenEls.dragList, keygenEls.dragWrap, initial, n);
+detectEls.fromEncrypt.addEventListener('click', ()=>{
+  if(!encryptLast.cipher){
+    showToast('先に暗号化を実行してください', 'danger');
+    return;
+  }
+  detectEls.cipher.value = encryptLast.cipher;
 });
 
-keygenEls.visualApplyBtn.addEventListener('click', ()=>{
-  const pattern = readDragPattern(keygenEls.dragList);
-  const v = validatePermutation(pattern);
-  if(!v.ok){
-    showToast(v.msg, 'danger');
+$('#decrypt-detect').addEventListener('click', ()=>{
+  if(!decryptEls.input.value){
+    showToast('暗号文を入力してください', 'danger');
     return;
   }
-  updateCurrentKey(pattern);
-  showToast('ビジュアル編集の鍵を設定しました', 'success');
+  detectEls.cipher.value = decryptInputText();
+  $('[data-tab="analysis"]').click();
+  detectEls.run.click();
+  detectEls.cipher.scrollIntoView({behavior:'smooth', block:'center'});
 });
 
-// Copy key
-keygenEls.copyBtn.addEventListener('click', async ()=>{
-  if(!currentKey) return;
+/* ============================================================================
+ * ANALYSIS TAB - Ciphertext-Only Attack
+ * ============================================================================
+ * - Score candidate decryptions with English n-grams
+ * - Run the search in small slices so the page stays responsive
+ * - Adopt any of the top candidates as the current key
+ * ============================================================================ */
+
+const COA_EXHAUSTIVE_MAX = 8;  // 8! = 40320 keys per block length
+
+const coaEls = {
+  cipher: $('#coa-cipher'),
+  min: $('#coa-min'),
+  max: $('#coa-max'),
+  divisors: $('#coa-divisors'),
+  topK: $('#coa-topk'),
+  exhaustiveMax: $('#coa-exhaustive-max'),
+  run: $('#coa-run'),
+  cancel: $('#coa-cancel'),
+  fromEncrypt: $('#coa-from-encrypt'),
+  progressRow: $('#coa-progress-row'),
+  progress: $('#coa-progress'),
+  status: $('#coa-status'),
+  result: $('#coa-result'),
+  tableBody: $('#coa-table tbody'),
+};
+let coaJob = null;
+
+coaEls.exhaustiveMax.textContent = String(COA_EXHAUSTIVE_MAX);
+
+/**
+ * Render the top-k candidates with an adopt button each
+ * @param {Array} top - Result of searchCiphertextOnly
+ */
+function renderCoaResults(top){
+  coaEls.tableBody.innerHTML = '';
+  top.forEach((c, idx)=>{
+    const tr = document.createElement('tr');
+    [String(idx+1), String(c.n), c.score.toFixed(1)].forEach(text=>{
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    const keyTd = document.createElement('td');
+    const code = document.createElement('code');
+    code.textContent = buildPatternString(c.key);
+    keyTd.appendChild(code);
+    const plainTd = document.createElement('td');
+    plainTd.className = 'plain-preview';
+    plainTd.textContent = c.plaintext.length > 80 ? c.plaintext.slice(0, 80) + '…' : c.plaintext;
+    const actTd = document.createElement('td');
+    const btn = document.createElement('button');
+    btn.className = 'btn ghost btn-sm';
+    btn.textContent = 'この鍵を使う';
+    btn.addEventListener('click', ()=>{
+      updateCurrentKey(c.key);
+      keygenEls.length.value = String(c.n);
+      showToast(`鍵を設定しました: ${buildPatternString(c.key)}`, 'success');
+    });
+    actTd.appendChild(btn);
+    tr.append(keyTd, plainTd, actTd);
+    coaEls.tableBody.appendChild(tr);
+  });
+  coaEls.result.hidden = top.length === 0;
+}
+
+coaEls.run.addEventListener('click', async ()=>{
+  const cipher = coaEls.cipher.value;
+  if(!cipher){
+    showToast('暗号文を入力してください', 'danger');
+    return;
+  }
+  // Split and unpad like the decryption tab: the encryption tab's unit and scheme
+  const unit = encryptEls.unit.value;
+  const length = splitUnits(cipher, unit).length;
+  const min = Math.max(2, parseInt(coaEls.min.value, 10) || 2);
+  const max = Math.min(64, parseInt(coaEls.max.value, 10) || 12);
+  const lengths = [];
+  for(let n=min; n<=Math.min(max, length); n++){
+    if(!coaEls.divisors.checked || length % n === 0) lengths.push(n);
+  }
+  if(lengths.length === 0){
+    showToast('条件に合うブロック長がありません', 'danger');
+    return;
+  }
+
+  coaEls.run.disabled = true;
+  coaEls.cancel.disabled = false;
+  coaEls.progressRow.hidden = false;
+  coaEls.progress.value = 0;
+  coaEls.status.textContent = `ブロック長 ${lengths.join(', ')} を探索中…`;
+
+  const job = startJob('coa', {
+    cipher,
+    options: {
+      lengths,
+      topK: Math.min(50, Math.max(1, parseInt(coaEls.topK.value, 10) || 10)),
+      padChar: currentPadChar(),
+      scheme: encryptEls.padScheme.value,
+      unit,
+      partial: encryptEls.partial.value,
+      exhaustiveMax: COA_EXHAUSTIVE_MAX,
+    },
+  }, (p)=>{ coaEls.progress.value = p; });
+  coaJob = job;
+  let top = [];
   try{
-    await navigator.clipboard.writeText(buildPatternString(currentKey));
-    showToast('鍵をコピーしました', 'success');
-  }catch{
-    showToast('コピー失敗', 'danger');
+    top = await job.promise;
+  }catch(err){
+    showToast(`解析に失敗しました: ${err.message}`, 'danger');
   }
-});
 
-// Save key
-keygenEls.saveBtn.addEventListener('click', ()=>{
-  if(!currentKey){
-    showToast('先に鍵を生成してください', 'danger');
-    return;
+  coaJob = null;
+  coaEls.run.disabled = false;
+  coaEls.cancel.disabled = true;
+  coaEls.status.textContent = job.cancelled ? '中止しました（途中までの結果を表示）' : '完了';
+  renderCoaResults(top);
+  if(top.length && !job.cancelled){
+    showToast(`最有力: ブロック長 ${top[0].n}、鍵 ${buildPatternString(top[0].key)}`, 'success');
   }
-  const name = keygenEls.saveName.value.trim();
-  const res = addSaved(name, buildPatternString(currentKey));
-  if(!res.ok){ showToast(res.msg, 'danger'); return; }
-  renderSaved(keygenEls.savedList, ({pattern})=>{
-    const perm = parsePattern(pattern);
-    if(perm){
-      updateCurrentKey(perm);
-      keygenEls.length.value = String(perm.length);
-      showToast(`読込: ${pattern}`, 'success');
-    }
-  });
-  showToast('鍵を保存しました', 'success');
 });
 
-// Load saved keys
-renderSaved(keygenEls.savedList, ({pattern})=>{
-  const perm = parsePattern(pattern);
-  if(perm){
-    updateCurrentKey(perm);
-    keygenEls.length.value = String(perm.length);
-    showToast(`読込: ${pattern}`, 'success');
+coaEls.cancel.addEventListener('click', ()=>{
+  if(coaJob) coaJob.cancel();
+});
+
+coaEls.fromEncrypt.addEventListener('click', ()=>{
+  if(!encryptLast.cipher){
+    showToast('先に暗号化を実行してください', 'danger');
+    return;
   }
+  coaEls.cipher.value = encryptLast.cipher;
 });
 
 /* ============================================================================
- * ENCRYPTION TAB
+ * ANALYSIS TAB - Text Statistics
  * ============================================================================
- * Features:
- * - Block-wise permutation encryption
- * - Example text presets
- * - Padding configuration (enable/disable, custom character)
- * - Block navigation for multi-block analysis
- * - Mapping table (plaintext → ciphertext)
- * - Animation demo for educational purposes
- * - Send to decryption tab workflow
+ * - Letter histogram, index of coincidence and bigram heatmap of two texts
+ * - Plaintext against ciphertext: the same letters, different bigrams
  * ============================================================================ */
 
-const encryptEls = {
-  input: $('#encrypt-input'),
-  presetToggle: $('#encrypt-preset-toggle'),
-  presetList: $('#encrypt-preset-list'),
-  presetItems: $$('.preset-item'),
-  padChar: $('#encrypt-pad-char'),
-  padEnable: $('#encrypt-pad-enable'),
-  run: $('#encrypt-run'),
-  animate: $('#encrypt-animate'),
-  output: $('#encrypt-output'),
-  copy: $('#encrypt-copy'),
-  toDecrypt: $('#encrypt-to-decrypt'),
-  mapBody: $('#encrypt-map tbody'),
-  blockPrev: $('#encrypt-block-prev'),
-  blockNext: $('#encrypt-block-next'),
-  blockIndicator: $('#encrypt-block-indicator'),
+const STATS_SAMPLE = 'THE LETTERS OF A MESSAGE KEEP THEIR FREQUENCIES WHEN THEY ARE ONLY MOVED AROUND. '
+  + 'THAT IS WHY AN ANALYST WHO SEES THE USUAL SHARE OF E, T AND A IN A CIPHERTEXT THINKS OF A TRANSPOSITION '
+  + 'AND TRIES TO PUT THE PAIRS THAT BELONG TOGETHER BACK INTO THEIR PLACES.';
+
+const statsEls = {
+  a: $('#stats-a'),
+  b: $('#stats-b'),
+  run: $('#stats-run'),
+  fromEncrypt: $('#stats-from-encrypt'),
+  fromDecrypt: $('#stats-from-decrypt'),
+  sample: $('#stats-sample'),
+  result: $('#stats-result'),
+  summary: $('#stats-summary'),
+  sideA: $('#stats-side-a'),
+  sideB: $('#stats-side-b'),
+  bigramWrap: $('#stats-bigram-wrap'),
+  bigramBody: $('#stats-bigram-table tbody'),
 };
 
-let encryptBlocks = { input: [], output: [] };
-let encryptCurrentBlock = 0;
+const formatPercent = x => `${(x * 100).toFixed(1)}%`;
 
-// Preset toggle
-if(encryptEls.presetToggle && encryptEls.presetList){
-  encryptEls.presetToggle.addEventListener('click', ()=>{
-    const isHidden = encryptEls.presetList.style.display === 'none';
-    encryptEls.presetList.style.display = isHidden ? 'block' : 'none';
-    encryptEls.presetToggle.textContent = isHidden ? '✕ 閉じる' : '📝 例文を選択';
+/**
+ * Bars for A-Z, scaled so both texts share one axis
+ * @param {object} stats - Result of textStatistics
+ * @param {number} maxShare - Largest relative frequency on the axis
+ * @returns {HTMLElement}
+ */
+function createFrequencyChart(stats, maxShare){
+  const chart = document.createElement('div');
+  chart.className = 'bar-chart freq-chart';
+  chart.setAttribute('role', 'img');
+  chart.setAttribute('aria-label', 'Letter frequencies');
+  [...ALPHABET].forEach((letter, i)=>{
+    const share = stats.letters ? stats.counts[i] / stats.letters : 0;
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.title = `${letter}: ${stats.counts[i]}回（${formatPercent(share)}）`;
+    const fill = document.createElement('div');
+    fill.className = 'bar-fill';
+    fill.style.height = `${share / maxShare * 85}%`;
+    const label = document.createElement('span');
+    label.className = 'bar-label';
+    label.textContent = letter;
+    bar.append(fill, label);
+    chart.appendChild(bar);
   });
+  return chart;
 }
 
-// Preset selection
-if(encryptEls.presetItems){
-  encryptEls.presetItems.forEach(item=>{
-    item.addEventListener('click', ()=>{
-      if(!encryptEls.input) return;
-      encryptEls.input.value = item.dataset.text || '';
-      if(encryptEls.presetList) encryptEls.presetList.style.display = 'none';
-      if(encryptEls.presetToggle) encryptEls.presetToggle.textContent = '📝 例文を選択';
-      showToast('例文を設定しました', 'success');
+/**
+ * 26 x 26 grid: row = first letter, column = second letter
+ * @param {object} stats - Result of textStatistics
+ * @param {number} maxShare - Largest relative bigram frequency on the scale
+ * @returns {HTMLElement}
+ */
+function createBigramHeatmap(stats, maxShare){
+  const grid = document.createElement('div');
+  grid.className = 'bigram-heatmap';
+  grid.setAttribute('role', 'img');
+  grid.setAttribute('aria-label', 'Bigram heatmap');
+  const addHeader = (text)=>{
+    const cell = document.createElement('span');
+    cell.className = 'heat-label';
+    cell.textContent = text;
+    grid.appendChild(cell);
+  };
+  addHeader('');
+  [...ALPHABET].forEach(addHeader);
+  [...ALPHABET].forEach((first, i)=>{
+    addHeader(first);
+    [...ALPHABET].forEach((second, j)=>{
+      const count = stats.bigrams[i * 26 + j];
+      const cell = document.createElement('span');
+      cell.className = 'heat-cell';
+      if(count){
+        const share = count / stats.bigramTotal;
+        // Square root keeps rare bigrams visible next to TH and HE
+        cell.style.background = `rgba(14, 165, 233, ${Math.sqrt(share / maxShare).toFixed(3)})`;
+        cell.title = `${first}${second}: ${count}回`;
+      }
+      grid.appendChild(cell);
     });
   });
+  return grid;
 }
 
-function updateEncryptBlockNav(){
-  const totalBlocks = encryptBlocks.input.length;
-  encryptEls.blockIndicator.textContent = totalBlocks > 0 ? `ブロック ${encryptCurrentBlock + 1} / ${totalBlocks}` : 'ブロック 1';
-  encryptEls.blockPrev.disabled = encryptCurrentBlock <= 0;
-  encryptEls.blockNext.disabled = encryptCurrentBlock >= totalBlocks - 1 || totalBlocks === 0;
+/**
+ * Fill one column of the statistics card
+ * @param {HTMLElement} container
+ * @param {string} title
+ * @param {object} stats - Result of textStatistics
+ * @param {{letter: number, bigram: number}} scale - Shared maxima of both texts
+ */
+function renderStatsSide(container, title, stats, scale){
+  container.innerHTML = '';
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  const list = document.createElement('dl');
+  list.className = 'algebra-list';
+  [
+    ['英字', `${stats.letters} 文字` + (stats.others ? `（英字以外 ${stats.others} 文字は数えません）` : '')],
+    ['一致指数', `${stats.ioc.toFixed(4)}（英語 ≈ ${ENGLISH_IOC}、ランダム ≈ ${RANDOM_IOC.toFixed(4)}）`],
+  ].forEach(([term, desc])=>{
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = desc;
+    list.append(dt, dd);
+  });
+  const bigramHeading = document.createElement('h4');
+  bigramHeading.textContent = 'バイグラム（行 = 1文字目、列 = 2文字目）';
+  container.append(heading, list, createFrequencyChart(stats, scale.letter),
+    bigramHeading, createBigramHeatmap(stats, scale.bigram));
+}
 
-  if(totalBlocks > 0){
-    const blockIn = encryptBlocks.input[encryptCurrentBlock] || '';
-    const blockOut = encryptBlocks.output[encryptCurrentBlock] || '';
-    renderMapTable(encryptEls.mapBody, blockIn, blockOut, 'forward');
+/**
+ * Compare A and B in words
+ * @param {object} b - textStatistics of B
+ * @param {object} cmp - Result of compareTextStatistics
+ * @returns {string}
+ */
+function describeStatsComparison(b, cmp){
+  const parts = [
+    `文字の頻度の重なり ${formatPercent(cmp.letterOverlap)}、バイグラムの重なり ${formatPercent(cmp.bigramOverlap)}。`,
+  ];
+  if(cmp.sameLetters){
+    parts.push('文字の出現回数はすべて同じで、一致指数も変わりません。文字を並べ替えただけの転置式暗号の特徴です。');
+  }else{
+    const diffs = cmp.letterDifferences.slice(0, 6).map(d => `${d.letter}（${d.a} → ${d.b}）`).join('、');
+    parts.push(`出現回数が違う文字: ${diffs}${cmp.letterDifferences.length > 6 ? ' ほか' : ''}。パディングや前処理で増減した文字がないか確認してください。`);
   }
+  if(b.bigramTotal && cmp.bigramOverlap < 0.8){
+    parts.push('バイグラムは大きく崩れています。よく現れる組が暗号文でどう変わったかを下の表で確かめてください。');
+  }
+  return parts.join('');
 }
 
-encryptEls.blockPrev.addEventListener('click', ()=>{
-  if(encryptCurrentBlock > 0){
-    encryptCurrentBlock--;
-    updateEncryptBlockNav();
+statsEls.run.addEventListener('click', ()=>{
+  const a = textStatistics(statsEls.a.value);
+  if(a.letters < 2){
+    showToast('テキスト A に英字を2文字以上入力してください', 'danger');
+    return;
   }
-});
+  const hasB = statsEls.b.value.trim() !== '';
+  const b = hasB ? textStatistics(statsEls.b.value) : null;
+  const shares = (stats, key, total) => stats ? stats[key].map(c => c / Math.max(1, stats[total])) : [];
+  const scale = {
+    letter: Math.max(...shares(a, 'counts', 'letters'), ...shares(b, 'counts', 'letters'), 1e-9),
+    bigram: Math.max(...shares(a, 'bigrams', 'bigramTotal'), ...shares(b, 'bigrams', 'bigramTotal'), 1e-9),
+  };
 
-encryptEls.blockNext.addEventListener('click', ()=>{
-  if(encryptCurrentBlock < encryptBlocks.input.length - 1){
-    encryptCurrentBlock++;
-    updateEncryptBlockNav();
+  renderStatsSide(statsEls.sideA, 'テキスト A', a, scale);
+  statsEls.sideB.hidden = !hasB;
+  statsEls.bigramWrap.hidden = !hasB;
+  statsEls.bigramBody.innerHTML = '';
+  if(hasB){
+    renderStatsSide(statsEls.sideB, 'テキスト B', b, scale);
+    const cmp = compareTextStatistics(a, b);
+    statsEls.summary.textContent = describeStatsComparison(b, cmp);
+    cmp.topBigrams.forEach(row=>{
+      const tr = document.createElement('tr');
+      [row.bigram, String(row.a), String(row.b)].forEach(text=>{
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      statsEls.bigramBody.appendChild(tr);
+    });
+  }else{
+    statsEls.summary.textContent = `一致指数 ${a.ioc.toFixed(4)}。英語の文章なら約 ${ENGLISH_IOC}、文字がランダムなら約 ${RANDOM_IOC.toFixed(4)} になります。テキスト B を入れると比較できます。`;
   }
+  statsEls.result.hidden = false;
 });
 
-encryptEls.run.addEventListener('click', ()=>{
-  if(!currentKey){
-    showToast('鍵生成タブで鍵を生成してください', 'danger');
+/**
+ * Fill the statistics card, switch to it and show the result
+ * @param {string} a
+ * @param {string} b
+ */
+function showTextStatistics(a, b){
+  statsEls.a.value = a;
+  statsEls.b.value = b;
+  showTab('analysis');
+  statsEls.run.click();
+  statsEls.a.scrollIntoView({behavior:'smooth', block:'center'});
+}
+
+statsEls.fromEncrypt.addEventListener('click', ()=>{
+  if(!encryptLast.cipher){
+    showToast('先に暗号化を実行してください', 'danger');
     return;
   }
-  const padChar = (encryptEls.padChar.value || '').slice(0,1) || '';
-  const padEnable = encryptEls.padEnable.checked;
-  const input = encryptEls.input.value;
-  const output = applyPermutation(input, currentKey, padChar, padEnable);
-  encryptEls.output.value = output;
-
-  // Store blocks for navigation
-  const n = currentKey.length;
-  encryptBlocks.input = chunkBy(input, n);
-  encryptBlocks.output = chunkBy(output, n);
-  encryptCurrentBlock = 0;
-
-  updateEncryptBlockNav();
-  showToast('暗号化を実行しました', 'success');
+  statsEls.a.value = encryptLast.plain;
+  statsEls.b.value = encryptLast.cipher;
 });
 
-encryptEls.copy.addEventListener('click', async ()=>{
-  try{
-    await navigator.clipboard.writeText(encryptEls.output.value || '');
-    showToast('暗号文をコピーしました', 'success');
-  }catch{
-    showToast('コピー失敗', 'danger');
+statsEls.fromDecrypt.addEventListener('click', ()=>{
+  if(!decryptEls.output.value){
+    showToast('先に復号を実行してください', 'danger');
+    return;
   }
+  statsEls.a.value = decryptEls.output.value;
+  statsEls.b.value = decryptInputText();
 });
 
-encryptEls.toDecrypt.addEventListener('click', ()=>{
-  const ciphertext = encryptEls.output.value;
-  if(!ciphertext){
+// A sample sentence and its encryption under a fresh 8-letter key (no
+// padding, so the letter counts match exactly)
+statsEls.sample.addEventListener('click', ()=>{
+  statsEls.a.value = STATS_SAMPLE;
+  statsEls.b.value = applyPermutation(STATS_SAMPLE, generateRandomPermutation(8), '', false);
+  statsEls.run.click();
+});
+
+$('#encrypt-stats').addEventListener('click', ()=>{
+  if(!encryptLast.cipher){
     showToast('先に暗号化を実行してください', 'danger');
     return;
   }
-  $('#decrypt-input').value = ciphertext;
-  // Switch to decrypt tab
-  $$('.tab').forEach(b=> b.classList.remove('active'));
-  $$('.panel').forEach(p=> p.classList.remove('active'));
-  $('[data-tab="decrypt"]').classList.add('active');
-  $('#panel-decrypt').classList.add('active');
-  showToast('暗号文を復号タブに送りました', 'success');
+  showTextStatistics(encryptLast.plain, encryptLast.cipher);
 });
 
-encryptEls.animate.addEventListener('click', ()=>{
-  if(!currentKey){
-    showToast('鍵生成タブで鍵を生成してください', 'danger');
-    return;
-  }
-  const n = currentKey.length;
-  const src = encryptEls.input.value || 'ENIGMA IS FUN';
-  encryptEls.input.value = src;
-  const first = src.slice(0,n);
-  if(first.length < n){
-    showToast('デモ用にブロック長以上の文字を入れてください', 'danger');
+$('#decrypt-stats').addEventListener('click', ()=>{
+  if(!decryptEls.output.value){
+    showToast('先に復号を実行してください', 'danger');
     return;
   }
-  const padChar = (encryptEls.padChar.value || '').slice(0,1) || '';
-  const padEnable = encryptEls.padEnable.checked;
-  const output = applyPermutation(src, currentKey, padChar, padEnable);
-  encryptEls.output.value = output;
+  showTextStatistics(decryptEls.output.value, decryptInputText());
+});
 
-  // Animate table
-  const tbody = encryptEls.mapBody;
-  tbody.innerHTML = '';
-  for(let i=0;i<n;i++){
-    const tr = document.createElement('tr');
-    const td1 = document.createElement('td');
-    td1.textContent = String(i+1);
-    const td2 = document.createElement('td');
-    td2.textContent = first[i] || '';
-    const td3 = document.createElement('td');
-    td3.textContent = '';
-    tr.append(td1, td2, td3);
-    tbody.appendChild(tr);
-  }
-  let k = 0;
-  const timer = setInterval(()=>{
-    if(k>=n){
-      clearInterval(timer);
-      renderMapTable(tbody, first, output.slice(0,n),'forward');
-      return;
-    }
-    const to = currentKey[k]-1;
-    const row = tbody.children[k];
-    if(row){
-      row.cells[2].textContent = output[to];
-      row.style.background = '#e0f2fe';
-      setTimeout(()=> row.style.background='', 260);
-    }
-    k++;
-  }, 220);
+$('#study-stats').addEventListener('click', ()=>{
+  showTab('analysis');
+  statsEls.sample.click();
+  statsEls.a.scrollIntoView({behavior:'smooth', block:'center'});
 });
 
 /* ============================================================================
- * DECRYPTION TAB
- * ============================================================================
- * Features:
- * - Automatic inverse permutation calculation
- * - Padding trim (optional)
- * - Mapping table (ciphertext → plaintext)
+ * Shared Links (URL fragment)
  * ============================================================================ */
+const shareEls = {
+  answer: $('#share-answer'),
+  create: $('#share-create'),
+  url: $('#share-url'),
+};
 
-const decryptEls = {
-  input: $('#decrypt-input'),
-  padChar: $('#decrypt-pad-char'),
-  padTrim: $('#decrypt-pad-trim'),
-  run: $('#decrypt-run'),
-  output: $('#decrypt-output'),
-  copy: $('#decrypt-copy'),
-  mapBody: $('#decrypt-map tbody'),
+const exerciseEls = {
+  banner: $('#exercise-banner'),
+  reveal: $('#exercise-reveal'),
+  close: $('#exercise-close'),
+  answer: $('#exercise-answer'),
+  answerKey: $('#exercise-answer-key'),
+  answerKeyword: $('#exercise-answer-keyword'),
+  answerText: $('#exercise-answer-text'),
+  useKey: $('#exercise-use-key'),
 };
 
-decryptEls.run.addEventListener('click', ()=>{
-  if(!currentKey){
-    showToast('鍵生成タブで鍵を生成してください', 'danger');
+let exercise = null;   // Open exercise: {envelope, answer} (see parseShareFragment)
+
+/**
+ * Fragment for the chosen kind of link
+ * An exercise encrypts the current input first, so the link matches it.
+ * @param {string} kind - 'settings' | 'text' | 'exercise'
+ * @returns {Promise<{ok: true, fragment: string}|{ok: false, msg: string}|null>}
+ *   null if encryption did not run (it shows its own message)
+ */
+async function createShareLink(kind){
+  if(kind === 'exercise'){
+    await runEncrypt();
+    if(!encryptLast.settings) return null;
+    const {chain, params} = encryptLast.settings;
+    // No key fingerprint: short keys can be found from it
+    const env = createEnvelope(encryptEls.output.value, {...encryptLast.settings, removed: encryptLast.removed});
+    const answer = shareEls.answer.checked
+      ? {chain, keyword: !params && chain.length === 1 ? currentKeyword : null, params, text: encryptEls.input.value}
+      : null;
+    return createExerciseFragment(env, answer);
+  }
+  const mode = encryptEls.mode.value;
+  if(CIPHER_MODES[mode].whole){
+    const modeParams = readModeParams(mode);
+    if(!modeParams.ok) return modeParams;
+    return createShareFragment({
+      chain: [null],
+      mode,
+      params: modeParams.params,
+      unit: encryptEls.unit.value,
+      padding: readPaddingSettings(),
+      text: kind === 'text' ? encryptEls.input.value : '',
+    });
+  }
+  const useChain = chainEls.enable.checked && keyChain.length > 0;
+  if(!useChain && !currentKey) return {ok:false, msg:'鍵生成タブで鍵を生成してください'};
+  return createShareFragment({
+    chain: useChain ? keyChain : [currentKey],
+    keyword: useChain ? null : currentKeyword,
+    mode,
+    unit: encryptEls.unit.value,
+    padding: readPaddingSettings(),
+    text: kind === 'text' ? encryptEls.input.value : '',
+  });
+}
+
+shareEls.create.addEventListener('click', async ()=>{
+  const kind = $('input[name="share-kind"]:checked').value;
+  const res = await createShareLink(kind);
+  if(!res) return;
+  if(!res.ok){
+    showToast(`⚠ ${res.msg}`, 'danger');
     return;
   }
-  const inv = inversePermutation(currentKey);
-  const input = decryptEls.input.value;
-  const out = applyPermutation(input, inv, '', false);
-  const result = decryptEls.padTrim.checked ? trimRightPad(out, decryptEls.padChar.value.slice(0,1)||'') : out;
-  decryptEls.output.value = result;
+  shareEls.url.value = location.href.split('#')[0] + res.fragment;
+  try{
+    await navigator.clipboard.writeText(shareEls.url.value);
+    showToast(kind === 'exercise' ? '演習リンクをコピーしました' : '共有リンクをコピーしました', 'success');
+  }catch{
+    shareEls.url.select();
+    showToast('コピー失敗（表示されたリンクをコピーしてください）', 'danger');
+  }
+});
+
+/**
+ * Open the encrypt or decrypt tab
+ * @param {string} tab - data-tab of the tab button
+ */
+function showTab(tab){
+  $(`.tab[data-tab="${tab}"]`).click();
+}
+
+/**
+ * Set the key, chain and settings of a shared link
+ * @param {Object} state - kind 'settings' from parseShareFragment
+ */
+function applySharedSettings(state){
+  applyPaddingSettings(state.padding);
+  encryptEls.mode.value = decryptEls.mode.value = state.mode;
+  encryptEls.unit.value = decryptEls.unit.value = state.unit;
+  if(state.params){
+    // The rail fence / route settings take the place of the key
+    applyModeParams(state.mode, state.params);
+  }else{
+    updateCurrentKey(state.chain[0], state.keyword);
+    keygenEls.length.value = String(state.chain[0].length);
+  }
+  keyChain = state.chain.length > 1 ? state.chain : [];
+  chainEls.enable.checked = decryptEls.chainEnable.checked = state.chain.length > 1;
+  renderChainList();
+  encryptEls.input.value = state.text;
+  if(state.text){
+    showTab('encrypt');
+    runEncrypt();
+  }
+  showToast(state.text ? '共有された鍵と平文を読み込みました' : '共有された鍵と設定を読み込みました', 'success');
+}
 
-  // Map table for first block preview
-  const n = currentKey.length;
-  const firstIn = input.slice(0,n);
-  const firstOut = result.slice(0,n);
-  renderMapTable(decryptEls.mapBody, firstOut, firstIn, 'reverse');
+/**
+ * Open an exercise: the ciphertext goes to the decryption tab, the key stays hidden
+ * @param {Object} state - kind 'exercise' from parseShareFragment
+ */
+function startExercise(state){
+  if(!importDecryptEnvelope(JSON.stringify(state.envelope))) return;
+  exercise = state;
+  updateCurrentKey(null);
+  keyChain = [];
+  chainEls.enable.checked = false;
+  renderChainList();
+  // Nothing left on the page from an earlier key
+  encryptEls.input.value = encryptEls.output.value = decryptEls.output.value = '';
+  exerciseEls.banner.hidden = false;
+  exerciseEls.reveal.hidden = !state.answer;
+  exerciseEls.answer.hidden = true;
+  exerciseEls.reveal.textContent = '答えを表示';
+  showTab('decrypt');
+  showToast('演習を読み込みました', 'success');
+}
 
-  showToast('復号を実行しました', 'success');
+exerciseEls.reveal.addEventListener('click', ()=>{
+  if(!exercise || !exercise.answer) return;
+  const {chain, keyword, params, text} = exercise.answer;
+  const show = exerciseEls.answer.hidden;
+  exerciseEls.answer.hidden = !show;
+  exerciseEls.reveal.textContent = show ? '答えを隠す' : '答えを表示';
+  const key = params ? describeModeParams(exercise.envelope.mode, params) : chain.map(buildPatternString).join(' → ');
+  exerciseEls.answerKey.textContent = show ? key : '';
+  exerciseEls.answerKeyword.textContent = show && keyword ? `（キーワード「${keyword}」）` : '';
+  exerciseEls.answerText.textContent = show ? text : '';
 });
 
-decryptEls.copy.addEventListener('click', async ()=>{
-  try{
-    await navigator.clipboard.writeText(decryptEls.output.value || '');
-    showToast('平文をコピーしました', 'success');
-  }catch{
-    showToast('コピー失敗', 'danger');
+exerciseEls.useKey.addEventListener('click', ()=>{
+  if(!exercise || !exercise.answer) return;
+  const {chain, keyword, params} = exercise.answer;
+  if(params){
+    applyModeParams(exercise.envelope.mode, params);
+  }else if(chain.length > 1){
+    keyChain = chain.map(k => [...k]);
+    chainEls.enable.checked = decryptEls.chainEnable.checked = true;
+    renderChainList();
+  }else{
+    updateCurrentKey([...chain[0]], keyword);
   }
+  showTab('decrypt');
+  runDecrypt();
+});
+
+exerciseEls.close.addEventListener('click', ()=>{
+  exercise = null;
+  exerciseEls.banner.hidden = true;
+  exerciseEls.answer.hidden = true;
+  // Reloading should not reopen the exercise
+  history.replaceState(null, '', location.pathname + location.search);
 });
 
+/**
+ * Apply the shared link in the URL fragment, if any
+ * @returns {boolean} - Whether a link was applied
+ */
+function loadSharedLink(){
+  const state = parseShareFragment(location.hash);
+  if(!state) return false;
+  if(!state.ok){
+    showToast(`⚠ 共有リンクを開けません：${state.msg}`, 'danger');
+    return false;
+  }
+  if(state.kind === 'exercise'){
+    startExercise(state);
+  }else{
+    exercise = null;
+    exerciseEls.banner.hidden = true;
+    applySharedSettings(state);
+  }
+  return true;
+}
+
+// A link pasted into the address bar of an open page
+window.addEventListener('hashchange', loadSharedLink);
+
 /* ============================================================================
- * Initialization - Default Values
+ * Initialization - Shared Link or Default Values
  * ============================================================================ */
 
 /**
- * Set default values for demo purposes
+ * Open the shared link, or set default values for demo purposes
  */
 (function initDefaults(){
+  if(loadSharedLink()) return;
   encryptEls.input.value = 'ENIGMA IS FUN';
   decryptEls.input.value = 'IEGN';
   // Set default key
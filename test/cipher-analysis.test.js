@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPermutation, applyPadding, encryptPadded } from '../cipher-core.js';
+import {
+  factorial, recoverKeysFromKnownPlaintext, keyFitsKnownPlaintext, enumerateCandidateKeys, searchCiphertextOnly, detectBlockLengths,
+  assessKeyStrength, textStatistics, compareTextStatistics, ALPHABET
+} from '../cipher-analysis.js';
+
+const KEY = [3, 1, 4, 2];
+const PLAIN = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG';
+
+test('factorial', ()=>{
+  assert.equal(factorial(0), 1);
+  assert.equal(factorial(5), 120);
+});
+
+test('known plaintext recovers the key', ()=>{
+  const cipher = applyPermutation(PLAIN, KEY, 'X', true);
+  const results = recoverKeysFromKnownPlaintext(PLAIN, cipher, 'X', 8);
+  const match = results.find(r => r.n === 4);
+  assert.ok(match, 'block length 4 found');
+  assert.ok(match.padded);
+  assert.deepEqual(match.best, KEY);
+});
+
+/** Block-mode ciphertext as the encryption tab makes it */
+function encryptBlock(plain, key, scheme, unit='utf16', partial='keep'){
+  return encryptPadded(applyPadding(plain, key.length, scheme, 'X', unit), key, 'block', scheme, unit, partial);
+}
+
+test('known plaintext follows the padding scheme and unit', ()=>{
+  // [scheme, plaintext length, blocks used]: random filler and the stolen
+  // block are left out of the evidence, a short unpadded block is compared
+  const cases = [['fixed', 35, 9], ['none', 35, 8], ['pkcs7', 35, 9], ['random', 35, 9], ['random', 33, 8], ['cts', 35, 7]];
+  for(const [scheme, length, blocks] of cases){
+    const plain = PLAIN.slice(0, length);
+    const cipher = encryptBlock(plain, KEY, scheme);
+    const match = recoverKeysFromKnownPlaintext(plain, cipher, 'X', 8, {scheme}).find(r => r.n === 4);
+    assert.ok(match, scheme);
+    assert.deepEqual(match.best, KEY, scheme);
+    assert.equal(match.padded, scheme !== 'none' && scheme !== 'cts', scheme);
+    assert.equal(match.blocks, blocks, `${scheme}/${length}`);
+    assert.ok(keyFitsKnownPlaintext(plain, cipher, KEY, 'X', {scheme}), scheme);
+    assert.ok(!keyFitsKnownPlaintext(plain, cipher, [1, 3, 4, 2], 'X', {scheme}), scheme);
+  }
+  // A pkcs7 ciphertext does not fit the fixed scheme
+  const pkcs7 = encryptBlock(PLAIN, KEY, 'pkcs7');
+  assert.ok(!recoverKeysFromKnownPlaintext(PLAIN, pkcs7, 'X', 8).some(r => r.n === 4));
+
+  const emoji = 'A😀BC🎉DEFGH';
+  const cipher = encryptBlock(emoji, KEY, 'pkcs7', 'codepoint');
+  const match = recoverKeysFromKnownPlaintext(emoji, cipher, 'X', 8, {scheme:'pkcs7', unit:'codepoint'})
+    .find(r => r.n === 4);
+  assert.deepEqual(match.best, KEY);
+  assert.ok(keyFitsKnownPlaintext(emoji, cipher, KEY, 'X', {scheme:'pkcs7', unit:'codepoint'}));
+});
+
+test('known plaintext rebuilds a stolen window shorter than two blocks', ()=>{
+  const key = [3, 6, 1, 5, 2, 4];
+  const plain = 'ABCDEFGHIJ';
+  const cipher = encryptBlock(plain, key, 'cts');
+  const match = recoverKeysFromKnownPlaintext(plain, cipher, 'X', 8, {scheme:'cts'}).find(r => r.n === 6);
+  assert.ok(match);
+  assert.deepEqual(match.best, key);
+  assert.deepEqual(match.keys, [key]);
+  assert.equal(match.blocks, 1);
+  assert.equal(match.complete, true);
+
+  // Repeated letters leave several keys, each of which fits
+  const repeated = 'ATTACKATDAWN';
+  const stolen = encryptBlock(repeated, [4, 2, 7, 1, 3, 6, 5], 'cts');
+  const found = recoverKeysFromKnownPlaintext(repeated, stolen, 'X', 8, {scheme:'cts'}).find(r => r.n === 7);
+  assert.equal(found.keyCount, found.keys.length);
+  assert.ok(found.keys.some(k => k.join() === '4,2,7,1,3,6,5'));
+  for(const k of found.keys) assert.ok(keyFitsKnownPlaintext(repeated, stolen, k, 'X', {scheme:'cts'}));
+});
+
+test('known plaintext and ciphertext-only search undo the partial-block mode', async ()=>{
+  const key = [4, 2, 5, 1, 3];
+  const plain = 'ITWASTHEBESTOFTIMESITWASTHEWORSTOFTIMESITWASTHEAGEOFWISDOM';   // 58 = 11 blocks + 3
+  for(const partial of ['keep', 'induced', 'rotate', 'reflect']){
+    const cipher = encryptBlock(plain, key, 'none', 'utf16', partial);
+    const options = {scheme:'none', partial};
+    const match = recoverKeysFromKnownPlaintext(plain, cipher, 'X', 8, options).find(r => r.n === 5);
+    assert.deepEqual(match.best, key, partial);
+    assert.ok(keyFitsKnownPlaintext(plain, cipher, key, 'X', options), partial);
+    const top = await searchCiphertextOnly(cipher, {lengths:[5], topK:3, partial});
+    assert.equal(top[0].plaintext, plain, partial);
+    assert.deepEqual(top[0].key, key, partial);
+  }
+  // Ciphertext stealing permutes the last n units again, over the short tail
+  const stolen = encryptBlock(plain, key, 'cts');
+  const top = await searchCiphertextOnly(stolen, {lengths:[5], topK:3, scheme:'cts'});
+  assert.equal(top[0].plaintext, plain);
+  assert.deepEqual(top[0].key, key);
+  // Assuming the wrong mode leaves the scrambled tail in place
+  const induced = encryptBlock(plain, key, 'none', 'utf16', 'induced');
+  assert.ok(!keyFitsKnownPlaintext(plain, induced, key, 'X', {scheme:'none'}));
+  assert.ok(!recoverKeysFromKnownPlaintext(plain, induced, 'X', 8, {scheme:'none'}).some(r => r.n === 5));
+});
+
+test('ciphertext-only search splits and unpads with the scheme and unit', async ()=>{
+  const key = [2, 4, 1, 3];
+  const plain = 'THEQUICKBROWNFOXJUMPS😀OVERTHELAZYDOG🎉';   // 37 graphemes
+  const cipher = encryptBlock(plain, key, 'cts', 'grapheme');
+  const top = await searchCiphertextOnly(cipher, {lengths:[4], topK:3, scheme:'cts', unit:'grapheme'});
+  assert.equal(top[0].plaintext, plain);
+  assert.deepEqual(top[0].key, key);
+  // pkcs7 markers are removed before scoring
+  const padded = encryptBlock(plain, key, 'pkcs7', 'grapheme');
+  const best = (await searchCiphertextOnly(padded, {lengths:[4], topK:3, scheme:'pkcs7', unit:'grapheme'}))[0];
+  assert.equal(best.plaintext, plain);
+});
+
+test('enumerateCandidateKeys lists every consistent key', ()=>{
+  const keys = enumerateCandidateKeys([[1, 2], [1, 2], [3]]);
+  assert.deepEqual(keys, [[1, 2, 3], [2, 1, 3]]);
+});
+
+test('detectBlockLengths ranks the true length near the top', ()=>{
+  const plain = 'ITWASTHEBESTOFTIMESITWASTHEWORSTOFTIMESITWASTHEAGEOFWISDOMITWASTHEAGEOFFOOLISHNESS';
+  const key = [4, 2, 5, 1, 3];
+  const rows = detectBlockLengths(applyPermutation(plain, key, 'X', true), 'X', 12);
+  assert.ok(rows.slice(0, 3).some(r => r.n === 5));
+});
+
+test('detectBlockLengths counts units and reads the padding of each scheme', ()=>{
+  const plain = 'ITWASTHEBESTOFTIMES😀ITWASTHEWORSTOFTIMES🎉ITWASTHEAGEOFWISDOMITWASTHEAGEOFFOOLISHNESS';   // 84 code points
+  const key = [4, 2, 5, 1, 3];
+  const row = (cipher, scheme, n=5)=> detectBlockLengths(cipher, 'X', 12, {scheme, unit:'codepoint'}).find(r => r.n === n);
+  // 85 code points: divisible by 5 only when counted in code points, not UTF-16
+  const pkcs7 = encryptBlock(plain, key, 'pkcs7', 'codepoint');
+  assert.equal(row(pkcs7, 'pkcs7').divides, true);
+  assert.deepEqual([row(pkcs7, 'pkcs7').padFits, row(pkcs7, 'pkcs7').padCount], [true, 1]);
+  assert.equal(detectBlockLengths(pkcs7, 'X', 12).find(r => r.n === 5).divides, false);
+  const random = encryptBlock(plain + 'ABC', key, 'random', 'codepoint');
+  assert.deepEqual([row(random, 'random').padFits, row(random, 'random').padCount], [true, 3]);
+  // Stealing keeps the length: no pad and no credit for dividing it
+  const stolen = encryptBlock(plain, key, 'cts', 'codepoint');
+  assert.equal(row(stolen, 'cts').padFits, false);
+  assert.ok(detectBlockLengths(stolen, 'X', 12, {scheme:'cts', unit:'codepoint'}).slice(0, 3).some(r => r.n === 5));
+});
+
+test('textStatistics counts letters, bigrams and the index of coincidence', ()=>{
+  const stats = textStatistics('Hello, world!');
+  assert.equal(stats.letters, 10);
+  assert.equal(stats.others, 2);
+  assert.equal(stats.counts[ALPHABET.indexOf('L')], 3);
+  // Bigrams skip spaces and punctuation: ...O W...
+  assert.equal(stats.bigrams[ALPHABET.indexOf('O') * 26 + ALPHABET.indexOf('W')], 1);
+  assert.equal(stats.bigramTotal, 9);
+  // (3*2 + 2*1) / (10*9)
+  assert.ok(Math.abs(stats.ioc - 8 / 90) < 1e-12);
+  assert.equal(textStatistics('A').ioc, 0);
+});
+
+test('a transposition keeps the letter counts but breaks the bigrams', ()=>{
+  const plain = textStatistics(PLAIN);
+  const cipher = textStatistics(applyPermutation(PLAIN, [5, 3, 1, 6, 2, 4, 7], '', false));
+  const cmp = compareTextStatistics(plain, cipher);
+  assert.equal(cmp.sameLetters, true);
+  assert.ok(Math.abs(cmp.letterOverlap - 1) < 1e-9);
+  assert.equal(plain.ioc, cipher.ioc);
+  assert.ok(cmp.bigramOverlap < 0.5);
+  assert.deepEqual(cmp.topBigrams.slice(0, 2), [{bigram: 'HE', a: 2, b: 0}, {bigram: 'TH', a: 2, b: 0}]);
+
+  // Padding shows up as a letter difference
+  const padded = compareTextStatistics(plain, textStatistics(applyPermutation(PLAIN, KEY, 'X', true)));
+  assert.deepEqual(padded.letterDifferences, [{letter: 'X', a: 1, b: 2}]);
+});
+
+test('assessKeyStrength flags keys that barely move anything', ()=>{
+  const identity = assessKeyStrength([1, 2, 3, 4]);
+  assert.equal(identity.identity, true);
+  assert.equal(identity.rating, 'weak');
+  assert.equal(identity.fixedPoints.length, 4);
+  assert.equal(identity.adjacentPairs, 3);
+
+  // Swapping neighbours moves every letter by one
+  const swaps = assessKeyStrength([2, 1, 4, 3, 6, 5]);
+  assert.equal(swaps.nearIdentity, true);
+  assert.equal(swaps.involution, true);
+  assert.equal(swaps.rating, 'weak');
+
+  const half = assessKeyStrength([1, 2, 4, 3]);
+  assert.deepEqual(half.fixedPoints, [1, 2]);
+  assert.equal(half.warnings[0].level, 'danger');
+});
+
+test('assessKeyStrength reports contact leakage, order and keyspace', ()=>{
+  // A rotation keeps most neighbours together
+  const rotation = assessKeyStrength([2, 3, 4, 5, 6, 7, 8, 1]);
+  assert.equal(rotation.adjacentPairs, 6);
+  assert.equal(rotation.order, 8);
+  assert.ok(rotation.warnings.some(w => w.level === 'warning' && /隣り合う/.test(w.msg)));
+
+  const reversal = assessKeyStrength([4, 3, 2, 1]);
+  assert.equal(reversal.reversedPairs, 3);
+  assert.match(reversal.warnings[0].msg, /逆順/);
+
+  assert.ok(Math.abs(assessKeyStrength([3, 1, 4, 2]).keyspaceBits - Math.log2(24)) < 1e-9);
+  const long = assessKeyStrength([2, 4, 6, 8, 10, 12, 14, 16, 1, 3, 5, 7, 9, 11, 13, 15]);
+  assert.ok(long.keyspaceBits > 40);
+  assert.ok(!long.warnings.some(w => /総当たり/.test(w.msg)));
+  assert.ok(long.bruteForceSeconds > 1e4);
+  // Short keys get a warning naming the length that clears the threshold
+  assert.match(assessKeyStrength([3, 1, 4, 2]).warnings.at(-1).msg, /15 以上/);
+});
@@ -0,0 +1,417 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePattern, validatePermutation, inversePermutation, splitUnits, chunkBy,
+  applyPermutation, trimRightPad, buildPatternString, generateRandomPermutation,
+  keywordToPermutation, CIPHER_MODES, composePermutations, encryptChain,
+  decryptChain, chainEquivalentPermutation, padMarker, padMarkerValue,
+  PAD_SCHEMES, PARTIAL_BLOCK_MODES, applyPadding, removePadding,
+  encryptPadded, decryptPadded, transformInChunks, blockView, preprocessText,
+  restoreStripped, groupUnits, ungroupUnits, parseStripped, isStrippedList,
+  permutationCycles, formatCycles, parseKeyInput, permutationParity, permutationOrder,
+  permutationPower, cycleType, uniformInt, secureRandomInt, createSeededRandom,
+  derivePermutation, railFencePermutation, railFenceRails, routePermutation, ROUTES,
+  routeMessagePermutation, checkModeParams, modeBlockLength
+} from '../cipher-core.js';
+
+const KEY = [3, 1, 4, 2];
+const PLAIN = 'ENIGMA IS FUN';
+// Modes keyed by a pattern (the others take their parameters instead)
+const KEY_MODES = Object.keys(CIPHER_MODES).filter(mode => !CIPHER_MODES[mode].whole);
+
+/** Encrypt and decrypt with padding added and removed, as the page does */
+function roundTrip(text, perm, mode, scheme, unit='utf16', partial='keep'){
+  const padded = applyPadding(text, perm.length, scheme, 'X', unit);
+  const cipher = encryptPadded(padded, perm, mode, scheme, unit, partial);
+  const plain = decryptPadded(cipher, perm, mode, scheme, unit, partial);
+  return { padded, cipher, plain: removePadding(plain, perm.length, scheme, 'X', unit) };
+}
+
+test('parsePattern accepts the supported delimiters', ()=>{
+  for(const s of ['3-1-4-2', '3 1 4 2', '3,1,4,2', '3、1、4、2', ' 3 - 1 - 4 - 2 ']){
+    assert.deepEqual(parsePattern(s), KEY, s);
+  }
+  assert.deepEqual(parsePattern('3-1-4-2', 4), KEY);
+});
+
+test('parsePattern rejects malformed input', ()=>{
+  for(const s of ['', '3-1-4-', '3-a-4-2', '3.5-1', '03-1']){
+    assert.equal(parsePattern(s), null, s);
+  }
+  assert.equal(parsePattern('3-1-4-2', 5), null);
+});
+
+test('validatePermutation reports each kind of error', ()=>{
+  assert.deepEqual(validatePermutation(KEY), {ok:true});
+  assert.equal(validatePermutation([1]).msg, '長さ2以上のパターンを指定してください');
+  assert.equal(validatePermutation(null).msg, '長さ2以上のパターンを指定してください');
+  assert.equal(validatePermutation([0, 1, 2]).msg, '1以上の整数のみ使用できます');
+  assert.equal(validatePermutation([1.5, 2]).msg, '1以上の整数のみ使用できます');
+  assert.equal(validatePermutation([1, 5, 7]).msg, '範囲外の値: 5, 7（1〜3の値のみ使用できます）');
+  assert.equal(validatePermutation([1, 2, 2, 1]).msg, '重複があります: 2, 1');
+});
+
+test('validatePermutation never reports missing values without a duplicate', ()=>{
+  // n distinct values in 1..n are always complete, so duplicates are found first
+  const res = validatePermutation([2, 2, 3]);
+  assert.equal(res.ok, false);
+  assert.match(res.msg, /^重複があります/);
+});
+
+test('inversePermutation undoes the key', ()=>{
+  assert.deepEqual(inversePermutation(KEY), [2, 4, 1, 3]);
+  assert.deepEqual(composePermutations(KEY, inversePermutation(KEY)), [1, 2, 3, 4]);
+});
+
+test('applyPermutation sends position i to perm[i]', ()=>{
+  assert.equal(applyPermutation('ENIG', KEY, 'X', true), 'NGEI');
+  assert.equal(applyPermutation('ENIGMA', KEY, 'X', true), 'NGEIAXMX');
+  assert.equal(applyPermutation('NGEI', inversePermutation(KEY), 'X', true), 'ENIG');
+});
+
+test('trimRightPad only removes trailing pad characters', ()=>{
+  assert.equal(trimRightPad('XAXBXX', 'X'), 'XAXB');
+  assert.equal(trimRightPad('ABC', ''), 'ABC');
+});
+
+test('buildPatternString and generateRandomPermutation', ()=>{
+  assert.equal(buildPatternString(KEY), '3-1-4-2');
+  for(let n=2; n<=12; n++){
+    assert.ok(validatePermutation(generateRandomPermutation(n)).ok);
+  }
+});
+
+test('uniformInt draws again instead of favouring small results', ()=>{
+  // 2^32 mod 3 = 1: the top word would make 0 more likely than 1 and 2
+  const words = [2 ** 32 - 1, 5];
+  assert.equal(uniformInt(()=> words.shift(), 3), 2);
+  assert.equal(words.length, 0);
+  assert.equal(uniformInt(()=> 2 ** 32 - 1, 2 ** 32), 2 ** 32 - 1);
+});
+
+test('secureRandomInt covers the whole range', ()=>{
+  const seen = new Set();
+  for(let i=0; i<500; i++){
+    const x = secureRandomInt(6);
+    assert.ok(Number.isInteger(x) && x >= 0 && x < 6);
+    seen.add(x);
+  }
+  assert.equal(seen.size, 6);
+});
+
+test('createSeededRandom gives the same key for the same seed and length', ()=>{
+  const key = seed => buildPatternString(generateRandomPermutation(8, createSeededRandom(seed)));
+  // Pinned: a change here breaks keys regenerated from shared seeds
+  assert.equal(key('exam-2026'), '4-1-2-3-7-8-6-5');
+  assert.equal(key('exam-2026'), key('exam-2026'));
+  assert.notEqual(key('exam-2027'), key('exam-2026'));
+  assert.equal(buildPatternString(generateRandomPermutation(16, createSeededRandom('期末試験'))),
+    '9-4-7-13-6-1-14-10-8-16-12-15-11-5-2-3');
+  // Composed and decomposed forms of the same text are one seed
+  assert.equal(key('が'), key('か\u3099'));
+});
+
+test('derivePermutation is deterministic per passphrase, length and iterations', async ()=>{
+  const key = await derivePermutation('correct horse battery staple', 8, 1000);
+  assert.equal(buildPatternString(key), '8-6-7-2-3-4-1-5');
+  assert.deepEqual(await derivePermutation('correct horse battery staple', 8, 1000), key);
+  assert.notDeepEqual(await derivePermutation('correct horse battery stapler', 8, 1000), key);
+  // Pinned with the default iterations, as used by the keygen tab
+  assert.equal(buildPatternString(await derivePermutation('correct horse battery staple', 8)), '7-3-2-6-1-5-4-8');
+  for(const n of [2, 20, 64]){
+    assert.ok(validatePermutation(await derivePermutation('classroom', n, 1000)).ok);
+  }
+});
+
+test('keywordToPermutation numbers repeated letters left to right', ()=>{
+  assert.deepEqual(keywordToPermutation('ZEBRA'), [5, 3, 2, 4, 1]);
+  assert.deepEqual(keywordToPermutation('BABA'), [3, 1, 4, 2]);
+});
+
+test('railFencePermutation matches the classical rail fence', ()=>{
+  const plain = 'WEAREDISCOVEREDFLEEATONCE';
+  const key = railFencePermutation(plain.length, 3);
+  assert.equal(validatePermutation(key).ok, true);
+  assert.equal(applyPermutation(plain, key, '', false), 'WECRLTEERDSOEEFEAOCAIVDEN');
+  assert.deepEqual(railFencePermutation(5, 2), [1, 4, 2, 5, 3]);
+  // The offset starts the zigzag part-way down
+  assert.deepEqual(railFenceRails(6, 3, 1), [1, 2, 1, 0, 1, 2]);
+  assert.equal(applyPermutation('ABCDEFGHIJ', railFencePermutation(10, 3, 1), '', false), 'DHACEGIBFJ');
+  // As many rails as letters reads straight down: nothing moves
+  assert.deepEqual(railFencePermutation(4, 4), [1, 2, 3, 4]);
+});
+
+test('routePermutation reads the grid along each route', ()=>{
+  const read = route => applyPermutation('ABCDEFGHIJKL', routePermutation(3, 4, route), '', false);
+  assert.equal(read('spiral'), 'ABCDHLKJIEFG');
+  assert.equal(read('boustrophedon'), 'AEIJFBCGKLHD');
+  assert.equal(read('diagonal'), 'ABECFIDGJHKL');
+  for(const route of Object.keys(ROUTES)){
+    for(const [rows, cols] of [[1, 5], [5, 1], [4, 4], [3, 7]]){
+      assert.equal(validatePermutation(routePermutation(rows, cols, route)).ok, true, `${route} ${rows}x${cols}`);
+    }
+  }
+});
+
+test('the rail fence and route modes permute the whole message', ()=>{
+  const plain = 'WEAREDISCOVEREDFLEEATONCE';
+  const rails = {rails: 3, offset: 0};
+  assert.equal(encryptPadded(plain, null, 'railfence', 'none', 'utf16', 'keep', rails), 'WECRLTEERDSOEEFEAOCAIVDEN');
+  // Rows are kept and the columns follow from the length; the short last row is skipped
+  assert.deepEqual(routeMessagePermutation(5, 2, 'spiral'), [1, 2, 3, 5, 4]);
+  assert.equal(encryptPadded('ABCDEFGHIJKL', null, 'route', 'none', 'utf16', 'keep', {rows: 3, route: 'spiral'}), 'ABCDHLKJIEFG');
+  assert.equal(modeBlockLength('railfence', null, rails), 4);
+  assert.equal(modeBlockLength('route', null, {rows: 3, route: 'spiral'}), 3);
+  assert.equal(modeBlockLength('block', KEY, null), 4);
+});
+
+test('whole-message modes round-trip texts longer than 64 units', ()=>{
+  const text = 'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG 😀 かな 転置暗号 '.repeat(4);
+  const cases = [['railfence', {rails: 5, offset: 3}], ['railfence', {rails: 70, offset: 0}],
+    ...Object.keys(ROUTES).map(route => ['route', {rows: 7, route}])];
+  for(const [mode, params] of cases){
+    const n = modeBlockLength(mode, null, params);
+    for(const scheme of Object.keys(PAD_SCHEMES)){
+      for(const unit of ['utf16', 'codepoint']){
+        const label = `${mode} ${JSON.stringify(params)} ${scheme} ${unit}`;
+        const padded = applyPadding(text, n, scheme, 'X', unit);
+        assert.ok(splitUnits(padded, unit).length > 64, label);
+        const cipher = encryptPadded(padded, null, mode, scheme, unit, 'keep', params);
+        assert.notEqual(cipher, padded, label);
+        const plain = decryptPadded(cipher, null, mode, scheme, unit, 'keep', params);
+        assert.equal(removePadding(plain, n, scheme, 'X', unit), text, label);
+        const rounds = encryptChain(text, [null], mode, scheme, 'X', unit, 'keep', params);
+        const back = decryptChain(rounds.at(-1), [null], mode, scheme, unit, 'keep', params).at(-1);
+        assert.equal(removePadding(back, n, scheme, 'X', unit), text, label);
+      }
+    }
+  }
+});
+
+test('checkModeParams normalises and rejects mode parameters', ()=>{
+  assert.deepEqual(checkModeParams('block', null), {ok: true, params: null});
+  assert.deepEqual(checkModeParams('railfence', {rails: '3', offset: 5}), {ok: true, params: {rails: 3, offset: 1}});
+  assert.deepEqual(checkModeParams('railfence', {rails: 4}), {ok: true, params: {rails: 4, offset: 0}});
+  assert.deepEqual(checkModeParams('route', {rows: 4, route: 'diagonal', cols: 9}), {ok: true, params: {rows: 4, route: 'diagonal'}});
+  for(const [mode, params] of [['railfence', {rails: 1}], ['railfence', {rails: 2.5}], ['railfence', {rails: 3, offset: -1}],
+    ['route', {rows: 1, route: 'spiral'}], ['route', {rows: 3, route: 'zigzag'}], ['route', null]]){
+    assert.equal(checkModeParams(mode, params).ok, false, JSON.stringify(params));
+  }
+});
+
+test('splitUnits and chunkBy respect the processing unit', ()=>{
+  const s = 'a😀b';
+  assert.equal(splitUnits(s).length, 4);
+  assert.deepEqual(splitUnits(s, 'codepoint'), ['a', '😀', 'b']);
+  assert.deepEqual(splitUnits('éx', 'grapheme'), ['é', 'x']);
+  assert.deepEqual(chunkBy('ABCDEFG', 3), ['ABC', 'DEF', 'G']);
+});
+
+test('every mode, padding scheme and partial mode round-trips', ()=>{
+  const texts = ['', 'A', 'AB', 'ENIG', PLAIN, 'THE QUICK BROWN FOX', 'XXXXAXX'];
+  const keys = [[2, 1], KEY, [5, 3, 2, 4, 1], [1, 2, 3]];
+  for(const mode of KEY_MODES){
+    for(const scheme of Object.keys(PAD_SCHEMES)){
+      // fixed padding cannot tell pad characters from trailing plaintext
+      if(scheme === 'fixed') continue;
+      for(const partial of Object.keys(PARTIAL_BLOCK_MODES)){
+        for(const perm of keys){
+          for(const text of texts){
+            const res = roundTrip(text, perm, mode, scheme, 'utf16', partial);
+            assert.equal(res.plain, text, `${mode}/${scheme}/${partial} ${perm} "${text}"`);
+          }
+        }
+      }
+    }
+  }
+});
+
+test('round-trips keep emoji intact in grapheme mode', ()=>{
+  const text = '👨‍👩‍👧 かな漢字 😀!';
+  for(const scheme of ['pkcs7', 'random', 'cts', 'none']){
+    assert.equal(roundTrip(text, KEY, 'block', scheme, 'grapheme', 'rotate').plain, text, scheme);
+  }
+});
+
+test('fixed padding is ambiguous when the plaintext ends with the pad character', ()=>{
+  assert.equal(roundTrip(PLAIN, KEY, 'block', 'fixed').plain, PLAIN);
+  assert.equal(roundTrip('BOX', KEY, 'block', 'fixed').plain, 'BO');
+});
+
+test('pkcs7 and random always pad by 1..n units', ()=>{
+  assert.equal(applyPadding('ENIG', 4, 'pkcs7', ''), 'ENIG4444');
+  assert.equal(applyPadding('ENIGMA', 4, 'pkcs7', ''), 'ENIGMA22');
+  const r = applyPadding('ENIGMA', 4, 'random', '');
+  assert.equal(r.length, 8);
+  assert.match(r, /^ENIGMA[A-Z]2$/);
+  assert.equal(removePadding(r, 4, 'random', ''), 'ENIGMA');
+  // A seeded source gives the same filler again
+  const seeded = ()=> applyPadding('E', 8, 'random', '', 'utf16', createSeededRandom('exam-2026'));
+  assert.equal(seeded(), seeded());
+  assert.match(seeded(), /^E[A-Z]{6}7$/);
+  const rounds = encryptChain('ENIGMA', [KEY, KEY], 'block', 'random', '', 'utf16', 'keep', null, createSeededRandom('x'));
+  assert.deepEqual(rounds, encryptChain('ENIGMA', [KEY, KEY], 'block', 'random', '', 'utf16', 'keep', null, createSeededRandom('x')));
+});
+
+test('removePadding returns null for malformed padding', ()=>{
+  assert.equal(removePadding('ENIGMA23', 4, 'pkcs7', ''), null);
+  assert.equal(removePadding('ENIGMA22', 4, 'pkcs7', ''), 'ENIGMA');
+  assert.equal(removePadding('ENIGMA2', 4, 'pkcs7', ''), null);
+  assert.equal(removePadding('ENIGMA99', 4, 'pkcs7', ''), null);
+  assert.equal(removePadding('ENIG', 4, 'random', ''), null);
+  assert.equal(removePadding('A', 4, 'random', ''), null);
+  assert.equal(removePadding('', 4, 'pkcs7', ''), null);
+});
+
+test('length markers cover block lengths beyond 61', ()=>{
+  for(const k of [1, 9, 10, 61, 62, 100, 500]){
+    assert.equal(padMarkerValue(padMarker(k)), k, String(k));
+  }
+  assert.equal(padMarkerValue('#'), 0);
+  const text = 'A'.repeat(150);
+  assert.equal(roundTrip(text, generateRandomPermutation(100), 'block', 'pkcs7').plain, text);
+});
+
+test('ciphertext stealing keeps the length', ()=>{
+  const res = roundTrip(PLAIN, KEY, 'block', 'cts');
+  assert.equal(res.cipher.length, PLAIN.length);
+  assert.notEqual(res.cipher.slice(-1), PLAIN.slice(-1));
+});
+
+test('partial modes permute a short final block', ()=>{
+  assert.equal(encryptPadded('ENIGFUN', KEY, 'block', 'none', 'utf16', 'keep'), 'NGEIFUN');
+  assert.equal(encryptPadded('ENIGFUN', KEY, 'block', 'none', 'utf16', 'reflect'), 'NGEINUF');
+  assert.equal(encryptPadded('ENIGFUN', KEY, 'block', 'none', 'utf16', 'rotate'), 'NGEINFU');
+});
+
+test('transformInChunks matches processing the whole text', async ()=>{
+  const text = 'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG 😀 かな';
+  for(const scheme of ['fixed', 'pkcs7', 'cts', 'none']){
+    for(const partial of ['keep', 'rotate']){
+      for(const blocks of [1, 2, 3, 100]){
+        const padded = applyPadding(text, KEY.length, scheme, 'X', 'codepoint');
+        const options = {scheme, unit:'codepoint', partial, blocks};
+        const cipher = await transformInChunks(padded, KEY, 'encrypt', options);
+        assert.equal(cipher, encryptPadded(padded, KEY, 'block', scheme, 'codepoint', partial), `${scheme}/${partial}/${blocks}`);
+        assert.equal(await transformInChunks(cipher, KEY, 'decrypt', options), padded);
+      }
+    }
+  }
+});
+
+test('transformInChunks fills the columnar grid in slices of rows', async ()=>{
+  const text = 'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG 😀 かな';
+  for(const len of [text.length, text.length - 1, text.length - 2]){
+    const plain = Array.from(text).slice(0, len).join('');
+    for(const blocks of [1, 2, 5, 100]){
+      const options = {mode:'columnar', unit:'codepoint', blocks};
+      const cipher = await transformInChunks(plain, KEY, 'encrypt', options);
+      assert.equal(cipher, encryptPadded(plain, KEY, 'columnar', 'none', 'codepoint'), `${len}/${blocks}`);
+      assert.equal(await transformInChunks(cipher, KEY, 'decrypt', options), plain);
+    }
+  }
+  const steps = [];
+  await transformInChunks('ABCDEFGHIJKL', KEY, 'encrypt', {mode:'columnar', blocks:1}, p => steps.push(p));
+  assert.deepEqual(steps, [1/3, 2/3, 1]);
+});
+
+test('transformInChunks moves whole-message modes in slices', async ()=>{
+  const text = 'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG 😀 かな'.repeat(3);
+  for(const [mode, params] of [['railfence', {rails: 4, offset: 2}], ['route', {rows: 5, route: 'boustrophedon'}]]){
+    for(const blocks of [1, 3, 100]){
+      const options = {mode, unit: 'codepoint', params, blocks};
+      const cipher = await transformInChunks(text, null, 'encrypt', options);
+      assert.equal(cipher, encryptPadded(text, null, mode, 'none', 'codepoint', 'keep', params), `${mode}/${blocks}`);
+      assert.equal(await transformInChunks(cipher, null, 'decrypt', options), text);
+    }
+  }
+  const steps = [];
+  await transformInChunks('ABCDEFGHIJKL', null, 'encrypt', {mode: 'route', params: {rows: 3, route: 'spiral'}, blocks: 2}, p => steps.push(p));
+  assert.deepEqual(steps, [0.5, 1]);
+});
+
+test('blockView cuts the same blocks as chunkBy', ()=>{
+  for(const unit of ['utf16', 'codepoint']){
+    const view = blockView('ABCDEFG😀', 3, unit);
+    assert.deepEqual(Array.from({length: view.length}, (_, k) => view.at(k)), chunkBy('ABCDEFG😀', 3, unit), unit);
+  }
+});
+
+test('transformInChunks reports progress and stops when cancelled', async ()=>{
+  const steps = [];
+  await transformInChunks('ABCDEFGHIJKL', KEY, 'encrypt', {blocks:1}, p => steps.push(p));
+  assert.deepEqual(steps, [1/3, 2/3, 1]);
+  const job = {cancelled:false};
+  const res = await transformInChunks('ABCDEFGHIJKL', KEY, 'encrypt', {blocks:1}, ()=>{ job.cancelled = true; }, job);
+  assert.equal(res, null);
+});
+
+test('key chains decrypt in reverse order', ()=>{
+  const chain = [KEY, [2, 3, 1], [5, 3, 2, 4, 1]];
+  for(const mode of KEY_MODES){
+    for(const scheme of ['pkcs7', 'random', 'cts', 'none']){
+      const rounds = encryptChain(PLAIN, chain, mode, scheme, '', 'utf16', 'induced');
+      const back = decryptChain(rounds.at(-1), chain, mode, scheme, 'utf16', 'induced');
+      assert.equal(removePadding(back.at(-1), KEY.length, scheme, ''), PLAIN, `${mode}/${scheme}`);
+    }
+  }
+});
+
+test('a chain of equal-length keys equals their composition', ()=>{
+  const chain = [KEY, [2, 4, 3, 1]];
+  const eq = chainEquivalentPermutation(chain);
+  assert.deepEqual(eq, composePermutations(KEY, [2, 4, 3, 1]));
+  assert.equal(applyPermutation('ABCDEFGH', eq, '', false),
+    encryptChain('ABCDEFGH', chain, 'block', 'none', '').at(-1));
+  assert.equal(chainEquivalentPermutation([KEY, [2, 3, 1]]).length, 12);
+});
+
+test('preprocessText strips and restoreStripped puts characters back', ()=>{
+  const text = 'Hello, world! Ａｂｃ';
+  const prep = preprocessText(text, {stripSpaces:true, stripPunct:true});
+  assert.equal(prep.text, 'HelloworldＡｂｃ');
+  assert.deepEqual(prep.removed, [[5, ', '], [10, '! ']]);
+  assert.equal(restoreStripped(prep.text, prep.removed), text);
+  assert.equal(preprocessText(text, {nfkc:true, upper:true}).text, 'HELLO, WORLD! ABC');
+  assert.equal(preprocessText('ひらがなカタカナ', {kana:'katakana'}).text, 'ヒラガナカタカナ');
+  assert.equal(preprocessText('ひらがなカタカナ', {kana:'hiragana'}).text, 'ひらがなかたかな');
+});
+
+test('full preprocess, encrypt, decrypt and restore cycle', ()=>{
+  const prep = preprocessText(PLAIN, {stripSpaces:true});
+  const res = roundTrip(prep.text, KEY, 'block', 'pkcs7');
+  const grouped = groupUnits(res.cipher);
+  assert.equal(ungroupUnits(grouped), res.cipher);
+  assert.equal(restoreStripped(res.plain, parseStripped(JSON.stringify(prep.removed))), PLAIN);
+});
+
+test('ungroupUnits keeps spaces that belong to the ciphertext', ()=>{
+  const cipher = 'AB CDEFG H';
+  assert.equal(groupUnits(cipher), 'AB CD EFG H');
+  assert.equal(ungroupUnits(groupUnits(cipher)), cipher);
+});
+
+test('parseStripped rejects malformed records', ()=>{
+  assert.deepEqual(parseStripped('[[0," "]]'), [[0, ' ']]);
+  for(const s of ['', '{}', '[[-1," "]]', '[[0,1]]', '[[0]]', 'not json']){
+    assert.equal(parseStripped(s), null, s);
+  }
+  assert.ok(isStrippedList([]));
+  assert.ok(!isStrippedList('[[0," "]]'));
+});
+
+test('cycle decomposition, order and parity', ()=>{
+  assert.deepEqual(permutationCycles(KEY), [[1, 3, 4, 2]]);
+  assert.equal(formatCycles(permutationCycles(KEY)), '(1 3 4 2)');
+  assert.equal(formatCycles(permutationCycles([1, 2, 3])), 'id');
+  assert.deepEqual(parseKeyInput('(1 3 4 2)'), KEY);
+  assert.deepEqual(parseKeyInput('(1 2)', 4), [2, 1, 3, 4]);
+  assert.deepEqual(parseKeyInput('3-1-4-2'), KEY);
+  assert.equal(parseKeyInput('(1 2)(2 3)'), null);
+  assert.equal(permutationOrder(KEY), 4);
+  assert.equal(permutationOrder([2, 1, 4, 5, 3]), 6);
+  assert.deepEqual(permutationParity(KEY), {even:false, transpositions:3});
+  assert.deepEqual(permutationPower(KEY, -1), inversePermutation(KEY));
+  assert.deepEqual(permutationPower(KEY, 4), [1, 2, 3, 4]);
+  assert.deepEqual(cycleType([2, 1, 4, 5, 3]), [3, 2]);
+});
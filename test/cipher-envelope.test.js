@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyPadding, encryptPadded, decryptPadded, removePadding, groupUnits, ungroupUnits
+} from '../cipher-core.js';
+import {
+  crc32, keyFingerprint, createEnvelope, envelopeToJSON, envelopeToArmor, parseEnvelope,
+  isEnvelopeText, ARMOR_BEGIN, ARMOR_END
+} from '../cipher-envelope.js';
+
+const KEY = [3, 1, 4, 2];
+const SETTINGS = {
+  chain: [KEY], mode: 'block', scheme: 'fixed', padChar: 'X', partial: 'keep', unit: 'grapheme',
+  preprocess: {stripSpaces: true, upper: true}, removed: [[6, ' '], [8, ' ']],
+};
+
+/** Re-serialize an envelope after editing its JSON */
+function edit(env, change){
+  const obj = JSON.parse(envelopeToJSON(env));
+  change(obj);
+  return JSON.stringify(obj);
+}
+
+test('crc32 matches the standard check value', ()=>{
+  assert.equal(crc32('123456789'), 'cbf43926');
+  assert.equal(crc32(''), '00000000');
+});
+
+test('keyFingerprint depends on every key of a chain', ()=>{
+  assert.match(keyFingerprint([KEY]), /^[0-9a-f]{8}$/);
+  assert.notEqual(keyFingerprint([KEY]), keyFingerprint([[1, 3, 4, 2]]));
+  assert.notEqual(keyFingerprint([KEY]), keyFingerprint([KEY, [2, 1]]));
+});
+
+test('JSON and armored envelopes round-trip', ()=>{
+  const env = createEnvelope('NGEIASMIUXFN', {...SETTINGS, fingerprint: true});
+  assert.equal(env.blockSize, 4);
+  assert.equal(env.rounds, 1);
+  assert.equal(env.keyFingerprint, keyFingerprint([KEY]));
+  assert.equal(env.preprocess.nfkc, false);
+
+  const json = parseEnvelope(envelopeToJSON(env));
+  assert.ok(json.ok);
+  assert.equal(json.armored, false);
+  assert.deepEqual(json.envelope, env);
+
+  const armor = envelopeToArmor(env);
+  assert.ok(armor.startsWith(ARMOR_BEGIN + '\n') && armor.endsWith('\n' + ARMOR_END));
+  assert.ok(armor.split('\n').every(line => line.length <= 64 || line.startsWith('-----')));
+  const armored = parseEnvelope('\n  ' + armor + '\n');
+  assert.ok(armored.ok);
+  assert.equal(armored.armored, true);
+  assert.deepEqual(armored.envelope, env);
+});
+
+test('envelopes keep spaces, line breaks and emoji in the ciphertext', ()=>{
+  const padded = applyPadding('かな 😀\nOK', 4, 'pkcs7', 'X', 'grapheme');
+  const cipher = groupUnits(encryptPadded(padded, KEY, 'block', 'pkcs7', 'grapheme'), 5, 'grapheme');
+  const env = createEnvelope(cipher, {...SETTINGS, scheme: 'pkcs7', preprocess: {group: true}, removed: []});
+  const {envelope} = parseEnvelope(envelopeToArmor(env));
+  assert.equal(envelope.ciphertext, cipher);
+  const plain = decryptPadded(ungroupUnits(envelope.ciphertext, 5, 'grapheme'), KEY, 'block', 'pkcs7', 'grapheme');
+  assert.equal(removePadding(plain, 4, 'pkcs7', 'X', 'grapheme'), 'かな 😀\nOK');
+});
+
+test('tampered envelopes fail the checksum', ()=>{
+  const env = createEnvelope('NGEIASMIUXFN', SETTINGS);
+  for(const change of [
+    o => { o.ciphertext = 'NGEIASMIUXFM'; },
+    o => { o.padding.char = 'Q'; },
+    o => { o.blockSize = 6; },
+    o => { o.removed = []; },
+    o => { o.preprocess.upper = false; },
+  ]){
+    const res = parseEnvelope(edit(env, change));
+    assert.equal(res.ok, false);
+    assert.match(res.msg, /チェックサム/);
+  }
+  // Changing a letter inside the Base64 body
+  const armor = envelopeToArmor(env).split('\n');
+  armor[1] = (armor[1][0] === 'A' ? 'B' : 'A') + armor[1].slice(1);
+  assert.match(parseEnvelope(armor.join('\n')).msg, /アーマーの本文が壊れています|チェックサム/);
+});
+
+test('malformed envelopes give specific messages', ()=>{
+  const env = createEnvelope('NGEIASMIUXFN', SETTINGS);
+  const cases = [
+    ['', /空/],
+    ['NGEIASMIUXFN', /封筒の形式ではありません/],
+    ['{"format": "permutation-cipherlab",', /構文エラー/],
+    ['{"format": "other"}', /封筒ではありません/],
+    [edit(env, o => { o.version = 2; }), /新しいバージョン/],
+    [edit(env, o => { o.mode = 'rail'; }), /mode/],
+    [edit(env, o => { o.padding.scheme = 'zero'; }), /padding\.scheme/],
+    [edit(env, o => { o.unit = 'byte'; }), /unit/],
+    [edit(env, o => { o.removed = [[-1, ' ']]; }), /removed/],
+    [edit(env, o => { delete o.checksum; }), /checksum/],
+    [ARMOR_BEGIN + '\nAAAA', /終わりの行/],
+    [ARMOR_BEGIN + '\n@@@@\n' + ARMOR_END, /Base64/],
+  ];
+  for(const [text, msg] of cases){
+    const res = parseEnvelope(text);
+    assert.equal(res.ok, false, text);
+    assert.match(res.msg, msg, text);
+  }
+});
+
+test('a ciphertext that is not whole blocks is rejected', ()=>{
+  const env = createEnvelope('NGEIASMIUXF', SETTINGS);
+  assert.match(parseEnvelope(envelopeToJSON(env)).msg, /倍数ではありません/);
+  // Without padding a short last block is expected
+  assert.ok(parseEnvelope(envelopeToJSON(createEnvelope('NGEIASMIUXF', {...SETTINGS, scheme: 'none'}))).ok);
+});
+
+test('rail fence and route envelopes store the padding unit, not the parameters', ()=>{
+  const params = {rails: 3, offset: 0};
+  const settings = {...SETTINGS, chain: [null], mode: 'railfence', params, unit: 'utf16', removed: []};
+  const cipher = encryptPadded(applyPadding('WEAREDISCOVERED', 4, 'fixed', 'X'), null, 'railfence', 'fixed', 'utf16', 'keep', params);
+  const env = createEnvelope(cipher, {...settings, fingerprint: true});
+  assert.equal(env.blockSize, 4);
+  assert.equal(env.keyFingerprint, keyFingerprint([null], params));
+  assert.notEqual(env.keyFingerprint, keyFingerprint([null], {rails: 3, offset: 1}));
+  assert.ok(!JSON.stringify(env).includes('rails'));
+  assert.ok(parseEnvelope(envelopeToArmor(env)).ok);
+  const chained = createEnvelope(cipher, {...settings, chain: [null, null]});
+  assert.match(parseEnvelope(envelopeToJSON(chained)).msg, /rounds/);
+});
+
+test('isEnvelopeText tells envelopes from bare ciphertexts', ()=>{
+  const env = createEnvelope('ABCD', SETTINGS);
+  assert.ok(isEnvelopeText(envelopeToJSON(env)));
+  assert.ok(isEnvelopeText(envelopeToArmor(env)));
+  assert.ok(!isEnvelopeText('NGEIASMIUXFN'));
+  assert.ok(!isEnvelopeText('{ABCD}'));
+});
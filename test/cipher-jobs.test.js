@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPadding, encryptPadded, encryptChain, applyPermutation } from '../cipher-core.js';
+import { runJob } from '../cipher-jobs.js';
+
+const KEY = [3, 1, 4, 2];
+const PREPROCESS = {upper:true, stripSpaces:true, stripPunct:false, group:false};
+
+/** Parameters for an encrypt job with the page's defaults */
+function encryptParams(text, chain, extra={}){
+  return {text, preprocess:PREPROCESS, chain, mode:'block', scheme:'fixed', padChar:'X',
+    unit:'utf16', partial:'keep', ...extra};
+}
+
+/** Parameters for the matching decrypt job */
+function decryptParams(text, chain, removed, extra={}){
+  return {text, ungroup:false, chain, mode:'block', scheme:'fixed', padChar:'X', trim:true,
+    unit:'utf16', partial:'keep', removed, ...extra};
+}
+
+test('encrypt job matches the core functions', async ()=>{
+  const res = await runJob('encrypt', encryptParams('enigma is fun', [KEY]));
+  assert.equal(res.prep.text, 'ENIGMAISFUN');
+  assert.equal(res.padded, applyPadding('ENIGMAISFUN', 4, 'fixed', 'X'));
+  assert.equal(res.output, encryptPadded(res.padded, KEY, 'block', 'fixed'));
+  assert.equal(res.inputLength, 11);
+  assert.equal(res.paddedLength, 12);
+  assert.equal(res.unitsMerged, false);
+});
+
+test('encrypt and decrypt jobs round-trip', async ()=>{
+  for(const mode of ['block', 'columnar']){
+    for(const scheme of ['fixed', 'pkcs7', 'cts']){
+      const enc = await runJob('encrypt', encryptParams('Enigma is fun', [KEY], {mode, scheme}));
+      const dec = await runJob('decrypt', decryptParams(enc.output, [KEY], enc.prep.removed, {mode, scheme}));
+      assert.equal(dec.result, 'ENIGMA IS FUN', `${mode}/${scheme}`);
+    }
+  }
+});
+
+test('rail fence and route jobs round-trip long texts', async ()=>{
+  const text = 'We are discovered, flee at once! '.repeat(5);
+  for(const [mode, params] of [['railfence', {rails: 4, offset: 1}], ['route', {rows: 6, route: 'diagonal'}]]){
+    for(const scheme of ['fixed', 'pkcs7', 'none']){
+      const extra = {mode, scheme, params};
+      const enc = await runJob('encrypt', encryptParams(text, [null], extra));
+      assert.ok(enc.paddedLength > 64);
+      assert.equal(enc.paddedLength % 6, scheme === 'none' ? enc.inputLength % 6 : 0);
+      const dec = await runJob('decrypt', decryptParams(enc.output, [null], enc.prep.removed, extra));
+      assert.equal(dec.result, text.toUpperCase(), `${mode}/${scheme}`);
+    }
+  }
+});
+
+test('chain jobs return every round', async ()=>{
+  const chain = [KEY, [2, 3, 1]];
+  const enc = await runJob('encrypt', encryptParams('ENIGMAISFUN', chain));
+  assert.equal(enc.padded, null);
+  assert.deepEqual(enc.rounds, encryptChain('ENIGMAISFUN', chain, 'block', 'fixed', 'X'));
+  const dec = await runJob('decrypt', decryptParams(enc.output, chain, []));
+  assert.equal(dec.result, 'ENIGMAISFUN');
+  assert.equal(dec.rounds.length, 2);
+});
+
+test('decrypt job reports padding that does not match the scheme', async ()=>{
+  const dec = await runJob('decrypt', decryptParams('ABCD', [KEY], [], {scheme:'pkcs7'}));
+  assert.equal(dec.trimmed, null);
+  assert.equal(dec.result, dec.out);
+});
+
+test('cancelled jobs return null', async ()=>{
+  const job = {cancelled:true};
+  assert.equal(await runJob('encrypt', encryptParams('ENIGMAISFUN', [KEY]), ()=>{}, job), null);
+  assert.equal(await runJob('decrypt', decryptParams('NGEIASMIUXFN', [KEY], []), ()=>{}, job), null);
+});
+
+test('chained and columnar jobs can be cancelled mid-run', async ()=>{
+  // Several pieces per round, so the first progress report comes before the end
+  const text = 'ENIGMAISFUN'.repeat(5000);
+  const cases = [
+    ['encrypt', encryptParams(text, [KEY, [2, 3, 1]])],
+    ['encrypt', encryptParams(text, [KEY], {mode:'columnar'})],
+    ['decrypt', decryptParams(text, [KEY, [2, 3, 1]], [])],
+    ['decrypt', decryptParams(text, [KEY], [], {mode:'columnar'})],
+  ];
+  for(const [type, params] of cases){
+    const job = {cancelled:false};
+    const steps = [];
+    const res = await runJob(type, params, p => { steps.push(p); job.cancelled = true; }, job);
+    assert.equal(res, null, `${type}/${params.mode}`);
+    assert.equal(steps.length, 1);
+    assert.ok(steps[0] > 0 && steps[0] < 1);
+  }
+});
+
+test('chain progress advances round by round', async ()=>{
+  const steps = [];
+  const chain = [KEY, [2, 3, 1]];
+  const enc = await runJob('encrypt', encryptParams('ENIGMAISFUN'.repeat(5000), chain, {mode:'columnar'}),
+    p => steps.push(p));
+  assert.deepEqual(enc.rounds, encryptChain(enc.prep.text, chain, 'columnar', 'fixed', 'X'));
+  assert.ok(steps.some(p => p > 0 && p < 0.5) && steps.some(p => p > 0.5 && p < 1));
+  assert.ok(steps.every((p, i) => i === 0 || p >= steps[i-1]));
+  assert.equal(steps[steps.length-1], 1);
+});
+
+test('analysis jobs and unknown types', async ()=>{
+  const plain = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG';
+  const cipher = applyPermutation(plain, KEY, 'X', true);
+  const kpa = await runJob('kpa', {plain, cipher, padChar:'X'});
+  assert.deepEqual(kpa.find(r => r.n === 4).best, KEY);
+  await assert.rejects(runJob('nope', {}), /Unknown job/);
+});
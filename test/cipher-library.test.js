@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LIBRARY_VERSION, parseTags, normalizeKeyEntry, normalizeChainEntry, keyLength, migrateLibrary,
+  filterKeys, sortKeys, libraryTags, createLibraryExport, parseLibraryImport, uniqueName, mergeEntries
+} from '../cipher-library.js';
+
+const T1 = '2026-01-10T09:00:00.000Z';
+const T2 = '2026-02-20T09:00:00.000Z';
+
+/** A version 2 entry with defaults */
+function key(name, pattern, extra={}){
+  return { name, pattern, notes: '', tags: [], createdAt: null, usedAt: null, ...extra };
+}
+
+test('parseTags splits on commas and spaces and drops duplicates', ()=>{
+  assert.deepEqual(parseTags(' 第3回, 練習、lesson  練習 '), ['第3回', '練習', 'lesson']);
+  assert.deepEqual(parseTags(''), []);
+});
+
+test('normalizeKeyEntry checks the key and fills in metadata', ()=>{
+  assert.deepEqual(normalizeKeyEntry({name: ' demo ', pattern: '3 1 4 2'}), key('demo', '3-1-4-2'));
+  assert.equal(normalizeKeyEntry({name: 'old', pattern: [2, 1]}).pattern, '2-1');
+  const padding = {scheme: 'pkcs7', padChar: '', partial: 'keep'};
+  assert.deepEqual(normalizeKeyEntry({name: 'p', pattern: '2-1', padding, tags: ['a', 1], createdAt: 'x'}),
+    key('p', '2-1', {padding, tags: ['a']}));
+  for(const raw of [null, {name: '', pattern: '2-1'}, {name: 'a', pattern: '1-1'}, {name: 'a'}]){
+    assert.equal(normalizeKeyEntry(raw), null, JSON.stringify(raw));
+  }
+  assert.deepEqual(normalizeChainEntry({name: 'c', chain: ['2 1', '3-1-2']}), {name: 'c', chain: ['2-1', '3-1-2']});
+  assert.equal(normalizeChainEntry({name: 'c', chain: ['2-1', '2-2']}), null);
+  assert.equal(keyLength(key('a', '3-1-4-2')), 4);
+});
+
+test('version 1 storage migrates to version 2', ()=>{
+  const v1 = [
+    {name: 'demo', pattern: '3-1-4-2', padding: {scheme: 'fixed', padChar: 'X'}},
+    {name: 'broken', pattern: '1-1'},
+    {name: 'demo', pattern: '2-1'},
+  ];
+  const lib = migrateLibrary(v1);
+  assert.equal(lib.version, LIBRARY_VERSION);
+  assert.deepEqual(lib.keys, [key('demo', '3-1-4-2', {padding: {scheme: 'fixed', padChar: 'X'}})]);
+  assert.equal(lib.dropped, 2);
+  assert.deepEqual(migrateLibrary({version: 2, keys: lib.keys}).keys, lib.keys);
+  assert.deepEqual(migrateLibrary(null).keys, []);
+  assert.equal(migrateLibrary({version: 3, keys: []}), null);
+});
+
+test('filterKeys searches name, pattern, notes and tags', ()=>{
+  const keys = [
+    key('lesson-1', '3-1-4-2', {tags: ['第3回'], notes: 'Caesar comparison'}),
+    key('lesson-2', '2-1', {tags: ['練習']}),
+    key('big', '5-4-3-2-1-6-7-8'),
+  ];
+  const names = filter => filterKeys(keys, filter).map(k => k.name);
+  assert.deepEqual(names({query: 'LESSON'}), ['lesson-1', 'lesson-2']);
+  assert.deepEqual(names({query: 'caesar'}), ['lesson-1']);
+  assert.deepEqual(names({query: '5-4-3'}), ['big']);
+  assert.deepEqual(names({tag: '練習'}), ['lesson-2']);
+  assert.deepEqual(names({minLength: 3, maxLength: 4}), ['lesson-1']);
+  assert.deepEqual(libraryTags(keys), ['練習', '第3回'].sort((a, b) => a.localeCompare(b, 'ja')));
+});
+
+test('sortKeys orders by name, time and length', ()=>{
+  const keys = [
+    key('key 10', '2-1', {createdAt: T1}),
+    key('key 9', '3-1-2', {createdAt: T2, usedAt: T1}),
+    key('old', '4-3-2-1'),
+  ];
+  const names = order => sortKeys(keys, order).map(k => k.name);
+  assert.deepEqual(names('name'), ['key 9', 'key 10', 'old']);
+  assert.deepEqual(names('created'), ['key 9', 'key 10', 'old']);
+  assert.deepEqual(names('used'), ['key 9', 'key 10', 'old']);
+  assert.deepEqual(names('length'), ['key 10', 'key 9', 'old']);
+  assert.equal(keys[0].name, 'key 10', 'input is not reordered');
+});
+
+test('backup files round-trip and v1 lists can be imported', ()=>{
+  const keys = [key('demo', '3-1-4-2', {tags: ['a'], createdAt: T1})];
+  const chains = [{name: 'double', chain: ['3-1-4-2', '2-1']}];
+  const file = createLibraryExport(keys, chains, new Date(T2));
+  assert.equal(file.exportedAt, T2);
+  const res = parseLibraryImport(JSON.stringify(file));
+  assert.ok(res.ok);
+  assert.deepEqual(res.keys, keys);
+  assert.deepEqual(res.chains, chains);
+  assert.equal(res.dropped, 0);
+
+  const v1 = parseLibraryImport(JSON.stringify([{name: 'demo', pattern: '3-1-4-2'}, {name: 'x', pattern: 'oops'}]));
+  assert.deepEqual(v1.keys, [key('demo', '3-1-4-2')]);
+  assert.equal(v1.dropped, 1);
+});
+
+test('parseLibraryImport explains what is wrong', ()=>{
+  const cases = [
+    ['not json', /JSON/],
+    ['{"foo": 1}', /書き出しファイルではありません/],
+    ['{"format": "permutation-cipherlab-keys", "version": 9, "keys": []}', /新しいバージョン/],
+    ['[{"name": "x", "pattern": "1-1"}]', /読み込める鍵がありません/],
+  ];
+  for(const [text, msg] of cases){
+    const res = parseLibraryImport(text);
+    assert.equal(res.ok, false, text);
+    assert.match(res.msg, msg, text);
+  }
+});
+
+test('uniqueName numbers duplicate names', ()=>{
+  assert.equal(uniqueName('a', new Set()), 'a');
+  assert.equal(uniqueName('a', new Set(['a', 'a (2)'])), 'a (3)');
+});
+
+test('mergeEntries resolves name conflicts by strategy', ()=>{
+  const existing = [
+    key('same', '2-1', {tags: ['a'], createdAt: T2}),
+    key('clash', '3-1-2', {notes: 'mine'}),
+  ];
+  const incoming = [
+    key('same', '2-1', {tags: ['b'], notes: 'theirs', createdAt: T1, usedAt: T2}),
+    key('clash', '1-3-2', {notes: 'theirs'}),
+    key('new', '4-3-2-1'),
+  ];
+
+  const skip = mergeEntries(existing, incoming, 'skip');
+  assert.deepEqual([skip.added, skip.merged, skip.skipped], [1, 1, 1]);
+  assert.deepEqual(skip.entries.map(e => e.name), ['same', 'clash', 'new']);
+  assert.deepEqual(skip.entries[0], key('same', '2-1', {tags: ['a', 'b'], notes: 'theirs', createdAt: T1, usedAt: T2}));
+  assert.equal(skip.entries[1].pattern, '3-1-2');
+  assert.deepEqual(existing[0].tags, ['a'], 'existing entries are not modified');
+
+  const over = mergeEntries(existing, incoming, 'overwrite');
+  assert.equal(over.overwritten, 1);
+  assert.deepEqual(over.entries[1], incoming[1]);
+
+  const rename = mergeEntries(existing, incoming, 'rename');
+  assert.equal(rename.renamed, 1);
+  assert.deepEqual(rename.entries.map(e => e.name), ['same', 'clash', 'clash (2)', 'new']);
+  assert.equal(rename.entries[2].pattern, '1-3-2');
+});
+
+test('mergeEntries also merges chains by name', ()=>{
+  const res = mergeEntries([{name: 'd', chain: ['2-1']}], [{name: 'd', chain: ['2-1']}, {name: 'd', chain: ['1-2']}], 'rename');
+  assert.deepEqual(res.entries, [{name: 'd', chain: ['2-1']}, {name: 'd (2)', chain: ['1-2']}]);
+});
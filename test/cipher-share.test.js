@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SHARE_LINK_MAX, createShareFragment, createExerciseFragment, parseShareFragment
+} from '../cipher-share.js';
+import { createEnvelope } from '../cipher-envelope.js';
+import { applyPadding, encryptPadded, keywordToPermutation } from '../cipher-core.js';
+
+const PADDING = {scheme: 'fixed', padChar: 'X', partial: 'keep'};
+const STATE = {chain: [[3, 1, 4, 2]], mode: 'block', unit: 'grapheme', padding: PADDING};
+
+function exercise(){
+  const key = [3, 1, 4, 2];
+  const cipher = encryptPadded(applyPadding('ENIGMAISFUN', 4, 'fixed', 'X'), key, 'block', 'fixed');
+  return createEnvelope(cipher, {chain: [key], mode: 'block', scheme: 'fixed', padChar: 'X', partial: 'keep', unit: 'utf16'});
+}
+
+test('a settings link round-trips the key, settings and text', ()=>{
+  const res = createShareFragment({...STATE, text: '転置 ENIGMA & 暗号'});
+  assert.equal(res.ok, true);
+  assert.match(res.fragment, /^#v=1&key=3-1-4-2&mode=block&unit=grapheme&pad=fixed&char=X&partial=keep&text=/);
+  assert.deepEqual(parseShareFragment(res.fragment), {
+    ok: true, kind: 'settings', chain: [[3, 1, 4, 2]], keyword: null,
+    mode: 'block', params: null, unit: 'grapheme', padding: PADDING, text: '転置 ENIGMA & 暗号',
+  });
+  assert.ok(!createShareFragment(STATE).fragment.includes('text='));
+});
+
+test('a settings link keeps key chains and matching keywords', ()=>{
+  const chain = [[2, 1], [3, 1, 2]];
+  const parsed = parseShareFragment(createShareFragment({...STATE, chain, keyword: 'AB'}).fragment);
+  assert.deepEqual(parsed.chain, chain);
+  assert.equal(parsed.keyword, null);
+
+  const key = keywordToPermutation('ZEBRAS');
+  const columnar = parseShareFragment(createShareFragment({...STATE, chain: [key], mode: 'columnar', keyword: 'ZEBRAS'}).fragment);
+  assert.equal(columnar.keyword, 'ZEBRAS');
+  // A keyword that does not give the key is dropped
+  assert.equal(parseShareFragment('#v=1&key=1-2-3&mode=block&unit=utf16&pad=none&partial=keep&keyword=CAB').keyword, null);
+});
+
+test('parseShareFragment ignores other fragments and reports bad links', ()=>{
+  assert.equal(parseShareFragment(''), null);
+  assert.equal(parseShareFragment('#panel-encrypt'), null);
+  assert.match(parseShareFragment('#v=2&key=2-1').msg, /新しいバージョン/);
+  assert.match(parseShareFragment('#v=x').msg, /形式が正しくありません/);
+  assert.match(parseShareFragment('#v=1&key=2-1').msg, /mode/);
+  const base = 'mode=block&unit=utf16&pad=fixed&char=X&partial=keep';
+  assert.match(parseShareFragment(`#v=1&key=1-1&${base}`).msg, /鍵「1-1」が不正です/);
+  assert.match(parseShareFragment(`#v=1&key=2-1&${base.replace('block', 'rot13')}`).msg, /暗号方式/);
+  assert.match(parseShareFragment(`#v=1&key=2-1&${base.replace('utf16', 'bytes')}`).msg, /文字の単位/);
+  assert.match(parseShareFragment(`#v=1&key=2-1&${base.replace('fixed', 'zero')}`).msg, /パディング方式/);
+});
+
+test('an exercise link carries the envelope but not the key', ()=>{
+  const env = exercise();
+  const res = createExerciseFragment(env);
+  assert.equal(res.ok, true);
+  assert.ok(!res.fragment.includes('key='));
+  assert.deepEqual(parseShareFragment(res.fragment), {ok: true, kind: 'exercise', envelope: env, answer: null});
+});
+
+test('an exercise answer round-trips and must fit the envelope', ()=>{
+  const env = exercise();
+  const res = createExerciseFragment(env, {chain: [[3, 1, 4, 2]], text: 'ENIGMA IS FUN'});
+  const parsed = parseShareFragment(res.fragment);
+  assert.deepEqual(parsed.answer, {chain: [[3, 1, 4, 2]], keyword: null, params: null, text: 'ENIGMA IS FUN'});
+  // Not readable from the URL at a glance
+  assert.ok(!decodeURIComponent(res.fragment).includes('3-1-4-2'));
+
+  const wrong = createExerciseFragment(env, {chain: [[2, 1]], text: ''});
+  assert.match(parseShareFragment(wrong.fragment).msg, /合いません/);
+  const cut = res.fragment.replace(/answer=.*/, 'answer=e30');   // '{}'
+  assert.match(parseShareFragment(cut).msg, /答えの鍵がありません/);
+});
+
+test('rail fence and route links carry their parameters instead of a key', ()=>{
+  const res = createShareFragment({...STATE, chain: [null], mode: 'railfence', params: {rails: 3, offset: 1}});
+  assert.match(res.fragment, /^#v=1&rails=3&offset=1&mode=railfence&/);
+  const parsed = parseShareFragment(res.fragment);
+  assert.deepEqual([parsed.chain, parsed.params], [[null], {rails: 3, offset: 1}]);
+  const route = parseShareFragment(createShareFragment({...STATE, chain: [null], mode: 'route', params: {rows: 4, route: 'diagonal'}}).fragment);
+  assert.deepEqual(route.params, {rows: 4, route: 'diagonal'});
+  assert.match(parseShareFragment(res.fragment.replace('rails=3', 'rails=1')).msg, /レール数/);
+  assert.match(parseShareFragment(res.fragment.replace('rails=3&', '')).msg, /rails/);
+
+  const params = {rows: 3, route: 'spiral'};
+  const cipher = encryptPadded(applyPadding('ENIGMAISFUN', 3, 'fixed', 'X'), null, 'route', 'fixed', 'utf16', 'keep', params);
+  const env = createEnvelope(cipher, {chain: [null], mode: 'route', params, scheme: 'fixed', padChar: 'X', partial: 'keep', unit: 'utf16'});
+  const ex = parseShareFragment(createExerciseFragment(env, {chain: [null], params, text: 'ENIGMAISFUN'}).fragment);
+  assert.deepEqual(ex.answer, {chain: [null], keyword: null, params, text: 'ENIGMAISFUN'});
+  const wrong = createExerciseFragment(env, {chain: [null], params: {rows: 4, route: 'spiral'}, text: ''});
+  assert.match(parseShareFragment(wrong.fragment).msg, /合いません/);
+});
+
+test('a damaged exercise is reported', ()=>{
+  const res = createExerciseFragment(exercise());
+  assert.match(parseShareFragment(res.fragment.slice(0, -6)).msg, /演習の暗号文/);
+  assert.match(parseShareFragment('#v=1&exercise=***').msg, /欠けているか/);
+});
+
+test('links longer than the limit are refused', ()=>{
+  const res = createShareFragment({...STATE, text: 'A'.repeat(SHARE_LINK_MAX)});
+  assert.equal(res.ok, false);
+  assert.match(res.msg, /リンクが長すぎます/);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  VAULT_FORMAT, VAULT_VERSION, VAULT_MAX_ITERATIONS, isVaultSupported, checkNewPassphrase, createVaultSession,
+  sealVault, openVault, isVaultRecord
+} from '../cipher-vault.js';
+
+// Few iterations keep the tests fast; openVault is given the same count as its minimum
+const ITERATIONS = 1000;
+const TEXT = JSON.stringify({version: 2, keys: [{name: '期末試験', pattern: '3-1-4-2'}], chains: []});
+
+test('Web Crypto is available', ()=>{
+  assert.equal(isVaultSupported(), true);
+});
+
+test('checkNewPassphrase requires length and a matching confirmation', ()=>{
+  assert.equal(checkNewPassphrase('short', 'short').ok, false);
+  assert.equal(checkNewPassphrase('long enough', 'long enougH').ok, false);
+  assert.deepEqual(checkNewPassphrase('パスフレーズ秘密の鍵', 'パスフレーズ秘密の鍵'), {ok: true});
+});
+
+test('sealVault hides the text and openVault restores it', async ()=>{
+  const session = await createVaultSession('correct horse', ITERATIONS);
+  const record = await sealVault(TEXT, session);
+  assert.equal(record.format, VAULT_FORMAT);
+  assert.equal(record.version, VAULT_VERSION);
+  assert.equal(record.kdf.iterations, ITERATIONS);
+  assert.ok(isVaultRecord(JSON.parse(JSON.stringify(record))));
+  assert.ok(!JSON.stringify(record).includes('3-1-4-2'));
+
+  const opened = await openVault(record, 'correct horse', ITERATIONS);
+  assert.equal(opened.ok, true);
+  assert.equal(opened.text, TEXT);
+  assert.equal(opened.reseal, false);
+  // The session seals the next save without the passphrase
+  const again = await sealVault('{"keys":[]}', opened.session);
+  assert.equal((await openVault(again, 'correct horse', ITERATIONS)).text, '{"keys":[]}');
+});
+
+test('each seal uses a fresh IV', async ()=>{
+  const session = await createVaultSession('correct horse', ITERATIONS);
+  const a = await sealVault(TEXT, session);
+  const b = await sealVault(TEXT, session);
+  assert.equal(a.kdf.salt, b.kdf.salt);
+  assert.notEqual(a.cipher.iv, b.cipher.iv);
+  assert.notEqual(a.data, b.data);
+});
+
+test('openVault rejects a wrong passphrase and edited records', async ()=>{
+  const record = await sealVault(TEXT, await createVaultSession('correct horse', ITERATIONS));
+  const wrong = await openVault(record, 'correct horsE', ITERATIONS);
+  assert.equal(wrong.ok, false);
+  assert.match(wrong.msg, /パスフレーズが違う/);
+
+  // The header is authenticated: a changed iteration count fails too
+  const edited = {...record, kdf: {...record.kdf, iterations: ITERATIONS + 1}};
+  assert.equal((await openVault(edited, 'correct horse', ITERATIONS)).ok, false);
+  const flipped = {...record, data: (record.data[0] === 'A' ? 'B' : 'A') + record.data.slice(1)};
+  assert.equal((await openVault(flipped, 'correct horse', ITERATIONS)).ok, false);
+});
+
+test('openVault reports records it cannot read', async ()=>{
+  assert.match((await openVault({keys: []}, 'x', ITERATIONS)).msg, /金庫のデータではありません/);
+  assert.match((await openVault({format: VAULT_FORMAT, version: 9}, 'x', ITERATIONS)).msg, /新しいバージョン/);
+  const record = await sealVault(TEXT, await createVaultSession('correct horse', ITERATIONS));
+  assert.match((await openVault({...record, data: '***'}, 'correct horse', ITERATIONS)).msg, /壊れています/);
+  assert.match((await openVault({...record, cipher: {name: 'AES-CBC', iv: ''}}, 'correct horse', ITERATIONS)).msg, /壊れています/);
+});
+
+test('a new session re-encrypts under a new passphrase and salt', async ()=>{
+  const record = await sealVault(TEXT, await createVaultSession('old passphrase', ITERATIONS));
+  const opened = await openVault(record, 'old passphrase', ITERATIONS);
+  const changed = await sealVault(opened.text, await createVaultSession('new passphrase', ITERATIONS));
+  assert.notEqual(changed.kdf.salt, record.kdf.salt);
+  assert.equal((await openVault(changed, 'old passphrase', ITERATIONS)).ok, false);
+  assert.equal((await openVault(changed, 'new passphrase', ITERATIONS)).text, TEXT);
+});
+
+test('openVault only accepts iteration counts within the bounds', async ()=>{
+  const record = await sealVault(TEXT, await createVaultSession('correct horse', ITERATIONS));
+  for(const iterations of [1, ITERATIONS - 1, VAULT_MAX_ITERATIONS + 1, 1e12]){
+    const edited = {...record, kdf: {...record.kdf, iterations}};
+    assert.match((await openVault(edited, 'correct horse', ITERATIONS)).msg, /壊れています/, `${iterations}`);
+  }
+  // The default minimum is VAULT_ITERATIONS
+  assert.match((await openVault(record, 'correct horse')).msg, /壊れています/);
+});
+
+test('openVault re-seals a record with another iteration count', async ()=>{
+  const record = await sealVault(TEXT, await createVaultSession('correct horse', ITERATIONS * 2));
+  const opened = await openVault(record, 'correct horse', ITERATIONS);
+  assert.equal(opened.reseal, true);
+  assert.equal(opened.session.iterations, ITERATIONS);
+  const resealed = await sealVault(opened.text, opened.session);
+  assert.equal(resealed.kdf.iterations, ITERATIONS);
+  const again = await openVault(resealed, 'correct horse', ITERATIONS);
+  assert.equal(again.text, TEXT);
+  assert.equal(again.reseal, false);
+});
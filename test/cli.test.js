@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { main } from '../bin/cipherlab.js';
+import {
+  applyPermutation, trimRightPad, inversePermutation, generateRandomPermutation
+} from '../cipher-core.js';
+
+/** Run the CLI in-process and collect its output */
+function run(args, stdin=''){
+  let stdout = '';
+  let stderr = '';
+  const code = main(args, {
+    stdout: s => { stdout += s; },
+    stderr: s => { stderr += s; },
+    readStdin: () => stdin,
+  });
+  return {code, stdout, stderr};
+}
+
+test('encrypt and decrypt match applyPermutation / trimRightPad', ()=>{
+  const texts = ['ENIGMA IS FUN', 'A', 'ABCDEFGH', 'かな漢字テスト', 'TRAILING X'];
+  for(let n=2; n<=9; n++){
+    const perm = generateRandomPermutation(n);
+    const key = perm.join('-');
+    for(const text of texts){
+      const expected = applyPermutation(text, perm, 'X', true);
+      const enc = run(['encrypt', '-k', key], text + '\n');
+      assert.equal(enc.stdout, expected + '\n', `${key} "${text}"`);
+      const dec = run(['decrypt', '-k', key], enc.stdout);
+      const plain = trimRightPad(applyPermutation(expected, inversePermutation(perm), '', false), 'X');
+      assert.equal(dec.stdout, plain + '\n', `${key} "${text}"`);
+    }
+  }
+});
+
+test('--lines processes each line separately and --json reports every record', ()=>{
+  const res = run(['encrypt', '-k', '3-1-4-2', '--lines', '--json'], 'ENIG\nMA\n');
+  assert.equal(res.code, 0);
+  const data = JSON.parse(res.stdout);
+  assert.deepEqual(data.keys, ['3-1-4-2']);
+  assert.deepEqual(data.results.map(r => r.output), ['NGEI', 'AXMX']);
+  assert.deepEqual(data.results.map(r => r.source), ['stdin:1', 'stdin:2']);
+});
+
+test('--seed makes the random filler reproducible', ()=>{
+  const args = ['encrypt', '-k', '3-1-4-2', '--scheme', 'random', '--lines', '--seed', 'exam-2026'];
+  const enc = run(args, 'E\nFUN\n');
+  assert.equal(enc.code, 0);
+  assert.equal(enc.stdout, run(args, 'E\nFUN\n').stdout);
+  const dec = run(['decrypt', '-k', '3-1-4-2', '--scheme', 'random', '--lines'], enc.stdout);
+  assert.equal(dec.stdout, 'E\nFUN\n');
+});
+
+test('reads files given as arguments', ()=>{
+  const dir = mkdtempSync(join(tmpdir(), 'cipherlab-'));
+  const a = join(dir, 'a.txt');
+  const b = join(dir, 'b.txt');
+  writeFileSync(a, 'ENIG\n');
+  writeFileSync(b, 'FUN');
+  const res = run(['encrypt', '-k', '3-1-4-2', a, b]);
+  assert.equal(res.stdout, 'NGEI\nUXFN\n');
+  assert.equal(run(['encrypt', '-k', '3-1-4-2', join(dir, 'missing.txt')]).code, 2);
+});
+
+test('other schemes, modes and chains round-trip', ()=>{
+  const text = 'THE QUICK BROWN FOX';
+  const variants = [
+    ['--scheme', 'pkcs7'], ['--scheme', 'random'], ['--scheme', 'cts', '--partial', 'rotate'],
+    ['--mode', 'columnar', '--scheme', 'pkcs7'], ['-k', '2-3-1', '--scheme', 'pkcs7'],
+    ['--keyword', 'ZEBRA', '--no-pad'],
+  ];
+  for(const extra of variants){
+    const enc = run(['encrypt', '-k', '3-1-4-2', ...extra], text);
+    const dec = run(['decrypt', '-k', '3-1-4-2', ...extra], enc.stdout);
+    assert.equal(dec.stdout, text + '\n', extra.join(' '));
+  }
+});
+
+test('rail fence and route modes take their parameters instead of a key', ()=>{
+  const rail = run(['encrypt', '--mode', 'railfence', '--rails', '3', '--no-pad'], 'WEAREDISCOVEREDFLEEATONCE');
+  assert.equal(rail.stdout, 'WECRLTEERDSOEEFEAOCAIVDEN\n');
+  const text = 'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG. '.repeat(3);
+  for(const extra of [['--mode', 'railfence', '--rails', '7', '--offset', '2'], ['--mode', 'route', '--rows', '5', '--route', 'boustrophedon']]){
+    const enc = run(['encrypt', ...extra, '--scheme', 'pkcs7', '--json'], text);
+    const dec = run(['decrypt', ...extra, '--scheme', 'pkcs7'], JSON.parse(enc.stdout).results[0].output);
+    assert.equal(dec.stdout, text + '\n', extra.join(' '));
+    assert.ok(JSON.parse(enc.stdout).params);
+  }
+  for(const args of [['--mode', 'route'], ['--mode', 'railfence', '--rails', '1'], ['--mode', 'railfence', '--rails', '3', '-k', '2-1']]){
+    assert.equal(run(['encrypt', ...args], 'ABC').code, 2, args.join(' '));
+  }
+});
+
+test('decrypt warns about malformed padding and keeps it', ()=>{
+  const res = run(['decrypt', '-k', '3-1-4-2', '--scheme', 'pkcs7'], 'NGEIA2M3');
+  assert.equal(res.code, 1);
+  assert.equal(res.stdout, 'ENIGMA32\n');
+  assert.match(res.stderr, /パディングが正しくありません/);
+  assert.equal(run(['decrypt', '-k', '3-1-4-2', '--keep-pad'], 'NGEIAXMX').stdout, 'ENIGMAXX\n');
+});
+
+test('keygen produces valid keys and their inverses', ()=>{
+  const res = run(['keygen', '-n', '6', '-c', '5', '--json']);
+  const {keys} = JSON.parse(res.stdout);
+  assert.equal(keys.length, 5);
+  for(const {key, inverse} of keys){
+    const perm = key.split('-').map(Number);
+    assert.deepEqual([...perm].sort(), [1, 2, 3, 4, 5, 6]);
+    assert.equal(inverse, inversePermutation(perm).join('-'));
+  }
+  assert.equal(run(['keygen', '--keyword', 'ZEBRA']).stdout, '5-3-2-4-1\n');
+  // Same seed, same keys (the first matches the page's seeded generator)
+  const seeded = run(['keygen', '-n', '8', '-c', '3', '--seed', 'exam-2026']);
+  assert.equal(seeded.stdout, run(['keygen', '-n', '8', '-c', '3', '--seed', 'exam-2026']).stdout);
+  assert.equal(seeded.stdout.split('\n')[0], '4-1-2-3-7-8-6-5');
+  assert.equal(new Set(seeded.stdout.trim().split('\n')).size, 3);
+  assert.equal(run(['keygen', '-n', '65']).code, 2);
+  assert.equal(run(['keygen']).code, 2);
+  // A keyword gives one key of its own length: the random-key options conflict
+  for(const extra of [['-c', '1'], ['--seed', 'x'], ['-n', '5']]){
+    const res = run(['keygen', '--keyword', 'ZEBRA', ...extra]);
+    assert.equal(res.code, 2, extra.join(' '));
+    assert.match(res.stderr, /--keyword と/);
+  }
+});
+
+test('validate reports the same messages as the page', ()=>{
+  const ok = run(['validate', '3-1-4-2', '(1 3 4 2)']);
+  assert.equal(ok.code, 0);
+  assert.equal(ok.stdout, 'OK\t3-1-4-2\t3-1-4-2\nOK\t(1 3 4 2)\t3-1-4-2\n');
+  const ng = run(['validate', '--json'], '3-1-1\n1-5\nabc\n');
+  assert.equal(ng.code, 1);
+  assert.deepEqual(JSON.parse(ng.stdout).results.map(r => r.msg), [
+    '重複があります: 1',
+    '範囲外の値: 5（1〜2の値のみ使用できます）',
+    'パターン形式が不正です（例: 3-1-4-2 または (1 3 4 2)）',
+  ]);
+  // Cycle notation that leaves the length open takes it from --length
+  assert.match(run(['validate', 'id']).stdout, /^NG\tid\t長さが必要です/);
+  assert.equal(run(['validate', '--length', '4', 'id', '(1 2)']).stdout, 'OK\tid\t1-2-3-4\nOK\t(1 2)\t2-1-3-4\n');
+  assert.equal(run(['validate', '-n', '1', 'id']).code, 2);
+});
+
+test('usage errors exit with status 2', ()=>{
+  for(const args of [[], ['encrypt'], ['encrypt', '-k', '1-1'], ['bogus'], ['encrypt', '-k', '2-1', '--mode', 'x'], ['keygen', '--nope']]){
+    const res = run(args);
+    assert.equal(res.code, 2, args.join(' '));
+    assert.notEqual(res.stderr, '');
+  }
+  assert.equal(run(['--help']).code, 0);
+});